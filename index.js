@@ -1,28 +1,75 @@
 // index.js:
 
 /**
- * Central export for all DAO classes.
+ * Central export for turbo-orm.
  * -------------------------------------------------------------
- * Users can import the DAO they need, e.g.:
+ * Users can import the classes they need, e.g.:
  *
- * import { DAO, MongoDBDAO, SqliteDAO } from "./index.js";
+ * import { Database, Model, ModelSchema } from "turbo-orm";
+ *
+ * Custom drivers extend BaseDriver (or SQLDriver) and are plugged in
+ * with Database.registerDriver(name, DriverClass, { aliases }).
+ *
+ * parseIniFile(filename) loads an INI config file into the object
+ * `new Database(config)` expects.
+ *
+ * Database errors are exported as classes (UniqueConstraintError,
+ * ConnectionError, ...) so they can be caught with instanceof.
  */
-import BaseDriver from "./lib/drivers/baseDriver.js";
-import SQLDriver from "./lib/drivers/SQLDriver.js";
+import Database from "./lib/database.js";
+import Model from "./lib/model.js";
+import ModelSchema from "./lib/modelSchema.js";
+import DomainService from "./lib/service.js";
+import QueryBuilder from "./lib/queryBuilder.js";
+import BaseDriver from "./lib/drivers/driver-base.js";
+import SQLDriver from "./lib/drivers/driver-sql.js";
+import MongoDBDriver from "./lib/drivers/driver-mongodb.js";
+import MySQLDriver from "./lib/drivers/driver-mysql.js";
+import PostgresDriver from "./lib/drivers/driver-postgres.js";
 import SqliteDriver from "./lib/drivers/driver-sqlite.js";
-import MySQLDAO from "./lib/daomysql.js";
-import PostgresDAO from "./lib/daopostgres.js";
-import MongoDBDAO from "./lib/daomongodb.js";
-import DomainModel from "./lib/domainModel.js";
-import DomainSchema from "./lib/domainSchema.js";
+import MemoryDriver from "./lib/drivers/driver-memory.js";
+import MigrationManager from "./lib/migrations/migrationManager.js";
+import Operation from "./lib/migrations/operation.js";
+import parseIniFile from "./lib/parseIniFile.js";
+import {
+  DatabaseError,
+  ConstraintError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullError,
+  CheckConstraintError,
+  ConnectionError,
+  TimeoutError,
+  SerializationError,
+  NotFoundError,
+  ValidationError,
+} from "./lib/errors.js";
 
 export {
-  DAO,
-  SQLDAO,
-  MongoDBDAO,
-  SqliteDAO,
-  MySQLDAO,
-  PostgresDAO,
-  DomainModel,
-  DomainSchema,
+  Database,
+  Model,
+  ModelSchema,
+  DomainService,
+  QueryBuilder,
+  BaseDriver,
+  SQLDriver,
+  MongoDBDriver,
+  MySQLDriver,
+  PostgresDriver,
+  SqliteDriver,
+  MemoryDriver,
+  MigrationManager,
+  Operation,
+  parseIniFile,
+  DatabaseError,
+  ConstraintError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullError,
+  CheckConstraintError,
+  ConnectionError,
+  TimeoutError,
+  SerializationError,
+  NotFoundError,
+  ValidationError,
 };
@@ -0,0 +1,159 @@
+// ./lib/aggregation.js
+
+import { parseQueryOptions } from "./queryOptions.js";
+
+/**
+ * Aggregation
+ * -------------------------------------------------------------
+ * Portable grouped aggregates for aggregate() on SQL drivers:
+ *
+ *   await orders.aggregate({
+ *     criteria: { status: "paid" },          // rows to include
+ *     groupBy: ["customer_id"],              // one result row per group
+ *     aggregates: {
+ *       orders: { $count: "*" },             // rows in the group
+ *       revenue: { $sum: "total" },
+ *       largest: { $max: "total" },
+ *     },
+ *     orderBy: { revenue: "desc" },          // group fields or aliases
+ *     limit: 10,
+ *   });
+ *   // [{ customer_id: 7, orders: 3, revenue: 120, largest: 80 }, ...]
+ *
+ * Without groupBy the whole selection forms one group and a single
+ * row is returned. criteria uses the vocabulary of lib/criteria.js;
+ * orderBy, limit and offset those of lib/queryOptions.js.
+ *
+ * Functions: $count ("*" counts rows, a field counts its non-null
+ * values), $sum, $avg, $min and $max. Counts are returned as numbers;
+ * other results are returned as the database reports them (pg, for
+ * example, returns sums of BIGINT and NUMERIC columns as strings).
+ *
+ * MongoDB keeps accepting native pipelines and MemoryDriver a
+ * function; drivers never interpret raw specs directly. They consume
+ * the normalized object returned by parseAggregation().
+ */
+
+export const AGGREGATE_FUNCTIONS = ["$count", "$sum", "$avg", "$min", "$max"];
+
+/**
+ * Normalize and validate an aggregation spec.
+ * @param {object} spec - Raw aggregation spec.
+ * @returns {{
+ *   criteria: object,
+ *   groupBy: string[],
+ *   aggregates: Array<{ alias: string, fn: string, field: string }>,
+ *   orderBy: Array<{ field: string, direction: "asc"|"desc" }>,
+ *   limit: number|undefined,
+ *   offset: number|undefined,
+ * }}
+ * @throws {Error} If the spec is malformed.
+ */
+export function parseAggregation(spec) {
+  if (!isPlainObject(spec)) {
+    throw new Error(
+      "aggregate expects a spec such as { criteria, groupBy, aggregates } " +
+        "(see lib/aggregation.js)"
+    );
+  }
+
+  const {
+    criteria = {},
+    groupBy,
+    aggregates = {},
+    orderBy,
+    limit,
+    offset,
+    ...unknown
+  } = spec;
+
+  const unknownKeys = Object.keys(unknown);
+  if (unknownKeys.length) {
+    throw new Error(
+      `Unknown aggregation option(s): ${unknownKeys.join(", ")}. ` +
+        "Supported: criteria, groupBy, aggregates, orderBy, limit, offset"
+    );
+  }
+
+  const groups = parseGroupBy(groupBy);
+  const parsed = parseAggregates(aggregates);
+  if (!groups.length && !parsed.length) {
+    throw new Error("aggregate requires groupBy or at least one aggregate");
+  }
+
+  const clash = parsed.find(({ alias }) => groups.includes(alias));
+  if (clash) {
+    throw new Error(`Aggregate alias '${clash.alias}' is also a groupBy field`);
+  }
+
+  const options = parseQueryOptions({ orderBy, limit, offset });
+  const outputs = [...groups, ...parsed.map(({ alias }) => alias)];
+  for (const { field } of options.orderBy) {
+    if (!outputs.includes(field)) {
+      throw new Error(
+        `Cannot order aggregates by '${field}'. ` +
+          `Use a groupBy field or an aggregate alias: ${outputs.join(", ")}`
+      );
+    }
+  }
+
+  return {
+    criteria,
+    groupBy: groups,
+    aggregates: parsed,
+    orderBy: options.orderBy,
+    limit: options.limit,
+    offset: options.offset,
+  };
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+function parseGroupBy(groupBy) {
+  if (groupBy === undefined || groupBy === null) return [];
+
+  const fields = Array.isArray(groupBy) ? groupBy : [groupBy];
+  if (!fields.every(field => typeof field === "string" && field)) {
+    throw new Error("groupBy must be a field name or an array of field names");
+  }
+  return fields;
+}
+
+function parseAggregates(aggregates) {
+  if (!isPlainObject(aggregates)) {
+    throw new Error(
+      "aggregates must be an object such as { total: { $sum: 'amount' } }"
+    );
+  }
+
+  return Object.entries(aggregates).map(([alias, definition]) => {
+    const entries = isPlainObject(definition) ? Object.entries(definition) : [];
+    if (entries.length !== 1) {
+      throw new Error(
+        `Aggregate '${alias}' must be a single function such as { $sum: 'amount' }`
+      );
+    }
+
+    const [[fn, field]] = entries;
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw new Error(
+        `Unknown aggregate function '${fn}' for '${alias}'. ` +
+          `Expected one of: ${AGGREGATE_FUNCTIONS.join(", ")}`
+      );
+    }
+    if (typeof field !== "string" || !field) {
+      throw new Error(`Aggregate '${alias}' requires a field name`);
+    }
+    if (field === "*" && fn !== "$count") {
+      throw new Error(`Only $count accepts '*' (aggregate '${alias}')`);
+    }
+
+    return { alias, fn, field };
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -0,0 +1,214 @@
+// ./lib/configSchema.js
+
+/**
+ * Driver Configuration Validation
+ * -------------------------------------------------------------
+ * Each driver declares the settings it accepts in `config.database`
+ * as a static `configSchema`, using the same rule names as
+ * ModelSchema fields:
+ *
+ *   static configSchema = {
+ *     ...BaseDriver.configSchema,
+ *     strict: true,
+ *     db_host: { type: "string", required: true, allowEmpty: false },
+ *     db_port: { type: "integer", default: 5432, minValue: 1, maxValue: 65535 },
+ *   };
+ *
+ * Supported rules:
+ * - type: string, integer, number, boolean, object, enum
+ * - required, default (or defaultValue)
+ * - minValue / maxValue, minLength / maxLength, values (enum)
+ * - trim, lowercase, allowEmpty (strings; blank allowed by default)
+ * - validate(value, settings): returns true or an error message
+ *
+ * `strict: true` rejects settings the schema does not declare.
+ * Strings from INI files and environment variables are coerced to
+ * integers, numbers and booleans where the rule asks for one.
+ * Every problem is collected and reported in a single Error whose
+ * `errors` property lists the individual messages.
+ */
+
+/**
+ * Validate and sanitize driver settings against a config schema.
+ * @param {object} [settings={}] - Usually config.database.
+ * @param {object} [schema={}] - Rules keyed by setting name.
+ * @param {string} [name="Database driver"] - Used in the error message.
+ * @returns {object} Sanitized settings with defaults applied.
+ * @throws {Error} Listing every invalid, missing or unknown setting.
+ */
+export default function sanitizeConfig(
+  settings = {},
+  schema = {},
+  name = "Database driver"
+) {
+  const { strict = false, ...fields } = schema;
+  const errors = [];
+  const sanitized = {};
+
+  for (const [key, rules] of Object.entries(fields)) {
+    const result = sanitizeValue(key, settings[key], rules, settings);
+
+    if (result.error) errors.push(result.error);
+    else if (result.value !== undefined) sanitized[key] = result.value;
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (key in fields) continue;
+
+    if (strict) {
+      errors.push(unknownSetting(key, Object.keys(fields)));
+    } else if (value !== undefined) {
+      sanitized[key] = value;
+    }
+  }
+
+  if (errors.length) {
+    const error = new Error(
+      `${name} configuration is invalid (config.database):\n` +
+        errors.map(message => `  - ${message}`).join("\n")
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  return sanitized;
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+function sanitizeValue(key, input, rules, settings) {
+  let value = input;
+
+  if (typeof value === "string") {
+    if (rules.trim) value = value.trim();
+    if (rules.lowercase) value = value.toLowerCase();
+  }
+
+  if (value === undefined || value === null) {
+    value = rules.default ?? rules.defaultValue;
+  }
+
+  if (value === undefined || value === null) {
+    return rules.required ? { error: `${key} is required` } : {};
+  }
+
+  value = coerce(value, rules.type);
+
+  if (!isType(value, rules.type)) {
+    return {
+      error: `${key} must be of type ${rules.type} (got ${describe(input)})`,
+    };
+  }
+
+  if (typeof value === "string" && value === "" && rules.allowEmpty === false) {
+    return { error: `${key} must not be empty` };
+  }
+
+  if (rules.minLength !== undefined && value.length < rules.minLength)
+    return {
+      error: `${key} must be at least ${rules.minLength} characters`,
+    };
+  if (rules.maxLength !== undefined && value.length > rules.maxLength)
+    return { error: `${key} must be at most ${rules.maxLength} characters` };
+
+  if (rules.minValue !== undefined && value < rules.minValue)
+    return { error: `${key} must be >= ${rules.minValue} (got ${value})` };
+  if (rules.maxValue !== undefined && value > rules.maxValue)
+    return { error: `${key} must be <= ${rules.maxValue} (got ${value})` };
+
+  if (rules.values && !rules.values.includes(value))
+    return {
+      error: `${key} must be one of: ${rules.values.join(", ")} (got ${describe(value)})`,
+    };
+
+  if (typeof rules.validate === "function") {
+    const result = rules.validate(value, settings);
+    if (result !== true) {
+      return {
+        error: typeof result === "string" ? result : `${key} is invalid`,
+      };
+    }
+  }
+
+  return { value };
+}
+
+function coerce(value, type) {
+  if (typeof value !== "string") return value;
+
+  const trimmed = value.trim();
+
+  switch (type) {
+    case "integer":
+      return /^-?\d+$/.test(trimmed) ? Number(trimmed) : value;
+    case "number":
+      return trimmed !== "" && !isNaN(Number(trimmed))
+        ? Number(trimmed)
+        : value;
+    case "boolean":
+      if (/^true$/i.test(trimmed)) return true;
+      if (/^false$/i.test(trimmed)) return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case "string":
+    case "enum":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && !isNaN(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "object":
+      return value !== null && typeof value === "object";
+    default:
+      return true;
+  }
+}
+
+function unknownSetting(key, allowed) {
+  // Close misspellings, or a setting name with extra or missing words
+  const suggestion = allowed.find(
+    candidate =>
+      distance(key, candidate) <= 2 ||
+      key.startsWith(candidate) ||
+      candidate.startsWith(key)
+  );
+
+  return suggestion
+    ? `${key} is not a recognised setting. Did you mean ${suggestion}?`
+    : `${key} is not a recognised setting. Allowed settings: ${allowed.join(", ")}`;
+}
+
+function describe(value) {
+  return typeof value === "string" ? `'${value}'` : String(value);
+}
+
+/**
+ * Levenshtein distance, used to suggest the intended setting name.
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,243 @@
+// ./lib/criteria.js
+
+/**
+ * Criteria
+ * -------------------------------------------------------------
+ * Portable query criteria shared by every driver.
+ *
+ * A criteria object maps field names to either a plain value
+ * (equality) or an operator object. Multiple fields, and multiple
+ * operators on one field, are combined with AND:
+ *
+ *   { email: "a@b.c" }                          equality
+ *   { deleted_at: null }                        IS NULL
+ *   { age: { $gte: 18, $lt: 65 } }              range
+ *   { role: { $in: ["admin", "owner"] } }       membership
+ *   { $or: [{ role: "admin" }, { owner: true }] }
+ *   { $not: { status: "archived" } }
+ *
+ * Field operators:
+ *   $eq, $ne             equality / inequality ($ne also matches NULL)
+ *   $gt, $gte, $lt, $lte ordering comparisons
+ *   $in, $nin            membership in an array ($nin also matches NULL)
+ *   $like, $ilike        LIKE patterns using % and _ ($ilike ignores case)
+ *   $isNull              true for IS NULL, false for IS NOT NULL
+ *   $between             inclusive [low, high] range
+ *   $not                 negates a nested operator object
+ *
+ * Logical operators:
+ *   $and, $or            arrays of criteria objects
+ *   $not                 a criteria object
+ *
+ * Drivers never interpret criteria objects directly. They compile the
+ * normalized tree returned by parseCriteria(), so every backend agrees
+ * on what a criteria object means.
+ */
+
+export const FIELD_OPERATORS = [
+  "$eq",
+  "$ne",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+  "$in",
+  "$nin",
+  "$like",
+  "$ilike",
+  "$isNull",
+  "$between",
+  "$not",
+];
+
+export const LOGICAL_OPERATORS = ["$and", "$or", "$not"];
+
+/**
+ * Parse a criteria object into a normalized condition tree.
+ *
+ * Node shapes:
+ *   { type: "and", nodes: Node[] }
+ *   { type: "or", nodes: Node[] }
+ *   { type: "not", node: Node }
+ *   { type: "compare", field: string, operator: string, value: any }
+ *
+ * @param {object} [criteria={}] - Criteria object.
+ * @returns {{ type: "and", nodes: Array<object> }} Root AND node.
+ * @throws {Error} If the criteria uses an unknown or malformed operator.
+ */
+export function parseCriteria(criteria = {}) {
+  if (criteria === undefined || criteria === null) {
+    return { type: "and", nodes: [] };
+  }
+
+  if (!isPlainObject(criteria)) {
+    throw new Error("Criteria must be a plain object");
+  }
+
+  const nodes = [];
+
+  for (const [key, value] of Object.entries(criteria)) {
+    if (value === undefined) continue;
+
+    switch (key) {
+      case "$and":
+        nodes.push({ type: "and", nodes: parseCriteriaList(key, value) });
+        break;
+
+      case "$or":
+        nodes.push({ type: "or", nodes: parseCriteriaList(key, value) });
+        break;
+
+      case "$not":
+        nodes.push({ type: "not", node: parseCriteria(value) });
+        break;
+
+      default:
+        if (key.startsWith("$")) {
+          throw new Error(
+            `Unknown criteria operator '${key}'. ` +
+              `Supported: ${LOGICAL_OPERATORS.join(", ")}`
+          );
+        }
+        nodes.push(...parseField(key, value));
+    }
+  }
+
+  return { type: "and", nodes };
+}
+
+/**
+ * Convert a LIKE pattern (% = any run, _ = any single character) into
+ * an anchored regular expression.
+ * @param {string} pattern - LIKE pattern.
+ * @param {boolean} [insensitive=false] - Ignore case.
+ * @returns {RegExp}
+ */
+export function likeToRegExp(pattern, insensitive = false) {
+  const source = String(pattern)
+    .split("")
+    .map(char => {
+      if (char === "%") return ".*";
+      if (char === "_") return ".";
+      return char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`, insensitive ? "is" : "s");
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+function parseCriteriaList(operator, value) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${operator} expects an array of criteria objects`);
+  }
+  return value.map(item => parseCriteria(item));
+}
+
+function parseField(field, value) {
+  if (!isOperatorObject(value)) {
+    return [compare(field, "$eq", value)];
+  }
+
+  const nodes = [];
+
+  for (const [operator, operand] of Object.entries(value)) {
+    if (operand === undefined) continue;
+
+    if (!FIELD_OPERATORS.includes(operator)) {
+      throw new Error(
+        `Unknown criteria operator '${operator}' on field '${field}'. ` +
+          `Supported: ${FIELD_OPERATORS.join(", ")}`
+      );
+    }
+
+    if (operator === "$not") {
+      if (!isOperatorObject(operand)) {
+        throw new Error(
+          `$not on field '${field}' expects an operator object, e.g. { $not: { $gt: 5 } }`
+        );
+      }
+      nodes.push({
+        type: "not",
+        node: { type: "and", nodes: parseField(field, operand) },
+      });
+      continue;
+    }
+
+    nodes.push(compare(field, operator, operand));
+  }
+
+  return nodes;
+}
+
+function compare(field, operator, value) {
+  switch (operator) {
+    case "$eq":
+      if (value === null) return compare(field, "$isNull", true);
+      break;
+
+    case "$ne":
+      if (value === null) return compare(field, "$isNull", false);
+      break;
+
+    case "$in":
+    case "$nin":
+      if (!Array.isArray(value)) {
+        throw new Error(`${operator} on field '${field}' expects an array`);
+      }
+      break;
+
+    case "$between":
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error(
+          `$between on field '${field}' expects a [low, high] array`
+        );
+      }
+      break;
+
+    case "$like":
+    case "$ilike":
+      if (typeof value !== "string") {
+        throw new Error(`${operator} on field '${field}' expects a string`);
+      }
+      break;
+
+    case "$isNull":
+      if (typeof value !== "boolean") {
+        throw new Error(`$isNull on field '${field}' expects a boolean`);
+      }
+      break;
+
+    default:
+      if (value === null) {
+        throw new Error(`${operator} on field '${field}' cannot compare null`);
+      }
+  }
+
+  return { type: "compare", field, operator, value };
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+
+  const keys = Object.keys(value);
+  if (!keys.length) return false;
+
+  const operatorKeys = keys.filter(k => k.startsWith("$"));
+  if (operatorKeys.length && operatorKeys.length !== keys.length) {
+    throw new Error(
+      `Cannot mix operators and plain keys in one criteria value: ${keys.join(", ")}`
+    );
+  }
+
+  return operatorKeys.length > 0;
+}
@@ -1,18 +1,107 @@
 // ./lib/driver-base.js
 
+import { AsyncLocalStorage } from "node:async_hooks";
+import sanitizeConfig from "../configSchema.js";
+import {
+  ConnectionError,
+  SerializationError,
+  TimeoutError,
+  nativeError,
+} from "../errors.js";
+import {
+  NETWORK_ERROR_CODES,
+  RETRY_CONFIG_SCHEMA,
+  backoffDelay,
+  sleep,
+} from "../retry.js";
+import {
+  isCompatible,
+  parseTransactionOptions,
+} from "../transactionOptions.js";
+
 /**
  * BaseDriver
  * -------------------------------------------------------------
  * Abstract base class defining a common interface for database drivers.
  * Concrete drivers must override required methods.
+ *
+ * Read methods and deleteMany accept the portable criteria objects
+ * described in lib/criteria.js; findMany also accepts the query
+ * options described in lib/queryOptions.js.
+ *
+ * Transactions started with transaction(callback) are bound to the
+ * callback's async context (AsyncLocalStorage): every call made inside
+ * it, however deeply awaited, uses the transaction, while concurrent
+ * callers outside it do not: drivers with a connection or session per
+ * transaction run them alongside it, and drivers sharing one
+ * connection or store make them wait until it ends (see
+ * waitForTransaction). startTransaction() / commitTransaction() /
+ * rollbackTransaction() manage a single instance-wide transaction and
+ * are not safe when requests run concurrently.
+ *
+ * A transaction() call inside another transaction runs in a savepoint
+ * when the driver supports them (supportsSavepoints): a failing inner
+ * callback rolls back only its own work, and the outer transaction
+ * carries on. Drivers without savepoints join the outer transaction.
+ *
+ * Transactions accept the options described in
+ * lib/transactionOptions.js (isolation, readOnly, deferrable,
+ * timeoutMs, retry); drivers receive them parsed in openTransaction()
+ * and startTransaction(). With `retry`, an outermost transaction that
+ * the server aborts as a conflict (isTransactionConflict) runs again
+ * from the top.
  */
 export default class BaseDriver {
+  /**
+   * Settings accepted in config.database (see lib/configSchema.js).
+   * Drivers spread these into their own schema.
+   */
+  static configSchema = {
+    driver: { type: "string", trim: true, lowercase: true },
+    cursor_secret: { type: "string", allowEmpty: false },
+    ...RETRY_CONFIG_SCHEMA,
+  };
+
   _config;
 
+  // Transaction state of the current async context
+  #transactionContext = new AsyncLocalStorage();
+
+  // Tail of the queue used to run default transactions one at a time
+  #transactionQueue = Promise.resolve();
+
+  // True while a default transaction() holds the instance-wide
+  // transaction, which then belongs to that callback's context only
+  #instanceTransactionClaimed = false;
+
+  // Settles when the claimed instance-wide transaction is closed
+  #instanceTransactionClosed = Promise.resolve();
+
+  // Counter for generated savepoint names
+  #savepointId = 0;
+
+  // Primary key fields and field types by target, from registered
+  // schemas
+  #primaryKeys = new Map();
+  #fieldTypes = new Map();
+
   constructor(config = undefined) {
     this._config = { ...config };
   }
 
+  /**
+   * Validate config.database against the driver's configSchema.
+   * @returns {object} Sanitized settings with defaults applied.
+   * @throws {Error} Listing every invalid setting.
+   */
+  validateConfig() {
+    return sanitizeConfig(
+      this._config.database ?? {},
+      this.constructor.configSchema,
+      this.constructor.name
+    );
+  }
+
   requireOverride(methodName) {
     const className = this.constructor.name;
     throw new Error(
@@ -32,6 +121,183 @@ export default class BaseDriver {
     this.requireOverride("disconnect");
   }
 
+  /**
+   * Replace a broken connection (or pool) with a new one. Database
+   * calls this after a transient error; drivers whose disconnect()
+   * could wait on a dead server should override it.
+   */
+  async reconnect() {
+    try {
+      await this.disconnect();
+    } catch {
+      // The old connection is unusable anyway
+    }
+    await this.connect();
+  }
+
+  /**
+   * Whether an error means the connection was lost or the server is
+   * temporarily unavailable, so reconnecting and retrying may succeed.
+   * Drivers extend this with their server's error codes.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isTransientError(err) {
+    return NETWORK_ERROR_CODES.has(err?.code);
+  }
+
+  /**
+   * Whether the server aborted a transaction because it conflicted
+   * with a concurrent one (serialization failure, deadlock), so
+   * running the whole transaction again may succeed. Drivers override
+   * this with their server's error codes.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isTransactionConflict(err) {
+    return false;
+  }
+
+  /**
+   * Translate a native error into a class from lib/errors.js, keeping
+   * it as `cause`. Database calls this for every error a driver
+   * operation throws. Drivers map their constraint and timeout codes
+   * and defer to this for conflicts and connection errors; errors with
+   * no portable meaning are returned unchanged.
+   * @param {Error} err
+   * @returns {Error}
+   */
+  mapError(err) {
+    if (this.isTransactionConflict(err)) {
+      return new SerializationError(err.message, { cause: err });
+    }
+    if (this.isTransientError(err)) {
+      return new ConnectionError(err.message, { cause: err });
+    }
+    return err;
+  }
+
+  /**
+   * Make the cheapest possible round trip to the server (SELECT 1,
+   * admin ping). Resolves when the server answers; throws otherwise.
+   */
+  async ping() {
+    this.requireOverride("ping");
+  }
+
+  /**
+   * Version string reported by the server, or null if unknown.
+   * @returns {Promise<string|null>}
+   */
+  async serverVersion() {
+    return null;
+  }
+
+  /**
+   * Connection pool counts ({ total, idle, waiting, max }), or null
+   * when the driver does not pool connections.
+   * @returns {object|null}
+   */
+  poolStats() {
+    return null;
+  }
+
+  /* =============================================================
+   * Schema Registration
+   * ============================================================= */
+
+  /**
+   * Learn a target's primary key and field types from a ModelSchema
+   * definition. Model calls this automatically; drivers that read more
+   * of the schema override it and call super.
+   * @param {string} target - Table or collection name.
+   * @param {{ primaryKey?: { fields: string[] },
+   *   fields?: Record<string, { type: string }> }} schema -
+   *   ModelSchema.getSchema() result.
+   */
+  registerSchema(target, schema = {}) {
+    if (schema.primaryKey) {
+      this.#primaryKeys.set(target, [...schema.primaryKey.fields]);
+    }
+    if (schema.fields) {
+      const types = Object.entries(schema.fields).map(([name, field]) => [
+        name,
+        field.type,
+      ]);
+      this.#fieldTypes.set(target, new Map(types));
+    }
+  }
+
+  /**
+   * ModelSchema type of a field ("decimal", "json", ...), or undefined
+   * when no schema was registered for the target. Drivers use it to
+   * convert values to and from native types.
+   * @param {string} target
+   * @param {string} field
+   * @returns {string|undefined}
+   */
+  fieldType(target, field) {
+    return this.#fieldTypes.get(target)?.get(field);
+  }
+
+  /**
+   * Primary key fields of a target (`["id"]` unless registered).
+   * @param {string} target
+   * @returns {string[]}
+   */
+  primaryKey(target) {
+    return this.#primaryKeys.get(target) ?? ["id"];
+  }
+
+  /**
+   * Criteria matching the record with the given id. Composite keys
+   * take an object with every key field, or an array in key order.
+   * @param {string} target
+   * @param {*} id
+   * @returns {object}
+   * @throws {Error} If the id is missing or incomplete.
+   */
+  idCriteria(target, id) {
+    const fields = this.primaryKey(target);
+    if (fields.length === 1) {
+      if (id === undefined || id === null) {
+        throw new Error(`findById requires an ${describeKey(fields)}.`);
+      }
+      return { [fields[0]]: id };
+    }
+
+    const values = Array.isArray(id) ? id : fields.map(field => id?.[field]);
+    if (
+      values.length !== fields.length ||
+      values.some(value => value === undefined || value === null)
+    ) {
+      throw new Error(`findById requires ${describeKey(fields)}.`);
+    }
+    return Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+  }
+
+  /**
+   * Criteria matching the record an entity refers to by its key.
+   * @param {string} target
+   * @param {object} entity
+   * @param {string} operation - Name used in the error message.
+   * @returns {object}
+   * @throws {Error} If a key field is missing.
+   */
+  keyCriteria(target, entity, operation) {
+    const fields = this.primaryKey(target);
+    if (
+      fields.some(
+        field => entity[field] === undefined || entity[field] === null
+      )
+    ) {
+      throw new Error(
+        `${operation} requires ${describeKey(fields)} in entity.`
+      );
+    }
+    return Object.fromEntries(fields.map(field => [field, entity[field]]));
+  }
+
   /* =============================================================
    * CRUD Operations
    * ============================================================= */
@@ -48,7 +314,7 @@ export default class BaseDriver {
     this.requireOverride("findOne");
   }
 
-  async findMany(target, criteria) {
+  async findMany(target, criteria, options = {}) {
     this.requireOverride("findMany");
   }
 
@@ -80,7 +346,7 @@ export default class BaseDriver {
     this.requireOverride("deleteOne");
   }
 
-  async deleteMany(target, entities) {
+  async deleteMany(target, entitiesOrCriteria) {
     this.requireOverride("deleteMany");
   }
 
@@ -100,18 +366,251 @@ export default class BaseDriver {
    * Transaction Management
    * ============================================================= */
 
-  async transaction(callback) {
-    await this.startTransaction();
+  /**
+   * Run a callback in a transaction bound to its async context.
+   * Commits when the callback resolves and rolls back when it throws
+   * or outlives options.timeoutMs. With options.retry, conflicts
+   * (isTransactionConflict) roll back and run the callback again in a
+   * new transaction; timeoutMs applies to each attempt.
+   * Inside another transaction (including one begun with
+   * startTransaction()) the callback runs in a savepoint instead; it
+   * may repeat the outer transaction's options but not change them,
+   * only the outer timeout applies, and conflicts are left for the
+   * outer transaction to retry.
+   *
+   * @param {(context: { attempt: number }) => Promise<any>} callback
+   * @param {object} [options={}] - See lib/transactionOptions.js.
+   * @returns {Promise<any>} The callback's result.
+   */
+  async transaction(callback, options = {}) {
+    const settings = parseTransactionOptions(options);
+    const outer = this.currentTransaction;
+    const nested =
+      outer ||
+      (this.inTransaction === true && !this.#instanceTransactionClaimed);
+
+    if (nested) {
+      if (!isCompatible(outer?.options, settings)) {
+        throw new Error(
+          "A nested transaction cannot change the isolation, readOnly or " +
+            "deferrable options of the transaction it runs in"
+        );
+      }
+      const attempt = outer?.attempt ?? 1;
+      return this.#runInSavepoint(() => callback({ attempt }));
+    }
+
+    const { maxAttempts = 1 } = settings.retry ?? {};
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.#runTransaction(callback, settings, attempt);
+      } catch (err) {
+        if (
+          attempt >= maxAttempts ||
+          !this.isTransactionConflict(nativeError(err))
+        ) {
+          throw err;
+        }
+        await sleep(backoffDelay(attempt, settings.retry));
+      }
+    }
+  }
+
+  /**
+   * One attempt of an outermost transaction().
+   */
+  async #runTransaction(callback, settings, attempt) {
+    const transaction = await this.openTransaction(settings);
+    transaction.options = settings;
+    transaction.attempt = attempt;
+
+    let result;
+    try {
+      result = await withDeadline(
+        this.#transactionContext.run(transaction, () => callback({ attempt })),
+        transaction
+      );
+    } catch (err) {
+      transaction.ended = true;
+      await this.closeTransaction(transaction, false);
+      throw err;
+    }
+
+    transaction.ended = true;
+    await this.closeTransaction(transaction, true);
+    return result;
+  }
+
+  /**
+   * State of the transaction bound to the current async context (for
+   * example `{ client }` for Postgres), or null outside transaction().
+   * Drivers route queries through it.
+   * @returns {object|null}
+   * @throws {Error} In a callback whose transaction has already ended
+   *   (it timed out, or work was left running after it returned).
+   */
+  get currentTransaction() {
+    const transaction = this.#transactionContext.getStore();
+    if (transaction?.ended) {
+      throw new Error(
+        "The transaction this code ran in has already ended; " +
+          "its queries can no longer run"
+      );
+    }
+    return transaction ?? null;
+  }
+
+  /**
+   * Begin a transaction for transaction() and return its state.
+   *
+   * The default wraps the instance-wide startTransaction(), so it
+   * queues transactions to run one at a time and claims the shared
+   * connection for the callback's context: drivers calling
+   * waitForTransaction() hold back every other caller until the
+   * transaction is closed. Drivers that can give each transaction its
+   * own connection or session override this and closeTransaction().
+   * @param {object} options - Parsed transaction options.
+   * @returns {Promise<object>}
+   */
+  async openTransaction(options) {
+    const release = await this.#acquireTransactionSlot();
+
+    // Claim before starting, so no outside call runs in the new
+    // transaction while startTransaction() is awaited
+    let closed;
+    this.#instanceTransactionClosed = new Promise(
+      resolve => (closed = resolve)
+    );
+    this.#instanceTransactionClaimed = true;
+    const unclaim = () => {
+      this.#instanceTransactionClaimed = false;
+      closed();
+      release();
+    };
+
+    try {
+      await this.startTransaction(options);
+    } catch (err) {
+      unclaim();
+      throw err;
+    }
+    return { release: unclaim };
+  }
+
+  /**
+   * Commit or roll back a transaction returned by openTransaction().
+   * @param {object} transaction
+   * @param {boolean} commit - False to roll back.
+   */
+  async closeTransaction(transaction, commit) {
+    try {
+      if (commit) await this.commitTransaction();
+      else await this.rollbackTransaction();
+    } finally {
+      transaction.release();
+    }
+  }
+
+  /**
+   * Wait while a default transaction() holds the instance-wide
+   * transaction and the caller runs outside its async context.
+   *
+   * Drivers whose transactions share one connection or store with
+   * every other caller (SQLite, memory) call this before each
+   * operation, so outside callers neither write into the transaction
+   * nor read its uncommitted changes; they run once it has been
+   * committed or rolled back. Transaction control methods must not
+   * call it, as closeTransaction() runs outside the context.
+   * @throws {Error} In a callback whose transaction has already ended.
+   */
+  async waitForTransaction() {
+    while (this.#instanceTransactionClaimed && !this.currentTransaction) {
+      await this.#instanceTransactionClosed;
+    }
+  }
+
+  /* =============================================================
+   * Savepoints
+   * ============================================================= */
+
+  /**
+   * Whether savepoint(), rollbackToSavepoint() and releaseSavepoint()
+   * are available, and nested transaction() calls use them.
+   * @returns {boolean}
+   */
+  get supportsSavepoints() {
+    return false;
+  }
+
+  /**
+   * Mark a point inside the open transaction that can be rolled back
+   * to without abandoning the whole transaction.
+   * @param {string} name - Savepoint name (letters, digits, underscores).
+   */
+  async savepoint(name) {
+    throw new Error(`${this.constructor.name} does not support savepoints`);
+  }
+
+  /**
+   * Undo everything done since savepoint(name). The savepoint stays
+   * in place and can be rolled back to again.
+   * @param {string} name
+   */
+  async rollbackToSavepoint(name) {
+    throw new Error(`${this.constructor.name} does not support savepoints`);
+  }
+
+  /**
+   * Forget a savepoint, keeping the work done since it was created.
+   * @param {string} name
+   */
+  async releaseSavepoint(name) {
+    throw new Error(`${this.constructor.name} does not support savepoints`);
+  }
+
+  /**
+   * Run a nested transaction() callback in a generated savepoint.
+   */
+  async #runInSavepoint(callback) {
+    if (!this.supportsSavepoints) return callback();
+
+    const name = `turbo_savepoint_${++this.#savepointId}`;
+    await this.savepoint(name);
+
+    let result;
     try {
-      await callback();
-      await this.commitTransaction();
+      result = await callback();
     } catch (err) {
-      await this.rollbackTransaction();
+      await this.rollbackToSavepoint(name);
+      await this.releaseSavepoint(name);
       throw err;
     }
+
+    await this.releaseSavepoint(name);
+    return result;
   }
 
-  async startTransaction() {
+  /**
+   * Wait for earlier default transactions to finish; resolves to a
+   * function that lets the next one start.
+   */
+  async #acquireTransactionSlot() {
+    let release;
+    const finished = new Promise(resolve => (release = resolve));
+
+    const previous = this.#transactionQueue;
+    this.#transactionQueue = previous.then(() => finished);
+
+    await previous;
+    return release;
+  }
+
+  /**
+   * Begin the instance-wide transaction.
+   * @param {object} [options={}] - See lib/transactionOptions.js.
+   */
+  async startTransaction(options = {}) {
     this.requireOverride("startTransaction");
   }
 
@@ -147,3 +646,34 @@ export default class BaseDriver {
     this.requireOverride("executeOperation");
   }
 }
+
+/**
+ * Reject when the transaction outlives its timeoutMs. The callback
+ * cannot be cancelled, so the transaction is marked as ended and its
+ * remaining queries fail (see currentTransaction).
+ */
+function withDeadline(promise, transaction) {
+  const { timeoutMs } = transaction.options;
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      transaction.ended = true;
+      reject(
+        new TimeoutError(
+          `Transaction timed out after ${timeoutMs}ms and was rolled back`
+        )
+      );
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Key fields for error messages: "`id`", "`orderId`, `line`".
+ */
+function describeKey(fields) {
+  return fields.map(field => `\`${field}\``).join(", ");
+}
@@ -0,0 +1,819 @@
+// ./lib/drivers/driver-memory.js
+
+import BaseDriver from "./driver-base.js";
+import { parseCriteria, likeToRegExp } from "../criteria.js";
+import { ConnectionError, UniqueConstraintError } from "../errors.js";
+import { parseQueryOptions, projectRow } from "../queryOptions.js";
+import { parseTransactionOptions } from "../transactionOptions.js";
+
+const MIGRATIONS_TABLE = "turbo_migrations";
+
+/**
+ * MemoryDriver
+ * -------------------------------------------------------------
+ * Concrete driver that keeps every table in process memory.
+ *
+ * Intended for unit tests and prototyping: Model and DomainService
+ * code runs unchanged, without an external database process.
+ *
+ * Key characteristics:
+ * - Tables are created on first write, or by a createTable
+ *   migration operation. Rows are plain objects; callers always
+ *   receive copies, never the stored rows.
+ * - Rows are addressed by the primary key registered for their
+ *   table (`id` by default). Rows without a value for a single-field
+ *   key get an auto-incrementing integer.
+ * - Criteria follow the SQL drivers' semantics (see lib/criteria.js),
+ *   including NULL handling: comparisons never match NULL, except
+ *   $ne and $nin which explicitly do.
+ * - Sorting puts NULLs last in ascending order and first in
+ *   descending order, like Postgres.
+ * - Unique constraints come from ModelSchema.addIndex(..., { unique })
+ *   (see registerSchema) and from unique columns / indexes in
+ *   migration operations. NULL values never conflict.
+ * - Transactions snapshot every table on start and restore the
+ *   snapshot on rollback. While transaction() runs, operations from
+ *   outside its callback wait for it to end, which meets every
+ *   isolation level; readOnly transactions reject writes (raw query()
+ *   functions are not checked).
+ * - Foreign key operations are accepted but not enforced.
+ */
+export default class MemoryDriver extends BaseDriver {
+  /** @type {Map<string, { rows: object[], nextId: number,
+   *   uniques: Array<{ name: string, fields: string[] }> }>} */
+  #tables = new Map();
+
+  /** Copy of #tables taken when the active transaction started. */
+  #snapshot = null;
+
+  /** @type {Map<string, Map>} Savepoint name -> copy of #tables. */
+  #savepoints = new Map();
+
+  /** True while a readOnly transaction is open. */
+  #readOnly = false;
+
+  constructor(config = {}) {
+    super(config);
+
+    this.connected = false;
+  }
+
+  /* =============================================================
+   * Connection Management
+   * ============================================================= */
+
+  async connect() {
+    this.connected = true;
+  }
+
+  /**
+   * Marks the driver disconnected, rolling back an open transaction.
+   * Committed data is kept, so a later connect() sees the same tables.
+   */
+  async disconnect() {
+    await this.rollbackTransaction();
+    this.connected = false;
+  }
+
+  /**
+   * Succeeds while connected; there is no server to reach.
+   */
+  async ping() {
+    this.#assertConnected();
+  }
+
+  /* =============================================================
+   * Schema Registration
+   * ============================================================= */
+
+  /**
+   * Registers the primary key and unique indexes of a ModelSchema
+   * definition for a table. Model calls this automatically.
+   *
+   * @param {string} target - Table name.
+   * @param {{ primaryKey?: { fields: string[] }, indexes?: Array<{
+   *   fields: string[], unique?: boolean, name?: string }> }} schema -
+   *   ModelSchema.getSchema() result.
+   */
+  registerSchema(target, schema = {}) {
+    super.registerSchema(target, schema);
+    for (const index of schema.indexes ?? []) {
+      if (!index.unique) continue;
+      this.#addUnique(target, index.name, index.fields);
+    }
+  }
+
+  /* =============================================================
+   * Create Operations
+   * ============================================================= */
+
+  async insertOne(target, entity) {
+    await this.waitForTransaction();
+    this.#assertWritable();
+    const table = this.#table(target, { create: true });
+    return clone(this.#insert(target, table, entity));
+  }
+
+  async insertMany(target, entities) {
+    await this.waitForTransaction();
+    this.#assertWritable();
+    return this.#atomic(() => {
+      const table = this.#table(target, { create: true });
+      return entities.map(entity => clone(this.#insert(target, table, entity)));
+    });
+  }
+
+  /* =============================================================
+   * Read Operations
+   * ============================================================= */
+
+  async findOne(target, criteria = {}) {
+    const [row] = await this.findMany(target, criteria, { limit: 1 });
+    return row ?? null;
+  }
+
+  async findMany(target, criteria = {}, options = {}) {
+    await this.waitForTransaction();
+    const parsed = parseQueryOptions(options);
+    const { orderBy, limit, offset = 0 } = parsed;
+
+    let rows = this.#select(target, criteria);
+
+    if (orderBy.length) {
+      rows = [...rows].sort((a, b) => {
+        for (const { field, direction } of orderBy) {
+          const result = compareForSort(a[field], b[field]);
+          if (result) return direction === "desc" ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    rows = rows.slice(offset, limit === undefined ? undefined : offset + limit);
+
+    return rows.map(row => projectRow(clone(row), parsed));
+  }
+
+  async findById(target, id) {
+    return this.findOne(target, this.idCriteria(target, id));
+  }
+
+  async count(target, criteria = {}) {
+    await this.waitForTransaction();
+    return this.#select(target, criteria).length;
+  }
+
+  async exists(target, criteria = {}) {
+    await this.waitForTransaction();
+    return this.#select(target, criteria).length > 0;
+  }
+
+  /* =============================================================
+   * Update Operations
+   * ============================================================= */
+
+  async updateOne(target, entity) {
+    await this.waitForTransaction();
+    const key = this.keyCriteria(target, entity, "updateOne");
+    this.#assertWritable();
+
+    const table = this.#table(target);
+    const row = table?.rows.find(this.#matcher(key));
+    if (!row) return null;
+
+    const updated = { ...row, ...clone(entity) };
+    this.#checkUnique(target, table, updated, row);
+    Object.assign(row, updated);
+
+    return clone(row);
+  }
+
+  async updateMany(target, entities) {
+    await this.waitForTransaction();
+    return this.#atomic(async () => {
+      const updatedRows = [];
+      for (const entity of entities) {
+        updatedRows.push(await this.updateOne(target, entity));
+      }
+      return updatedRows;
+    });
+  }
+
+  async upsert(target, entity) {
+    await this.waitForTransaction();
+    const key = this.keyCriteria(target, entity, "upsert");
+
+    const table = this.#table(target);
+    const exists = table?.rows.some(this.#matcher(key));
+
+    return exists
+      ? this.updateOne(target, entity)
+      : this.insertOne(target, entity);
+  }
+
+  /* =============================================================
+   * Delete Operations
+   * ============================================================= */
+
+  async deleteOne(target, entity) {
+    await this.waitForTransaction();
+    const key = this.keyCriteria(target, entity, "deleteOne");
+    this.#assertWritable();
+
+    const table = this.#table(target);
+    const index = table?.rows.findIndex(this.#matcher(key)) ?? -1;
+    if (index === -1) return null;
+
+    const [row] = table.rows.splice(index, 1);
+    return clone(row);
+  }
+
+  async deleteMany(target, entitiesOrCriteria = {}) {
+    await this.waitForTransaction();
+    this.#assertWritable();
+    if (Array.isArray(entitiesOrCriteria)) {
+      return this.#atomic(async () => {
+        const deletedRows = [];
+        for (const entity of entitiesOrCriteria) {
+          deletedRows.push(await this.deleteOne(target, entity));
+        }
+        return deletedRows;
+      });
+    }
+
+    const table = this.#table(target);
+    if (!table) return [];
+
+    const matches = this.#matcher(entitiesOrCriteria);
+    const deleted = table.rows.filter(matches);
+    table.rows = table.rows.filter(row => !matches(row));
+
+    return deleted.map(clone);
+  }
+
+  async deleteAll(target) {
+    await this.waitForTransaction();
+    this.#assertWritable();
+    const table = this.#table(target);
+    if (table) table.rows = [];
+    return [];
+  }
+
+  /* =============================================================
+   * Advanced Operations
+   * ============================================================= */
+
+  /**
+   * Runs a function over a copy of the table's rows.
+   * @param {string} target
+   * @param {(rows: object[]) => any} pipeline
+   */
+  async aggregate(target, pipeline) {
+    if (typeof pipeline !== "function") {
+      throw new Error(
+        "MemoryDriver.aggregate expects a function receiving the table rows."
+      );
+    }
+
+    await this.waitForTransaction();
+    return pipeline(this.#select(target, {}).map(clone));
+  }
+
+  /**
+   * Executes a raw operation. The function receives a Map of table
+   * name -> live row array, and the execution options.
+   */
+  async query(rawQuery, options = {}) {
+    if (typeof rawQuery !== "function") {
+      throw new Error(
+        "MemoryDriver.query expects a function receiving (tables, options)."
+      );
+    }
+
+    this.#assertConnected();
+    await this.waitForTransaction();
+
+    const tables = new Map(
+      [...this.#tables].map(([name, table]) => [name, table.rows])
+    );
+    return rawQuery(tables, options);
+  }
+
+  /* =============================================================
+   * Transaction Management
+   * ============================================================= */
+
+  async startTransaction(options = {}) {
+    this.#assertConnected();
+    if (this.#snapshot) {
+      throw new Error("MemoryDriver transactions cannot be nested.");
+    }
+    const { readOnly } = parseTransactionOptions(options);
+    this.#snapshot = clone(this.#tables);
+    this.#readOnly = readOnly === true;
+  }
+
+  async commitTransaction() {
+    this.#snapshot = null;
+    this.#savepoints.clear();
+    this.#readOnly = false;
+  }
+
+  async rollbackTransaction() {
+    if (!this.#snapshot) return;
+    this.#tables = this.#snapshot;
+    this.#snapshot = null;
+    this.#savepoints.clear();
+    this.#readOnly = false;
+  }
+
+  /** @returns {boolean} True while a transaction is open. */
+  get inTransaction() {
+    return this.#snapshot !== null;
+  }
+
+  /* =============================================================
+   * Savepoints
+   * ============================================================= */
+
+  get supportsSavepoints() {
+    return true;
+  }
+
+  async savepoint(name) {
+    this.#assertInTransaction();
+    // Re-using a name moves the savepoint, as in SQL
+    this.#savepoints.delete(name);
+    this.#savepoints.set(name, clone(this.#tables));
+  }
+
+  async rollbackToSavepoint(name) {
+    this.#tables = clone(this.#savepointTables(name));
+    this.#dropSavepointsAfter(name);
+  }
+
+  async releaseSavepoint(name) {
+    this.#savepointTables(name);
+    this.#dropSavepointsAfter(name);
+    this.#savepoints.delete(name);
+  }
+
+  /* =============================================================
+   * Migration Contract
+   * ============================================================= */
+
+  async ensureMigrationTable() {
+    await this.waitForTransaction();
+    this.#table(MIGRATIONS_TABLE, { create: true });
+  }
+
+  async fetchAppliedIds() {
+    await this.waitForTransaction();
+    return this.#select(MIGRATIONS_TABLE, {}).map(row => row.id);
+  }
+
+  async recordAppliedMigration(id) {
+    await this.insertOne(MIGRATIONS_TABLE, { id, executed_at: new Date() });
+  }
+
+  async recordRolledBackMigration(id) {
+    await this.deleteOne(MIGRATIONS_TABLE, { id });
+  }
+
+  /* =============================================================
+   * Operation Dispatcher
+   * ============================================================= */
+
+  async executeOperation(operation) {
+    await this.waitForTransaction();
+    this.#assertWritable();
+    const params = operation.params ?? {};
+
+    switch (operation.type) {
+      case "createTable":
+        return this.#createTable(params);
+
+      case "dropTable":
+        this.#tables.delete(requireParam(params, "dropTable", "tableName"));
+        return true;
+
+      case "addColumn":
+        return this.#addColumn(params);
+
+      case "dropColumn":
+        return this.#dropColumn(params);
+
+      case "renameColumn":
+        return this.#renameColumn(params);
+
+      case "alterColumn":
+        return this.#alterColumn(params);
+
+      case "renameTable":
+        return this.#renameTable(params);
+
+      case "createIndex":
+        return this.#createIndex(params);
+
+      case "dropIndex":
+        return this.#dropIndex(params);
+
+      case "createForeignKey":
+      case "dropForeignKey":
+        return true; // foreign keys are not enforced
+
+      default:
+        throw new Error(`Unsupported schema operation type: ${operation.type}`);
+    }
+  }
+
+  /* =============================================================
+   * Schema Operations
+   * ============================================================= */
+
+  #createTable({ tableName, columns = [], indexes = [] }) {
+    if (!tableName) throw new Error("createTable requires a tableName");
+    if (this.#tables.has(tableName)) return true;
+
+    this.#table(tableName, { create: true });
+
+    for (const col of columns) {
+      if (col.unique || (col.primary && col.name !== "id")) {
+        this.#addUnique(tableName, `${tableName}_${col.name}_key`, [col.name]);
+      }
+    }
+
+    for (const index of indexes) {
+      if (index.primary || !index.unique) continue;
+      this.#addUnique(tableName, index.name, columnNames(index.columns));
+    }
+
+    return true;
+  }
+
+  #addColumn(params) {
+    const tableName = requireParam(params, "addColumn", "tableName");
+    const { column } = params;
+    if (!column?.name) throw new Error("addColumn requires column.name");
+
+    const table = this.#existingTable(tableName);
+    const value =
+      column.default === "NOW()" ? new Date() : (column.default ?? null);
+
+    for (const row of table.rows) {
+      if (!(column.name in row)) row[column.name] = clone(value);
+    }
+
+    if (column.unique) {
+      this.#addUnique(tableName, `${tableName}_${column.name}_key`, [
+        column.name,
+      ]);
+    }
+    return true;
+  }
+
+  #dropColumn(params) {
+    const tableName = requireParam(params, "dropColumn", "tableName");
+    const columnName = requireParam(params, "dropColumn", "columnName");
+
+    const table = this.#existingTable(tableName);
+    for (const row of table.rows) delete row[columnName];
+    table.uniques = table.uniques.filter(
+      unique => !unique.fields.includes(columnName)
+    );
+    return true;
+  }
+
+  #renameColumn(params) {
+    const tableName = requireParam(params, "renameColumn", "tableName");
+    const oldName = requireParam(params, "renameColumn", "oldName");
+    const newName = requireParam(params, "renameColumn", "newName");
+
+    const table = this.#existingTable(tableName);
+    for (const row of table.rows) {
+      if (!(oldName in row)) continue;
+      row[newName] = row[oldName];
+      delete row[oldName];
+    }
+    for (const unique of table.uniques) {
+      unique.fields = unique.fields.map(f => (f === oldName ? newName : f));
+    }
+    return true;
+  }
+
+  #alterColumn(params) {
+    const tableName = requireParam(params, "alterColumn", "tableName");
+    const columnName = requireParam(params, "alterColumn", "columnName");
+
+    this.#existingTable(tableName);
+    if (params.definition?.unique) {
+      this.#addUnique(tableName, `${tableName}_${columnName}_key`, [
+        columnName,
+      ]);
+    }
+    return true;
+  }
+
+  #renameTable(params) {
+    const oldName = requireParam(params, "renameTable", "oldName");
+    const newName = requireParam(params, "renameTable", "newName");
+
+    if (this.#tables.has(newName)) {
+      throw new Error(`Table '${newName}' already exists`);
+    }
+
+    this.#tables.set(newName, this.#existingTable(oldName));
+    this.#tables.delete(oldName);
+    return true;
+  }
+
+  #createIndex(params) {
+    const tableName = requireParam(params, "createIndex", "tableName");
+    const name = requireParam(params, "createIndex", "name");
+
+    this.#existingTable(tableName);
+    if (params.unique) {
+      this.#addUnique(tableName, name, columnNames(params.columns ?? []));
+    }
+    return true;
+  }
+
+  #dropIndex(params) {
+    const name = requireParam(params, "dropIndex", "name");
+
+    for (const [tableName, table] of this.#tables) {
+      if (params.tableName && params.tableName !== tableName) continue;
+      table.uniques = table.uniques.filter(unique => unique.name !== name);
+    }
+    return true;
+  }
+
+  /* =============================================================
+   * Internal Helpers
+   * ============================================================= */
+
+  #assertConnected() {
+    if (!this.connected)
+      throw new ConnectionError("MemoryDriver is not connected.");
+  }
+
+  #assertWritable() {
+    if (this.#readOnly) {
+      throw new Error("Cannot write in a read-only transaction");
+    }
+  }
+
+  #assertInTransaction() {
+    if (!this.#snapshot) {
+      throw new Error("Savepoints require an open transaction");
+    }
+  }
+
+  #savepointTables(name) {
+    this.#assertInTransaction();
+    if (!this.#savepoints.has(name)) {
+      throw new Error(`Savepoint '${name}' does not exist`);
+    }
+    return this.#savepoints.get(name);
+  }
+
+  /** Savepoints created after `name` end with it, as in SQL. */
+  #dropSavepointsAfter(name) {
+    let after = false;
+    for (const key of [...this.#savepoints.keys()]) {
+      if (after) this.#savepoints.delete(key);
+      if (key === name) after = true;
+    }
+  }
+
+  #table(target, { create = false } = {}) {
+    this.#assertConnected();
+
+    let table = this.#tables.get(target);
+    if (!table && create) {
+      table = { rows: [], nextId: 1, uniques: [] };
+      this.#tables.set(target, table);
+    }
+    return table ?? null;
+  }
+
+  #existingTable(target) {
+    const table = this.#table(target);
+    if (!table) throw new Error(`Table '${target}' does not exist`);
+    return table;
+  }
+
+  #select(target, criteria) {
+    const table = this.#table(target);
+    return table ? table.rows.filter(this.#matcher(criteria)) : [];
+  }
+
+  #insert(target, table, entity) {
+    const row = clone(entity);
+    const fields = this.primaryKey(target);
+
+    if (fields.length === 1) {
+      const [field] = fields;
+      if (row[field] === undefined || row[field] === null) {
+        row[field] = table.nextId;
+      }
+      if (Number.isInteger(row[field]) && row[field] >= table.nextId) {
+        table.nextId = row[field] + 1;
+      }
+    }
+
+    this.#checkUnique(target, table, row);
+    table.rows.push(row);
+    return row;
+  }
+
+  /**
+   * Adds a unique constraint, rejecting it when existing rows
+   * already violate it.
+   */
+  #addUnique(target, name, fields) {
+    // Schemas are registered before connect(), so skip #table()
+    if (!this.#tables.has(target)) {
+      this.#tables.set(target, { rows: [], nextId: 1, uniques: [] });
+    }
+    const table = this.#tables.get(target);
+    const uniqueName = name ?? `${target}_${fields.join("_")}_key`;
+    if (table.uniques.some(unique => unique.name === uniqueName)) return;
+
+    const unique = { name: uniqueName, fields: [...fields] };
+    const seen = new Set();
+    for (const row of table.rows) {
+      const key = uniqueKey(row, unique.fields);
+      if (key === null) continue;
+      if (seen.has(key)) {
+        throw new Error(
+          `Cannot add unique constraint '${uniqueName}' on ${target} ` +
+            `(${fields.join(", ")}): existing rows contain duplicates`
+        );
+      }
+      seen.add(key);
+    }
+
+    table.uniques.push(unique);
+  }
+
+  /**
+   * Throws when `row` would duplicate the primary key or a unique key of any
+   * other row in the table. `current` is the stored row being
+   * updated, which is excluded from the check.
+   */
+  #checkUnique(target, table, row, current = null) {
+    const constraints = [
+      { name: `${target}_pkey`, fields: this.primaryKey(target) },
+      ...table.uniques,
+    ];
+
+    for (const { name, fields } of constraints) {
+      const key = uniqueKey(row, fields);
+      if (key === null) continue;
+
+      const conflict = table.rows.some(
+        other => other !== current && uniqueKey(other, fields) === key
+      );
+      if (conflict) {
+        throw new UniqueConstraintError(
+          `Unique constraint '${name}' violated on ${target} (${fields.join(", ")})`,
+          { table: target, constraint: name, fields }
+        );
+      }
+    }
+  }
+
+  /**
+   * Runs a multi-row write so that it applies completely or not at
+   * all.
+   */
+  async #atomic(work) {
+    const before = clone(this.#tables);
+    try {
+      return await work();
+    } catch (err) {
+      this.#tables = before;
+      throw err;
+    }
+  }
+
+  /* =============================================================
+   * Criteria Evaluation
+   * ============================================================= */
+
+  /**
+   * Compiles a portable criteria object into a row predicate.
+   * @param {object} criteria
+   * @returns {(row: object) => boolean}
+   */
+  #matcher(criteria = {}) {
+    const root = parseCriteria(criteria);
+    return row => this.#evaluate(root, row);
+  }
+
+  #evaluate(node, row) {
+    switch (node.type) {
+      case "and":
+        return node.nodes.every(n => this.#evaluate(n, row));
+
+      case "or":
+        return node.nodes.some(n => this.#evaluate(n, row));
+
+      case "not":
+        return !this.#evaluate(node.node, row);
+
+      case "compare":
+        return this.#compare(node, row);
+
+      default:
+        throw new Error(`Unsupported criteria node type: ${node.type}`);
+    }
+  }
+
+  #compare({ field, operator, value }, row) {
+    const actual = row[field] ?? null;
+    const isNull = actual === null;
+
+    switch (operator) {
+      case "$eq":
+        return !isNull && equals(actual, value);
+      case "$ne":
+        return isNull || !equals(actual, value);
+      case "$gt":
+        return !isNull && compareValues(actual, value) > 0;
+      case "$gte":
+        return !isNull && compareValues(actual, value) >= 0;
+      case "$lt":
+        return !isNull && compareValues(actual, value) < 0;
+      case "$lte":
+        return !isNull && compareValues(actual, value) <= 0;
+      case "$in":
+        return !isNull && value.some(v => equals(actual, v));
+      case "$nin":
+        return isNull || !value.some(v => equals(actual, v));
+      case "$like":
+        return !isNull && likeToRegExp(value).test(String(actual));
+      case "$ilike":
+        return !isNull && likeToRegExp(value, true).test(String(actual));
+      case "$isNull":
+        return value ? isNull : !isNull;
+      case "$between":
+        return (
+          !isNull &&
+          compareValues(actual, value[0]) >= 0 &&
+          compareValues(actual, value[1]) <= 0
+        );
+      default:
+        throw new Error(`Unsupported criteria operator: ${operator}`);
+    }
+  }
+}
+
+function clone(value) {
+  return structuredClone(value);
+}
+
+function requireParam(params, operation, name) {
+  if (!params[name]) throw new Error(`${operation} requires ${name}`);
+  return params[name];
+}
+
+function columnNames(columns) {
+  return columns.map(col => (typeof col === "string" ? col : col.name));
+}
+
+// Dates compare by time; everything else by value
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(a, b) {
+  return comparable(a) === comparable(b);
+}
+
+function compareValues(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function compareForSort(a, b) {
+  const aNull = a === undefined || a === null;
+  const bNull = b === undefined || b === null;
+  if (aNull || bNull) return aNull === bNull ? 0 : aNull ? 1 : -1;
+  return compareValues(a, b);
+}
+
+/**
+ * Key identifying a row's values for a unique constraint, or null
+ * when any of them is NULL (NULLs never conflict).
+ */
+function uniqueKey(row, fields) {
+  const values = fields.map(field => row[field] ?? null);
+  if (values.some(value => value === null)) return null;
+  // JSON cannot hold BigInts; tag them so 5n and 5 stay distinct
+  return JSON.stringify(values.map(comparable), (key, value) =>
+    typeof value === "bigint" ? { bigint: value.toString() } : value
+  );
+}
@@ -0,0 +1,1263 @@
+// ./lib/drivers/driver-mongodb.js
+
+import BaseDriver from "./driver-base.js";
+import { SSL_MODES } from "../connectionUrl.js";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  NotNullError,
+  TimeoutError,
+  UniqueConstraintError,
+} from "../errors.js";
+import { parseCriteria, likeToRegExp } from "../criteria.js";
+import { parseQueryOptions } from "../queryOptions.js";
+import { parseTransactionOptions } from "../transactionOptions.js";
+
+const MIGRATIONS_COLLECTION = "turbo_migrations";
+
+// Operation column types -> JSON-schema bsonType (JSON columns accept
+// any value and get no bsonType)
+const BSON_TYPES = {
+  INTEGER: ["int", "long"],
+  BIGINT: ["long", "int"],
+  NUMERIC: ["int", "long", "double", "decimal"],
+  DECIMAL: ["decimal"],
+  BOOLEAN: ["bool"],
+  DATE: ["date"],
+  TIME: ["string"],
+  TIMESTAMP: ["date"],
+  VARCHAR: ["string"],
+  TEXT: ["string"],
+  UUID: ["string"],
+  BINARY: ["binData"],
+  ARRAY: ["array"],
+};
+
+// Error classes of the mongodb package for unreachable servers
+const TRANSIENT_ERROR_NAMES = new Set([
+  "MongoNetworkError",
+  "MongoNetworkTimeoutError",
+  "MongoServerSelectionError",
+]);
+
+// Server codes: HostUnreachable, ShutdownInProgress, PrimarySteppedDown,
+// InterruptedAtShutdown, InterruptedDueToReplStateChange, NotWritablePrimary
+const TRANSIENT_ERROR_CODES = new Set([6, 91, 189, 11600, 11602, 10107]);
+
+// WriteConflict: another transaction modified the same document
+const WRITE_CONFLICT = 112;
+
+// Server codes mapped by mapError()
+const DUPLICATE_KEY_CODES = new Set([11000, 11001]);
+const DOCUMENT_VALIDATION_FAILURE = 121;
+const MAX_TIME_MS_EXPIRED = 50;
+
+// Aggregation stages that write, rejected in read-only transactions
+const WRITE_STAGES = ["$out", "$merge"];
+
+// Transaction isolation -> read concern. Snapshot reads committed with
+// a majority write concern are the strongest isolation MongoDB offers.
+const READ_CONCERNS = {
+  "read uncommitted": "local",
+  "read committed": "majority",
+  "repeatable read": "snapshot",
+  serializable: "snapshot",
+};
+
+/**
+ * MongoDBDriver
+ * -------------------------------------------------------------
+ * Concrete database driver for MongoDB.
+ *
+ * This class implements the BaseDriver interface using the official
+ * MongoDB Node.js driver. It adapts MongoDB's document-oriented API
+ * to a normalized driver contract shared with SQL-based drivers
+ * (MySQL, Postgres, SQLite, etc).
+ *
+ * Configuration (config.database), validated on construction:
+ * - uri, or db_host / db_port / db_username / db_password
+ * - dbName or db_name (taken from the uri path when a url is given
+ *   to Database)
+ * - db_sslmode, db_pool_max, db_pool_min: mapped to MongoClient's
+ *   tls, maxPoolSize and minPoolSize options
+ *
+ * Key characteristics:
+ * - Lazy-loads the `mongodb` package to avoid forcing installations
+ *   in projects that do not use MongoDB.
+ * - Treats collections as "targets" to match the BaseDriver API.
+ * - Normalizes CRUD and transaction semantics where possible:
+ *   - Documents are returned with `id` instead of `_id` (unless the
+ *     schema declares `_id` as its primary key); ObjectIds become hex
+ *     strings. Entities and criteria may use `id` (or `_id`), and
+ *     24-character hex strings are converted back to ObjectIds.
+ *   - Other primary keys (see lib/primaryKey.js) are stored as
+ *     regular fields next to the generated `_id`.
+ *   - Writes return the stored documents, like the SQL drivers.
+ *   - While a transaction is open every operation runs in its
+ *     session. Isolation options become the session's read and
+ *     write concerns; read-only transactions reject the driver's
+ *     writes (MongoDB has no server-side read-only transaction, so
+ *     raw query() callbacks are not checked).
+ * - Migration operations map onto collections, indexes and
+ *   `$jsonSchema` validators. MongoDB does not allow most DDL inside
+ *   a transaction, so operations run outside the active session.
+ */
+export default class MongoDBDriver extends BaseDriver {
+  static configSchema = {
+    ...BaseDriver.configSchema,
+    strict: true,
+    uri: { type: "string", trim: true, allowEmpty: false },
+    dbName: { type: "string", trim: true, allowEmpty: false },
+    db_name: { type: "string", trim: true, allowEmpty: false },
+    db_host: { type: "string", trim: true, allowEmpty: false },
+    db_port: { type: "integer", minValue: 1, maxValue: 65535 },
+    db_username: { type: "string", trim: true },
+    db_password: { type: "string" },
+    db_sslmode: {
+      type: "enum",
+      values: SSL_MODES,
+      trim: true,
+      lowercase: true,
+    },
+    db_pool_max: { type: "integer", minValue: 1 },
+    db_pool_min: { type: "integer", minValue: 0 },
+    // Query options of a connection url; MongoClient reads them from `uri`
+    db_options: { type: "object" },
+  };
+
+  /**
+   * @param {object} config
+   * @param {object} config.database
+   * @param {string} [config.database.uri]     MongoDB connection URI
+   * @param {string} [config.database.db_host] Host used when no uri is given
+   * @param {number} [config.database.db_port=27017]
+   * @param {string} [config.database.db_username]
+   * @param {string} [config.database.db_password]
+   * @param {string} config.database.dbName    Database name (or db_name)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    // Active MongoDB client connection
+    this.client = null;
+
+    // Selected database instance
+    this.db = null;
+
+    // Active session used for transactions
+    this.session = null;
+
+    // True while a readOnly startTransaction() session is open
+    this.readOnly = false;
+
+    // MongoDB driver references (loaded lazily)
+    this.MongoClient = null;
+    this.ObjectId = null;
+    this.Decimal128 = null;
+
+    // Connection configuration
+    const database = this.validateConfig();
+    this.uri = database.uri ?? buildUri(database);
+    this.dbName = database.dbName ?? database.db_name;
+    this.clientOptions = toClientOptions(database);
+
+    // Enforce required configuration early
+    if (!this.uri || !this.dbName) {
+      throw new Error(
+        "MongoDBDriver requires `uri` (or `db_host`) and `dbName` (or `db_name`) in config.database."
+      );
+    }
+  }
+
+  /**
+   * Lazily imports the MongoDB Node.js driver.
+   *
+   * This keeps MongoDB as an optional dependency and avoids
+   * loading native bindings until a MongoDB driver instance
+   * is actually used.
+   */
+  async #loadDriver() {
+    if (this.MongoClient && this.ObjectId) return;
+
+    try {
+      const mongodb = await import("mongodb");
+      this.MongoClient = mongodb.MongoClient;
+      this.ObjectId = mongodb.ObjectId;
+      this.Decimal128 = mongodb.Decimal128;
+    } catch {
+      throw new Error(
+        "Failed to load 'mongodb'. Install it with `npm install mongodb`."
+      );
+    }
+  }
+
+  /* =============================================================
+   * Connection Management
+   * ============================================================= */
+
+  /**
+   * Establishes a connection to MongoDB.
+   *
+   * This method is idempotent; calling it multiple times
+   * will not create multiple connections.
+   */
+  async connect() {
+    await this.#loadDriver();
+    if (this.client) return;
+
+    this.client = new this.MongoClient(this.uri, this.clientOptions);
+
+    await this.client.connect();
+    this.db = this.client.db(this.dbName);
+  }
+
+  /**
+   * Closes the MongoDB connection and clears internal state.
+   */
+  async disconnect() {
+    if (!this.client) return;
+
+    if (this.session) {
+      await this.session.endSession();
+      this.session = null;
+    }
+
+    await this.client.close();
+    this.client = null;
+    this.db = null;
+  }
+
+  isTransientError(err) {
+    return (
+      super.isTransientError(err) ||
+      TRANSIENT_ERROR_NAMES.has(err?.name) ||
+      TRANSIENT_ERROR_CODES.has(err?.code)
+    );
+  }
+
+  /**
+   * The server labels errors after which the whole transaction may be
+   * retried (write conflicts, elections) as TransientTransactionError.
+   */
+  isTransactionConflict(err) {
+    return (
+      err?.hasErrorLabel?.("TransientTransactionError") === true ||
+      err?.code === WRITE_CONFLICT
+    );
+  }
+
+  /**
+   * Maps duplicate keys, `$jsonSchema` validation failures and
+   * maxTimeMS expiry to lib/errors.js classes. A document missing a
+   * required field becomes a NotNullError, like a NULL in SQL.
+   */
+  mapError(err) {
+    const message = err?.message ?? "";
+    const table = /collection: [^.\s]+\.(\S+)/.exec(message)?.[1];
+
+    if (DUPLICATE_KEY_CODES.has(err?.code)) {
+      const pattern = err.keyPattern ?? err.keyValue ?? {};
+      return new UniqueConstraintError(message, {
+        cause: err,
+        table,
+        constraint: /index: (\S+)/.exec(message)?.[1],
+        fields: Object.keys(pattern).map(fromFieldName),
+      });
+    }
+
+    if (err?.code === DOCUMENT_VALIDATION_FAILURE) {
+      const missing = missingRequiredFields(err.errInfo);
+      if (missing.length) {
+        return new NotNullError(message, {
+          cause: err,
+          table,
+          field: fromFieldName(missing[0]),
+        });
+      }
+      return new CheckConstraintError(message, { cause: err, table });
+    }
+
+    if (err?.code === MAX_TIME_MS_EXPIRED) {
+      return new TimeoutError(message, { cause: err });
+    }
+
+    return super.mapError(err);
+  }
+
+  /** True while a transaction session is open. */
+  get inTransaction() {
+    return Boolean(this.currentTransaction || this.session);
+  }
+
+  /**
+   * Runs the `ping` admin command.
+   */
+  async ping() {
+    if (!this.db) throw new ConnectionError("MongoDBDriver is not connected.");
+    await this.db.command({ ping: 1 });
+  }
+
+  /**
+   * Returns the server version from the `buildInfo` command.
+   */
+  async serverVersion() {
+    if (!this.db) throw new ConnectionError("MongoDBDriver is not connected.");
+    const info = await this.db.command({ buildInfo: 1 });
+    return info?.version ?? null;
+  }
+
+  /* =============================================================
+   * Criteria Translation
+   * ============================================================= */
+
+  /**
+   * Translates a portable criteria object (see lib/criteria.js)
+   * into a native MongoDB filter document. `id` is mapped to `_id`.
+   *
+   * @param {object} criteria
+   * @returns {object} MongoDB filter
+   */
+  buildFilter(criteria = {}) {
+    return this.#translateNode(parseCriteria(criteria));
+  }
+
+  #translateNode(node) {
+    switch (node.type) {
+      case "and": {
+        const filters = node.nodes.map(n => this.#translateNode(n));
+        if (!filters.length) return {};
+        return filters.length === 1 ? filters[0] : { $and: filters };
+      }
+
+      case "or": {
+        // MongoDB rejects an empty $or, so match nothing explicitly
+        if (!node.nodes.length) return { $expr: false };
+        return { $or: node.nodes.map(n => this.#translateNode(n)) };
+      }
+
+      case "not":
+        return { $nor: [this.#translateNode(node.node)] };
+
+      case "compare":
+        return this.#translateComparison(node);
+
+      default:
+        throw new Error(`Unsupported criteria node type: ${node.type}`);
+    }
+  }
+
+  #translateComparison({ field, operator, value }) {
+    const name = toFieldName(field);
+    const isId = name === "_id";
+    const id = v => (isId ? this.#toId(v) : v);
+
+    switch (operator) {
+      case "$eq":
+      case "$ne":
+      case "$gt":
+      case "$gte":
+      case "$lt":
+      case "$lte":
+        return { [name]: { [operator]: id(value) } };
+      case "$in":
+      case "$nin":
+        return { [name]: { [operator]: value.map(id) } };
+      case "$like":
+        return { [name]: { $regex: likeToRegExp(value) } };
+      case "$ilike":
+        return { [name]: { $regex: likeToRegExp(value, true) } };
+      case "$isNull":
+        return { [name]: value ? null : { $ne: null } };
+      case "$between":
+        return { [name]: { $gte: id(value[0]), $lte: id(value[1]) } };
+      default:
+        throw new Error(`Unsupported criteria operator: ${operator}`);
+    }
+  }
+
+  /* =============================================================
+   * Create Operations
+   * ============================================================= */
+
+  /**
+   * Inserts a single document into a collection.
+   *
+   * @param {string} target  Collection name
+   * @param {object} entity Document to insert
+   * @returns {object} Inserted entity including its generated id
+   */
+  async insertOne(target, entity) {
+    this.#assertWritable();
+    const doc = this.#toDocument(target, entity);
+    const { insertedId } = await this.#collection(target).insertOne(
+      doc,
+      this.#options()
+    );
+    return this.#fromDocument(target, { ...doc, _id: insertedId });
+  }
+
+  /**
+   * Inserts multiple documents into a collection.
+   *
+   * @param {string} target
+   * @param {object[]} entities
+   * @returns {object[]} Inserted entities including their ids
+   */
+  async insertMany(target, entities) {
+    this.#assertWritable();
+    if (!entities.length) return [];
+
+    const docs = entities.map(entity => this.#toDocument(target, entity));
+    const { insertedIds } = await this.#collection(target).insertMany(
+      docs,
+      this.#options()
+    );
+    return docs.map((doc, i) =>
+      this.#fromDocument(target, { ...doc, _id: insertedIds[i] })
+    );
+  }
+
+  /* =============================================================
+   * Read Operations
+   * ============================================================= */
+
+  /**
+   * Finds a single document matching criteria.
+   */
+  async findOne(target, criteria) {
+    const doc = await this.#collection(target).findOne(
+      this.buildFilter(criteria),
+      this.#options()
+    );
+    return this.#fromDocument(target, doc);
+  }
+
+  /**
+   * Finds all documents matching criteria.
+   *
+   * Ordering, paging and projection options (see lib/queryOptions.js)
+   * map onto native sort / skip / limit / projection.
+   */
+  async findMany(target, criteria, options = {}) {
+    const { orderBy, limit, offset, select, exclude } =
+      parseQueryOptions(options);
+
+    // MongoDB treats limit(0) as "no limit"
+    if (limit === 0) return [];
+
+    const fields = select?.map(toFieldName);
+    const projection = fields
+      ? Object.fromEntries([
+          ["_id", fields.includes("_id") ? 1 : 0],
+          ...fields.filter(field => field !== "_id").map(field => [field, 1]),
+        ])
+      : exclude
+        ? Object.fromEntries(exclude.map(field => [toFieldName(field), 0]))
+        : undefined;
+
+    let cursor = this.#collection(target).find(
+      this.buildFilter(criteria),
+      this.#options({ projection })
+    );
+
+    if (orderBy.length) {
+      cursor = cursor.sort(
+        Object.fromEntries(
+          orderBy.map(({ field, direction }) => [
+            toFieldName(field),
+            direction === "desc" ? -1 : 1,
+          ])
+        )
+      );
+    }
+
+    if (offset) cursor = cursor.skip(offset);
+    if (limit !== undefined) cursor = cursor.limit(limit);
+
+    const docs = await cursor.toArray();
+    return docs.map(doc => this.#fromDocument(target, doc));
+  }
+
+  /**
+   * Finds a document by its primary identifier.
+   */
+  async findById(target, id) {
+    return this.findOne(target, this.idCriteria(target, id));
+  }
+
+  /**
+   * Counts documents matching criteria.
+   */
+  async count(target, criteria) {
+    return this.#collection(target).countDocuments(
+      this.buildFilter(criteria),
+      this.#options()
+    );
+  }
+
+  /**
+   * Checks if at least one document exists for criteria.
+   */
+  async exists(target, criteria) {
+    const doc = await this.#collection(target).findOne(
+      this.buildFilter(criteria),
+      this.#options({ projection: { _id: 1 } })
+    );
+
+    return Boolean(doc);
+  }
+
+  /* =============================================================
+   * Update Operations
+   * ============================================================= */
+
+  /**
+   * Updates a single document by primary key and returns the updated
+   * document.
+   */
+  async updateOne(target, entity) {
+    this.#assertWritable();
+    const { filter, updates } = this.#splitKey(target, entity, "updateOne");
+
+    // MongoDB rejects an empty $set
+    if (!Object.keys(updates).length) {
+      const doc = await this.#collection(target).findOne(
+        filter,
+        this.#options()
+      );
+      return this.#fromDocument(target, doc);
+    }
+
+    const doc = await this.#collection(target).findOneAndUpdate(
+      filter,
+      { $set: updates },
+      this.#options({ returnDocument: "after" })
+    );
+
+    return this.#fromDocument(target, doc);
+  }
+
+  /**
+   * Updates multiple documents individually.
+   *
+   * MongoDB does not support multi-document updates with
+   * distinct payloads, so this is executed as multiple
+   * updateOne operations.
+   */
+  async updateMany(target, entities) {
+    const updatedDocs = [];
+    for (const entity of entities) {
+      updatedDocs.push(await this.updateOne(target, entity));
+    }
+    return updatedDocs;
+  }
+
+  /**
+   * Inserts or updates a document based on primary key presence.
+   */
+  async upsert(target, entity) {
+    this.#assertWritable();
+    const idKey = isIdKey(this.primaryKey(target));
+    if (idKey && this.#toDocument(target, entity)._id === undefined) {
+      return this.insertOne(target, entity);
+    }
+
+    const { filter, updates } = this.#splitKey(target, entity, "upsert");
+
+    // MongoDB rejects an empty $set
+    if (!Object.keys(updates).length) {
+      const doc = await this.#collection(target).findOne(
+        filter,
+        this.#options()
+      );
+      return this.#fromDocument(target, doc) ?? this.insertOne(target, entity);
+    }
+
+    const doc = await this.#collection(target).findOneAndUpdate(
+      filter,
+      { $set: updates },
+      this.#options({ upsert: true, returnDocument: "after" })
+    );
+
+    return this.#fromDocument(target, doc);
+  }
+
+  /* =============================================================
+   * Delete Operations
+   * ============================================================= */
+
+  /**
+   * Deletes a single document by primary key and returns the deleted
+   * document.
+   */
+  async deleteOne(target, entity) {
+    this.#assertWritable();
+    const { filter } = this.#splitKey(target, entity, "deleteOne");
+
+    const doc = await this.#collection(target).findOneAndDelete(
+      filter,
+      this.#options()
+    );
+
+    return this.#fromDocument(target, doc);
+  }
+
+  /**
+   * Deletes multiple documents by id, or every document matching
+   * a criteria object, and returns the deleted documents.
+   */
+  async deleteMany(target, entitiesOrCriteria = {}) {
+    this.#assertWritable();
+    if (Array.isArray(entitiesOrCriteria)) {
+      const deletedDocs = [];
+      for (const entity of entitiesOrCriteria) {
+        deletedDocs.push(await this.deleteOne(target, entity));
+      }
+      return deletedDocs;
+    }
+
+    const collection = this.#collection(target);
+    const docs = await collection
+      .find(this.buildFilter(entitiesOrCriteria), this.#options())
+      .toArray();
+
+    if (!docs.length) return [];
+
+    await collection.deleteMany(
+      { _id: { $in: docs.map(doc => doc._id) } },
+      this.#options()
+    );
+
+    return docs.map(doc => this.#fromDocument(target, doc));
+  }
+
+  /**
+   * Deletes all documents from a collection.
+   */
+  async deleteAll(target) {
+    this.#assertWritable();
+    const result = await this.#collection(target).deleteMany(
+      {},
+      this.#options()
+    );
+    return result.deletedCount;
+  }
+
+  /* =============================================================
+   * Advanced Operations
+   * ============================================================= */
+
+  /**
+   * Executes an aggregation pipeline.
+   *
+   * Accepts either a full pipeline array or a single stage.
+   */
+  async aggregate(target, pipelineOrCriteria) {
+    const pipeline = Array.isArray(pipelineOrCriteria)
+      ? pipelineOrCriteria
+      : [pipelineOrCriteria];
+    if (pipeline.some(stage => WRITE_STAGES.some(name => name in stage))) {
+      this.#assertWritable();
+    }
+
+    return this.#collection(target)
+      .aggregate(pipeline, this.#options())
+      .toArray();
+  }
+
+  /**
+   * Executes a raw MongoDB operation.
+   *
+   * The provided function receives the database instance
+   * and the execution options, including the active session.
+   */
+  async query(rawQuery, options = {}) {
+    if (typeof rawQuery !== "function") {
+      throw new Error(
+        "MongoDBDriver.query expects a function receiving (db, options)."
+      );
+    }
+
+    return rawQuery(this.db, this.#options(options));
+  }
+
+  /* =============================================================
+   * Transaction Management
+   * ============================================================= */
+
+  /**
+   * Starts a session transaction for transaction(); operations in the
+   * callback's async context run in it.
+   */
+  async openTransaction(options) {
+    if (!this.client) {
+      throw new ConnectionError("MongoDBDriver is not connected.");
+    }
+
+    const session = this.client.startSession();
+    session.startTransaction(toTransactionOptions(options));
+    return { session };
+  }
+
+  /**
+   * Commits or aborts a transaction() transaction and ends its session.
+   */
+  async closeTransaction({ session }, commit) {
+    try {
+      if (commit) await session.commitTransaction();
+      else await session.abortTransaction();
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Starts a MongoDB transaction using a client session.
+   * Transactions require a replica set or sharded cluster.
+   */
+  async startTransaction(options = {}) {
+    if (!this.client) {
+      throw new ConnectionError("MongoDBDriver is not connected.");
+    }
+
+    const settings = parseTransactionOptions(options);
+    this.session = this.client.startSession();
+    this.session.startTransaction(toTransactionOptions(settings));
+    this.readOnly = settings.readOnly === true;
+  }
+
+  /**
+   * Commits the active transaction and releases the session.
+   */
+  async commitTransaction() {
+    if (!this.session) return;
+
+    try {
+      await this.session.commitTransaction();
+    } finally {
+      await this.session.endSession();
+      this.session = null;
+      this.readOnly = false;
+    }
+  }
+
+  /**
+   * Rolls back the active transaction and releases the session.
+   */
+  async rollbackTransaction() {
+    if (!this.session) return;
+
+    try {
+      await this.session.abortTransaction();
+    } finally {
+      await this.session.endSession();
+      this.session = null;
+      this.readOnly = false;
+    }
+  }
+
+  /* =============================================================
+   * Migration Contract
+   * ============================================================= */
+
+  /**
+   * Creates the turbo_migrations collection. Migration ids are
+   * stored as `_id`, so they are unique without an extra index.
+   */
+  async ensureMigrationTable() {
+    await this.#ensureCollection(MIGRATIONS_COLLECTION);
+  }
+
+  async fetchAppliedIds() {
+    const docs = await this.#collection(MIGRATIONS_COLLECTION)
+      .find({}, this.#options({ projection: { _id: 1 } }))
+      .toArray();
+    return docs.map(doc => doc._id);
+  }
+
+  async recordAppliedMigration(id) {
+    await this.#collection(MIGRATIONS_COLLECTION).insertOne(
+      { _id: id, executed_at: new Date() },
+      this.#options()
+    );
+  }
+
+  async recordRolledBackMigration(id) {
+    await this.#collection(MIGRATIONS_COLLECTION).deleteOne(
+      { _id: id },
+      this.#options()
+    );
+  }
+
+  /* =============================================================
+   * Operation Dispatcher
+   *
+   * Column definitions use the Operation shape:
+   *   { name, type, length, required, unique, primary,
+   *     autoIncrement, default }
+   * and become `$jsonSchema` validator properties. A primary `id`
+   * column maps onto `_id`. Columns with a default are not listed
+   * as required, because MongoDB cannot fill defaults in.
+   * ============================================================= */
+
+  async executeOperation(operation) {
+    switch (operation.type) {
+      case "createTable":
+        return this.#createCollection(operation.params);
+
+      case "dropTable":
+        return this.#dropCollection(operation.params);
+
+      case "addColumn":
+        return this.#addField(operation.params);
+
+      case "dropColumn":
+        return this.#dropField(operation.params);
+
+      case "alterColumn":
+        return this.#alterField(operation.params);
+
+      case "renameColumn":
+        return this.#renameField(operation.params);
+
+      case "createIndex":
+        return this.#createIndex(operation.params);
+
+      case "dropIndex":
+        return this.#dropIndex(operation.params);
+
+      case "renameTable":
+        return this.#renameCollection(operation.params);
+
+      case "createForeignKey":
+      case "dropForeignKey":
+        throw new Error(
+          `MongoDBDriver does not support '${operation.type}' operations`
+        );
+
+      default:
+        throw new Error(`Unsupported schema operation type: ${operation.type}`);
+    }
+  }
+
+  /* =============================================================
+   * Schema Operations
+   * ============================================================= */
+
+  async #createCollection({ tableName, columns = [], indexes = [] }) {
+    if (!tableName) throw new Error("createTable requires a tableName");
+
+    const properties = {};
+    const required = [];
+    for (const col of columns) {
+      if (col.primary && col.name === "id") continue; // stored as _id
+      properties[col.name] = toSchemaProperty(col);
+      if (isRequired(col)) required.push(col.name);
+    }
+
+    await this.#ensureCollection(tableName, {
+      validator: toValidator({ properties, required }),
+    });
+
+    for (const index of indexes) {
+      // _id is always the primary key and always unique
+      if (index.columns.length === 1 && index.columns[0].name === "id")
+        continue;
+      await this.#createIndex({ tableName, ...index });
+    }
+
+    return true;
+  }
+
+  async #dropCollection({ tableName }) {
+    if (!tableName) throw new Error("dropTable requires tableName");
+    if (await this.#collectionInfo(tableName)) {
+      await this.db.dropCollection(tableName);
+    }
+    return true;
+  }
+
+  async #addField({ tableName, column }) {
+    if (!tableName || !column?.name)
+      throw new Error("addColumn requires tableName and column.name");
+
+    await this.#updateSchema(tableName, schema => {
+      schema.properties[column.name] = toSchemaProperty(column);
+      schema.required = schema.required.filter(name => name !== column.name);
+      if (isRequired(column)) schema.required.push(column.name);
+    });
+
+    if (column.default !== undefined && column.default !== null) {
+      await this.#collection(tableName).updateMany(
+        { [column.name]: { $exists: false } },
+        { $set: { [column.name]: toDefaultValue(column.default) } }
+      );
+    }
+    return true;
+  }
+
+  async #dropField({ tableName, columnName }) {
+    if (!tableName || !columnName)
+      throw new Error("dropColumn requires tableName and columnName");
+
+    await this.#updateSchema(tableName, schema => {
+      delete schema.properties[columnName];
+      schema.required = schema.required.filter(name => name !== columnName);
+    });
+    await this.#collection(tableName).updateMany(
+      {},
+      { $unset: { [columnName]: "" } }
+    );
+    return true;
+  }
+
+  async #alterField({ tableName, columnName, definition }) {
+    if (!tableName || !columnName || !definition)
+      throw new Error(
+        "alterColumn requires tableName, columnName and definition"
+      );
+
+    return this.#addField({
+      tableName,
+      column: { ...definition, name: columnName },
+    });
+  }
+
+  async #renameField({ tableName, oldName, newName }) {
+    if (!tableName || !oldName || !newName)
+      throw new Error("renameColumn requires tableName, oldName and newName");
+
+    // Relax the validator first so the renamed documents pass it
+    let property;
+    await this.#updateSchema(tableName, schema => {
+      property = schema.properties[oldName];
+      delete schema.properties[oldName];
+    });
+
+    await this.#collection(tableName).updateMany(
+      { [oldName]: { $exists: true } },
+      { $rename: { [oldName]: newName } }
+    );
+
+    await this.#updateSchema(tableName, schema => {
+      if (property) schema.properties[newName] = property;
+      schema.required = schema.required.map(name =>
+        name === oldName ? newName : name
+      );
+    });
+    return true;
+  }
+
+  async #createIndex({ tableName, name, columns = [], unique }) {
+    if (!tableName || !name || !columns.length)
+      throw new Error("createIndex requires tableName, name and columns");
+
+    const spec = Object.fromEntries(
+      columns.map(col => {
+        const { name: colName, order = "ASC" } =
+          typeof col === "string" ? { name: col } : col;
+        return [toFieldName(colName), order === "DESC" ? -1 : 1];
+      })
+    );
+
+    await this.#collection(tableName).createIndex(spec, {
+      name,
+      unique: Boolean(unique),
+    });
+    return true;
+  }
+
+  async #dropIndex({ tableName, name }) {
+    if (!tableName || !name)
+      throw new Error("dropIndex requires tableName and name");
+
+    await this.#collection(tableName).dropIndex(name);
+    return true;
+  }
+
+  async #renameCollection({ oldName, newName }) {
+    if (!oldName || !newName)
+      throw new Error("renameTable requires oldName and newName");
+
+    await this.#collection(oldName).rename(newName);
+    return true;
+  }
+
+  /* =============================================================
+   * Internal Helpers
+   * ============================================================= */
+
+  #collection(target) {
+    if (!this.db) throw new ConnectionError("MongoDBDriver is not connected.");
+    return this.db.collection(target);
+  }
+
+  /**
+   * Adds the active transaction session to operation options.
+   */
+  #options(options = {}) {
+    const session = this.currentTransaction?.session ?? this.session;
+    return session ? { ...options, session } : options;
+  }
+
+  /**
+   * Rejects writes inside a readOnly transaction: the one bound to the
+   * current async context, or else the startTransaction() session.
+   */
+  #assertWritable() {
+    const transaction = this.currentTransaction;
+    const readOnly = transaction
+      ? transaction.options?.readOnly === true
+      : this.session !== null && this.readOnly;
+    if (readOnly) {
+      throw new Error("Cannot write in a read-only transaction");
+    }
+  }
+
+  /**
+   * Converts 24-character hex strings into ObjectIds; other ids
+   * (numbers, custom strings, ObjectIds) are used as-is.
+   */
+  #toId(value) {
+    if (typeof value === "string" && /^[0-9a-f]{24}$/i.test(value)) {
+      return new this.ObjectId(value);
+    }
+    return value;
+  }
+
+  /**
+   * Maps an entity onto a MongoDB document (`id` -> `_id`). Values of
+   * decimal fields in the target's registered schema are stored as
+   * Decimal128.
+   */
+  #toDocument(target, entity = {}) {
+    const { id, _id, ...fields } = entity;
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (
+        this.Decimal128 &&
+        this.fieldType(target, field) === "decimal" &&
+        ["string", "number", "bigint"].includes(typeof value)
+      ) {
+        fields[field] = this.Decimal128.fromString(String(value));
+      }
+    }
+
+    const key = _id ?? id;
+    return key === undefined ? fields : { _id: this.#toId(key), ...fields };
+  }
+
+  /**
+   * Maps a MongoDB document onto an entity (`_id` -> `id`, or kept as
+   * `_id` when that is the target's declared primary key). Top-level
+   * Decimal128, Long and generic Binary values become decimal strings,
+   * BigInts and Buffers.
+   */
+  #fromDocument(target, doc) {
+    if (!doc) return null;
+
+    const { _id, ...fields } = doc;
+    if (_id === undefined) return fromBsonValues(fields);
+
+    const id =
+      this.ObjectId && _id instanceof this.ObjectId ? _id.toHexString() : _id;
+    const [key] = this.primaryKey(target);
+    return { [key === "_id" ? "_id" : "id"]: id, ...fromBsonValues(fields) };
+  }
+
+  /**
+   * Splits an entity into the filter selecting its document and the
+   * fields to update. An `id` / `_id` primary key is the document's
+   * `_id`; other keys (including composite ones) are matched as
+   * regular fields.
+   */
+  #splitKey(target, entity, operation) {
+    const fields = this.primaryKey(target);
+
+    if (isIdKey(fields)) {
+      const { _id, ...updates } = this.#toDocument(target, entity);
+      if (_id === undefined) {
+        throw new Error(`${operation} requires \`${fields[0]}\` in entity.`);
+      }
+      return { filter: { _id }, updates };
+    }
+
+    const key = this.keyCriteria(target, entity, operation);
+    const rest = Object.fromEntries(
+      Object.entries(entity).filter(([field]) => !(field in key))
+    );
+    // `_id` is immutable, so it is never part of an update
+    const { _id, ...updates } = this.#toDocument(target, rest);
+    return { filter: this.buildFilter(key), updates };
+  }
+
+  async #collectionInfo(name) {
+    if (!this.db) throw new ConnectionError("MongoDBDriver is not connected.");
+    const [info] = await this.db.listCollections({ name }).toArray();
+    return info ?? null;
+  }
+
+  async #ensureCollection(name, options = {}) {
+    if (await this.#collectionInfo(name)) return;
+    await this.db.createCollection(name, options);
+  }
+
+  /**
+   * Reads a collection's `$jsonSchema` validator, lets `transform`
+   * mutate it ({ properties, required }) and writes it back.
+   */
+  async #updateSchema(tableName, transform) {
+    const info = await this.#collectionInfo(tableName);
+    if (!info) throw new Error(`Collection '${tableName}' does not exist`);
+
+    const current = info.options?.validator?.$jsonSchema ?? {};
+    const schema = {
+      properties: { ...current.properties },
+      required: [...(current.required ?? [])],
+    };
+
+    transform(schema);
+
+    await this.db.command({
+      collMod: tableName,
+      validator: toValidator(schema),
+    });
+  }
+}
+
+/**
+ * Builds a connection URI from db_host / db_port / credentials.
+ */
+function buildUri({ db_host, db_port, db_username, db_password }) {
+  if (!db_host) return undefined;
+
+  const auth = db_username
+    ? `${encodeURIComponent(db_username)}${
+        db_password ? `:${encodeURIComponent(db_password)}` : ""
+      }@`
+    : "";
+
+  return `mongodb://${auth}${db_host}:${db_port || 27017}`;
+}
+
+/**
+ * Maps config.database settings to MongoClient options.
+ */
+function toClientOptions({ db_sslmode, db_pool_max, db_pool_min }) {
+  const options = { ignoreUndefined: true };
+
+  if (db_sslmode) {
+    options.tls = !["disable", "allow"].includes(db_sslmode);
+    if (options.tls && !db_sslmode.startsWith("verify")) {
+      options.tlsAllowInvalidCertificates = true;
+    }
+  }
+
+  if (db_pool_max !== undefined) options.maxPoolSize = db_pool_max;
+  if (db_pool_min !== undefined) options.minPoolSize = db_pool_min;
+
+  return options;
+}
+
+/**
+ * Maps parsed transaction options to ClientSession.startTransaction()
+ * options. timeoutMs also bounds the commit (maxCommitTimeMS); readOnly
+ * is enforced by the driver (see #assertWritable).
+ */
+function toTransactionOptions(options) {
+  const { isolation, timeoutMs } = options;
+  const transactionOptions = {};
+
+  if (isolation) {
+    const level = READ_CONCERNS[isolation];
+    transactionOptions.readConcern = { level };
+    transactionOptions.readPreference = "primary";
+    if (level !== "local") transactionOptions.writeConcern = { w: "majority" };
+  }
+
+  if (timeoutMs) transactionOptions.maxCommitTimeMS = timeoutMs;
+
+  return transactionOptions;
+}
+
+function toFieldName(field) {
+  return field === "id" ? "_id" : field;
+}
+
+function fromFieldName(field) {
+  return field === "_id" ? "id" : field;
+}
+
+/**
+ * Converts the BSON wrappers the mongodb package returns for decimal,
+ * 64-bit and binary values into the JavaScript values ModelSchema
+ * validates (see #fromDocument).
+ */
+function fromBsonValues(fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    switch (value?._bsontype) {
+      case "Decimal128":
+        fields[field] = value.toString();
+        break;
+      case "Long":
+        fields[field] = value.toBigInt();
+        break;
+      case "Binary":
+        if (value.sub_type === 0) {
+          fields[field] = Buffer.from(value.buffer.subarray(0, value.position));
+        }
+        break;
+    }
+  }
+  return fields;
+}
+
+/** Whether a primary key is stored as the document's `_id`. */
+function isIdKey(fields) {
+  return fields.length === 1 && toFieldName(fields[0]) === "_id";
+}
+
+/**
+ * Fields a `$jsonSchema` validation failure reports as missing, from
+ * errInfo.details.schemaRulesNotSatisfied.
+ */
+function missingRequiredFields(errInfo) {
+  const rules = errInfo?.details?.schemaRulesNotSatisfied ?? [];
+  return rules
+    .filter(rule => rule.operatorName === "required")
+    .flatMap(rule => rule.missingProperties ?? []);
+}
+
+function isRequired(col) {
+  return (
+    Boolean(col.required) && (col.default === undefined || col.default === null)
+  );
+}
+
+function toSchemaProperty(col) {
+  if (col.type === "JSON") return {};
+
+  const bsonType = BSON_TYPES[col.type];
+  if (!bsonType) throw new Error(`Unsupported column type: ${col.type}`);
+
+  const property = {
+    bsonType: col.required ? bsonType : [...bsonType, "null"],
+  };
+  if (col.type === "VARCHAR" && col.length) property.maxLength = col.length;
+  if (col.type === "ARRAY" && col.items) {
+    const items = BSON_TYPES[col.items];
+    if (!items) throw new Error(`Unsupported array item type: ${col.items}`);
+    property.items = { bsonType: items };
+  }
+  return property;
+}
+
+function toValidator({ properties, required }) {
+  const schema = { bsonType: "object", properties };
+  if (required.length) schema.required = required;
+  return { $jsonSchema: schema };
+}
+
+function toDefaultValue(value) {
+  return value === "NOW()" ? new Date() : value;
+}
@@ -0,0 +1,1012 @@
+// ./lib/drivers/driver-mysql.js
+
+import { SSL_MODES } from "../connectionUrl.js";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  ForeignKeyError,
+  NotNullError,
+  TimeoutError,
+  UniqueConstraintError,
+} from "../errors.js";
+import { parseTransactionOptions } from "../transactionOptions.js";
+import SQLDriver from "./driver-sql.js";
+
+// Largest LIMIT MySQL accepts; used for OFFSET without LIMIT
+const MAX_LIMIT = "18446744073709551615";
+
+// ModelSchema field types stored in JSON columns
+const JSON_FIELD_TYPES = new Set(["json", "object", "array"]);
+
+// Server errno values mapped by mapError()
+const ER_DUP_ENTRY = 1062;
+const FOREIGN_KEY_ERRNOS = new Set([1216, 1217, 1451, 1452]);
+const NOT_NULL_ERRNOS = new Set([1048, 1364]); // cannot be null, no default
+const ER_CHECK_CONSTRAINT_VIOLATED = 3819;
+const TIMEOUT_ERRNOS = new Set([1205, 3024]); // lock wait, max_execution_time
+
+// mysql2 error codes for lost connections and an unavailable server
+const TRANSIENT_ERROR_CODES = new Set([
+  "PROTOCOL_CONNECTION_LOST",
+  "ER_CON_COUNT_ERROR",
+  "ER_SERVER_SHUTDOWN",
+  "ER_SERVER_GONE_ERROR",
+  "ER_SERVER_LOST",
+]);
+
+/**
+ * MySQLDriver
+ * -------------------------------------------------------------
+ * Concrete relational database driver for MySQL / MariaDB.
+ *
+ * This driver extends SQLDriver and adapts MySQL-specific behavior
+ * to the shared relational driver contract.
+ *
+ * Configuration (config.database), validated on connect():
+ * - db_host, db_port (default 3306), db_name, db_username, db_password
+ * - db_sslmode: disable | allow | prefer | require | verify-ca | verify-full
+ * - db_pool_max: pool connection limit
+ * - db_options: extra options passed to mysql2's createPool as-is
+ *
+ * Key characteristics:
+ * - Uses `mysql2/promise` for async/await support.
+ * - Lazily loads the MySQL driver to keep it an optional dependency.
+ * - Uses connection pooling for normal operations.
+ * - Uses a dedicated connection when running transactions.
+ *
+ * Notes on dialect differences:
+ * - MySQL uses `?` placeholders instead of `$1, $2, ...`
+ * - Identifiers are quoted with backticks.
+ * - MySQL does not support `RETURNING *`
+ *   → inserts, updates and deletes re-select the affected rows
+ *     (by insertId or primary key) so they return the same shape
+ *     as the Postgres and SQLite drivers.
+ * - Upserts use `ON DUPLICATE KEY UPDATE`.
+ */
+export default class MySQLDriver extends SQLDriver {
+  static configSchema = {
+    ...SQLDriver.configSchema,
+    strict: true,
+    db_host: { type: "string", required: true, trim: true, allowEmpty: false },
+    db_port: {
+      type: "integer",
+      required: true,
+      default: 3306,
+      minValue: 1,
+      maxValue: 65535,
+    },
+    db_name: { type: "string", required: true, trim: true, allowEmpty: false },
+    db_username: {
+      type: "string",
+      required: true,
+      trim: true,
+      allowEmpty: false,
+    },
+    db_password: { type: "string", default: "" },
+    db_sslmode: {
+      type: "enum",
+      values: SSL_MODES,
+      trim: true,
+      lowercase: true,
+    },
+    db_pool_max: { type: "integer", minValue: 1 },
+    db_options: { type: "object" },
+  };
+
+  // Columns of each unique index by table, read from
+  // information_schema when a duplicate-key error names an index it
+  // does not hold yet; cleared by DDL
+  #uniqueIndexes = null;
+
+  /**
+   * @param {object} config
+   * @param {object} config.database
+   * @param {string} config.database.db_host
+   * @param {number} [config.database.db_port=3306]
+   * @param {string} config.database.db_name
+   * @param {string} config.database.db_username
+   * @param {string} [config.database.db_password]
+   */
+  constructor(config = {}) {
+    super(config);
+
+    // mysql2 connection configuration (validated in connect())
+    this.config = toPoolOptions(config.database ?? {});
+
+    // Connection pool for normal queries
+    this.pool = null;
+
+    // Active transactional connection (when in a transaction)
+    this.connection = null;
+
+    // Lazily-loaded mysql2 module
+    this.mysql = null;
+  }
+
+  /* =============================================================
+   * Connection Management
+   * ============================================================= */
+
+  /**
+   * Establishes a MySQL connection pool.
+   *
+   * This method is idempotent and safe to call multiple times.
+   */
+  async connect() {
+    if (this.pool) return;
+
+    this.config = toPoolOptions(this.validateConfig());
+
+    if (!this.mysql) {
+      try {
+        this.mysql = await import("mysql2/promise");
+      } catch {
+        throw new Error(
+          "Failed to load 'mysql2'. Install it with `npm install mysql2`."
+        );
+      }
+    }
+
+    this.pool = this.mysql.createPool(this.config);
+    this.db = this.pool;
+    this.#uniqueIndexes = null;
+  }
+
+  /**
+   * Closes the connection pool and clears state.
+   */
+  async disconnect() {
+    if (!this.pool) return;
+
+    await this.pool.end();
+    this.pool = null;
+    this.db = null;
+  }
+
+  /**
+   * Replaces the pool without waiting for the old one to drain, since
+   * its connections may belong to a server that has gone away.
+   */
+  async reconnect() {
+    const stale = this.pool;
+    this.pool = null;
+    this.db = null;
+    this.connection = null;
+
+    stale?.end().catch(() => {});
+    await this.connect();
+  }
+
+  isTransientError(err) {
+    return super.isTransientError(err) || TRANSIENT_ERROR_CODES.has(err?.code);
+  }
+
+  /**
+   * InnoDB reports serialization conflicts as deadlocks and rolls the
+   * transaction back.
+   */
+  isTransactionConflict(err) {
+    return err?.code === "ER_LOCK_DEADLOCK";
+  }
+
+  /**
+   * Maps server errno values to lib/errors.js classes. MySQL names the
+   * columns only in its messages, so they are parsed from there;
+   * duplicate-key errors name the index only, whose columns come from
+   * information_schema (loaded by execute() when such an error occurs).
+   */
+  mapError(err) {
+    const errno = err?.errno;
+    const message = err?.sqlMessage ?? err?.message ?? "";
+
+    if (errno === ER_DUP_ENTRY) {
+      const { table, key } = duplicateKey(message);
+      const index = this.#uniqueIndex(table, key);
+      return new UniqueConstraintError(err.message, {
+        cause: err,
+        table: index?.table ?? table,
+        constraint: key,
+        fields:
+          index?.columns ??
+          (key === "PRIMARY" && table ? this.primaryKey(table) : []),
+      });
+    }
+
+    if (FOREIGN_KEY_ERRNOS.has(errno)) {
+      // ... (`shop`.`orders`, CONSTRAINT `fk` FOREIGN KEY (`user_id`) ...
+      const table = /\(`[^`]*`\.`([^`]+)`/.exec(message)?.[1];
+      const constraint = /CONSTRAINT `([^`]+)`/.exec(message)?.[1];
+      const columns = /FOREIGN KEY \(([^)]+)\)/.exec(message)?.[1];
+      return new ForeignKeyError(err.message, {
+        cause: err,
+        table,
+        constraint,
+        fields: columns ? columns.split(",").map(unquote) : [],
+      });
+    }
+
+    if (NOT_NULL_ERRNOS.has(errno)) {
+      const field = /(?:Column|Field) '([^']+)'/.exec(message)?.[1];
+      return new NotNullError(err.message, { cause: err, field });
+    }
+
+    if (errno === ER_CHECK_CONSTRAINT_VIOLATED) {
+      const constraint = /Check constraint '([^']+)'/.exec(message)?.[1];
+      return new CheckConstraintError(err.message, { cause: err, constraint });
+    }
+
+    if (
+      TIMEOUT_ERRNOS.has(errno) ||
+      err?.code === "PROTOCOL_SEQUENCE_TIMEOUT"
+    ) {
+      return new TimeoutError(err.message, { cause: err });
+    }
+
+    return super.mapError(err);
+  }
+
+  /** True while a transaction holds a dedicated connection. */
+  get inTransaction() {
+    return Boolean(this.currentTransaction || this.connection);
+  }
+
+  /**
+   * Returns the server version, e.g. "8.0.36" or "10.11.6-MariaDB".
+   */
+  async serverVersion() {
+    const [row] = await this.query("SELECT VERSION() AS version");
+    return row?.version ?? null;
+  }
+
+  /* =============================================================
+   * SQL Execution
+   * ============================================================= */
+
+  /**
+   * Executes a SQL statement with parameters and returns mysql2's raw
+   * result: rows for SELECT, a ResultSetHeader (insertId,
+   * affectedRows) for everything else.
+   *
+   * Automatically routes queries to the active transaction
+   * connection if one exists, otherwise uses the pool.
+   *
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   */
+  async execute(sql, params = []) {
+    if (!this.pool) {
+      throw new ConnectionError("MySQLDriver is not connected.");
+    }
+
+    const executor =
+      this.currentTransaction?.connection ?? this.connection ?? this.pool;
+
+    try {
+      const [result] = await executor.query(sql, params);
+      return result;
+    } catch (err) {
+      // Let mapError() name the columns of the violated index
+      if (err?.errno === ER_DUP_ENTRY) {
+        await this.#loadUniqueIndexes(executor, err);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Executes a SQL statement and returns its rows (empty for
+   * statements without a result set).
+   *
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   * @returns {Promise<object[]>}
+   */
+  async query(sql, params = []) {
+    const result = await this.execute(sql, params);
+    return Array.isArray(result) ? result : [];
+  }
+
+  placeholder(idx) {
+    return "?";
+  }
+
+  formatIdentifier(name) {
+    return `\`${String(name).replace(/`/g, "``")}\``;
+  }
+
+  /**
+   * mysql2 expands bound objects into `key = value` lists and arrays
+   * into value lists, so values of json / object / array fields are
+   * serialized here. BigInts are bound as strings.
+   */
+  prepareEntity(target, entity) {
+    let prepared = entity;
+    for (const [field, value] of Object.entries(entity)) {
+      if (
+        value !== null &&
+        typeof value === "object" &&
+        JSON_FIELD_TYPES.has(this.fieldType(target, field))
+      ) {
+        prepared = { ...prepared, [field]: JSON.stringify(value) };
+      } else if (typeof value === "bigint") {
+        prepared = { ...prepared, [field]: String(value) };
+      }
+    }
+    return prepared;
+  }
+
+  /**
+   * MySQL only accepts OFFSET after a LIMIT.
+   */
+  compileLimitOffset(limit, offset) {
+    if (offset !== undefined && limit === undefined) {
+      return `LIMIT ${MAX_LIMIT} OFFSET ${offset}`;
+    }
+    return super.compileLimitOffset(limit, offset);
+  }
+
+  /* =============================================================
+   * DML Methods
+   *
+   * MySQL has no RETURNING clause, so each write is followed by a
+   * SELECT of the affected rows. Deletes select the rows first.
+   * ============================================================= */
+
+  /**
+   * Inserts a single row and returns the inserted record.
+   *
+   * The row is re-selected by its explicit key, or by the generated
+   * insert id.
+   */
+  async insertOne(target, entity) {
+    const result = await this.#insert(target, entity);
+    return this.findOne(target, this.#insertedKey(target, entity, result));
+  }
+
+  /**
+   * Inserts multiple rows and returns the inserted records in input
+   * order. Every row uses the columns of the first entity.
+   *
+   * The insert id of a multi-row INSERT only identifies the first
+   * row (later ids depend on explicit keys and innodb_autoinc_lock_mode),
+   * so rows are inserted one by one in a transaction and re-selected
+   * by their own keys.
+   */
+  async insertMany(target, entities) {
+    if (!entities.length) return [];
+
+    const columns = Object.keys(entities[0]);
+
+    return this.transaction(async () => {
+      const keys = [];
+      for (const entity of entities) {
+        const result = await this.#insert(target, entity, columns);
+        keys.push(this.#insertedKey(target, entity, result));
+      }
+
+      const fields = this.primaryKey(target);
+      if (fields.length > 1) {
+        const rows = [];
+        for (const key of keys) rows.push(await this.findOne(target, key));
+        return rows;
+      }
+
+      const [field] = fields;
+      const ids = keys.map(key => key[field]);
+      const rows = await this.findMany(target, { [field]: { $in: ids } });
+      const byId = new Map(rows.map(row => [String(row[field]), row]));
+
+      return ids.map(id => byId.get(String(id)) ?? null);
+    });
+  }
+
+  /**
+   * Updates a single row and returns the updated record.
+   */
+  async updateOne(target, entity) {
+    entity = this.prepareEntity(target, entity);
+    const key = this.keyCriteria(target, entity, "updateOne");
+
+    const keys = Object.keys(entity).filter(k => !(k in key));
+    if (keys.length) {
+      const setClause = keys
+        .map(k => `${this.formatIdentifier(k)}=${this.placeholder()}`)
+        .join(", ");
+      const { clause, params } = this.buildKeyClause(key);
+
+      await this.execute(
+        `UPDATE ${this.formatIdentifier(target)} SET ${setClause} WHERE ${clause}`,
+        keys.map(k => entity[k]).concat(params)
+      );
+    }
+
+    return this.findOne(target, key);
+  }
+
+  /**
+   * Deletes a single row and returns the deleted record.
+   */
+  async deleteOne(target, entity) {
+    const key = this.keyCriteria(target, entity, "deleteOne");
+
+    const row = await this.findOne(target, key);
+    const { clause, params } = this.buildKeyClause(key);
+    await this.execute(
+      `DELETE FROM ${this.formatIdentifier(target)} WHERE ${clause}`,
+      params
+    );
+
+    return row;
+  }
+
+  /**
+   * Deletes the given entities, or every row matching a criteria
+   * object, and returns the deleted records.
+   */
+  async deleteMany(target, entitiesOrCriteria = {}) {
+    if (Array.isArray(entitiesOrCriteria)) {
+      return super.deleteMany(target, entitiesOrCriteria);
+    }
+
+    const rows = await this.findMany(target, entitiesOrCriteria);
+    if (!rows.length) return [];
+
+    const { clause, params } = this.buildWhereClause(entitiesOrCriteria);
+    const where = clause ? ` WHERE ${clause}` : "";
+    await this.execute(
+      `DELETE FROM ${this.formatIdentifier(target)}${where}`,
+      params
+    );
+
+    return rows;
+  }
+
+  /**
+   * Inserts a row, or updates it when the primary key (or another
+   * unique key) already exists, and returns the stored record.
+   */
+  async upsert(target, entity) {
+    entity = this.prepareEntity(target, entity);
+    const key = this.keyCriteria(target, entity, "upsert");
+
+    const keys = Object.keys(entity);
+    const updates = keys.filter(k => !(k in key));
+
+    // MariaDB has no row alias, so VALUES() is used on both servers;
+    // a no-op assignment keeps the statement valid with only a key.
+    const [first] = Object.keys(key);
+    const setClause = updates.length
+      ? updates
+          .map(
+            k =>
+              `${this.formatIdentifier(k)}=VALUES(${this.formatIdentifier(k)})`
+          )
+          .join(", ")
+      : `${this.formatIdentifier(first)}=${this.formatIdentifier(first)}`;
+
+    await this.execute(
+      `INSERT INTO ${this.formatIdentifier(target)} (${keys
+        .map(k => this.formatIdentifier(k))
+        .join(", ")})
+      VALUES (${keys.map(() => this.placeholder()).join(", ")})
+      ON DUPLICATE KEY UPDATE ${setClause}`,
+      Object.values(entity)
+    );
+
+    return this.findOne(target, key);
+  }
+
+  /* =============================================================
+   * Transaction Management
+   * ============================================================= */
+
+  /**
+   * Checks a connection out of the pool for transaction(); queries in
+   * the callback's async context run on it.
+   */
+  async openTransaction(options) {
+    if (!this.pool) {
+      throw new ConnectionError("MySQLDriver is not connected.");
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await this.#begin(connection, options);
+    } catch (err) {
+      connection.destroy();
+      throw err;
+    }
+    return { connection };
+  }
+
+  /**
+   * Ends a transaction() transaction and returns its connection to the
+   * pool. A connection that fails to commit or roll back is destroyed.
+   */
+  async closeTransaction({ connection }, commit) {
+    try {
+      if (commit) await connection.commit();
+      else await connection.rollback();
+    } catch (err) {
+      connection.destroy();
+      throw err;
+    }
+    connection.release();
+  }
+
+  /**
+   * Starts a transaction using a dedicated connection
+   * from the pool.
+   */
+  async startTransaction(options = {}) {
+    if (!this.pool) {
+      throw new ConnectionError("MySQLDriver is not connected.");
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await this.#begin(connection, options);
+    } catch (err) {
+      connection.destroy();
+      throw err;
+    }
+    this.connection = connection;
+  }
+
+  /**
+   * Begin a transaction on a connection. MySQL applies SET TRANSACTION
+   * to the next transaction only, so it is issued just before it
+   * starts. deferrable has no MySQL equivalent and is ignored.
+   */
+  async #begin(connection, options) {
+    const modes = this.compileTransactionModes(
+      parseTransactionOptions(options)
+    );
+
+    if (modes) await connection.query(`SET TRANSACTION ${modes}`);
+    await connection.beginTransaction();
+  }
+
+  /**
+   * Commits the active transaction and releases the connection.
+   */
+  async commitTransaction() {
+    if (!this.connection) return;
+
+    await this.connection.commit();
+    this.connection.release();
+    this.connection = null;
+  }
+
+  /**
+   * Rolls back the active transaction and releases the connection.
+   */
+  async rollbackTransaction() {
+    if (!this.connection) return;
+
+    await this.connection.rollback();
+    this.connection.release();
+    this.connection = null;
+  }
+
+  /* =============================================================
+   * DDL Methods
+   *
+   * Column definitions use the Operation shape:
+   *   { name, type, length, required, unique, primary,
+   *     autoIncrement, default }
+   * ============================================================= */
+
+  async executeOperation(operation) {
+    try {
+      return await super.executeOperation(operation);
+    } finally {
+      // Indexes may have changed; reload them when next needed
+      this.#uniqueIndexes = null;
+    }
+  }
+
+  async createTable(operation) {
+    const { tableName, columns = [], indexes = [] } = operation.params;
+    if (!tableName) throw new Error("createTable requires a tableName");
+
+    const columnDefs = columns.map(col => this.#columnDefinition(col));
+
+    const primary = columns.filter(col => col.primary);
+    if (primary.length) {
+      columnDefs.push(
+        `PRIMARY KEY (${primary
+          .map(col => this.formatIdentifier(col.name))
+          .join(", ")})`
+      );
+    }
+
+    await this.execute(
+      `CREATE TABLE IF NOT EXISTS ${this.formatIdentifier(
+        tableName
+      )} (${columnDefs.join(", ")}) ENGINE=InnoDB`
+    );
+
+    for (const index of indexes) {
+      if (index.primary) continue; // primary key handled in table
+      await this.createIndex({ params: { tableName, ...index } });
+    }
+
+    return true;
+  }
+
+  async dropTable(operation) {
+    const { tableName } = operation.params;
+    if (!tableName) throw new Error("dropTable requires tableName");
+    await this.execute(
+      `DROP TABLE IF EXISTS ${this.formatIdentifier(tableName)}`
+    );
+    return true;
+  }
+
+  async addColumn(operation) {
+    const { tableName, column } = operation.params;
+    if (!tableName || !column?.name)
+      throw new Error("addColumn requires tableName and column.name");
+
+    await this.execute(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} ADD COLUMN ${this.#columnDefinition(column)}`
+    );
+    return true;
+  }
+
+  async dropColumn(operation) {
+    const { tableName, columnName } = operation.params;
+    if (!tableName || !columnName)
+      throw new Error("dropColumn requires tableName and columnName");
+
+    await this.execute(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} DROP COLUMN ${this.formatIdentifier(columnName)}`
+    );
+    return true;
+  }
+
+  async createIndex(operation) {
+    const { tableName, name, columns = [], unique } = operation.params;
+    if (!tableName || !name || !columns.length)
+      throw new Error("createIndex requires tableName, name and columns");
+
+    const cols = columns
+      .map(col => {
+        const { name: colName, order = "ASC" } =
+          typeof col === "string" ? { name: col } : col;
+        return `${this.formatIdentifier(colName)} ${order}`;
+      })
+      .join(", ");
+
+    await this.execute(
+      `CREATE ${unique ? "UNIQUE " : ""}INDEX ${this.formatIdentifier(
+        name
+      )} ON ${this.formatIdentifier(tableName)} (${cols})`
+    );
+    return true;
+  }
+
+  async dropIndex(operation) {
+    const { tableName, name } = operation.params;
+    if (!tableName || !name)
+      throw new Error("dropIndex requires tableName and name");
+
+    await this.execute(
+      `DROP INDEX ${this.formatIdentifier(name)} ON ${this.formatIdentifier(
+        tableName
+      )}`
+    );
+    return true;
+  }
+
+  async renameTable(operation) {
+    const { oldName, newName } = operation.params;
+    if (!oldName || !newName)
+      throw new Error("renameTable requires oldName and newName");
+
+    await this.execute(
+      `RENAME TABLE ${this.formatIdentifier(
+        oldName
+      )} TO ${this.formatIdentifier(newName)}`
+    );
+    return true;
+  }
+
+  async renameColumn(operation) {
+    const { tableName, oldName, newName } = operation.params;
+    if (!tableName || !oldName || !newName)
+      throw new Error("renameColumn requires tableName, oldName and newName");
+
+    await this.execute(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} RENAME COLUMN ${this.formatIdentifier(
+        oldName
+      )} TO ${this.formatIdentifier(newName)}`
+    );
+    return true;
+  }
+
+  async alterColumn(operation) {
+    const { tableName, columnName, definition } = operation.params;
+    if (!tableName || !columnName || !definition)
+      throw new Error(
+        "alterColumn requires tableName, columnName and definition"
+      );
+
+    await this.execute(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} MODIFY COLUMN ${this.#columnDefinition({
+        ...definition,
+        name: columnName,
+      })}`
+    );
+    return true;
+  }
+
+  async createForeignKey(operation) {
+    const {
+      tableName,
+      name,
+      columns,
+      referencedTable,
+      referencedColumns,
+      onDelete,
+      onUpdate,
+    } = this.#foreignKey(operation.params);
+
+    if (!referencedTable || referencedColumns.length !== columns.length) {
+      throw new Error(
+        "createForeignKey requires referencedTable and one referenced column per column"
+      );
+    }
+
+    const list = names =>
+      names.map(col => this.formatIdentifier(col)).join(", ");
+
+    let sql =
+      `ALTER TABLE ${this.formatIdentifier(tableName)} ` +
+      `ADD CONSTRAINT ${this.formatIdentifier(name)} ` +
+      `FOREIGN KEY (${list(columns)}) ` +
+      `REFERENCES ${this.formatIdentifier(referencedTable)} (${list(
+        referencedColumns
+      )})`;
+    if (onDelete) sql += ` ON DELETE ${onDelete.toUpperCase()}`;
+    if (onUpdate) sql += ` ON UPDATE ${onUpdate.toUpperCase()}`;
+
+    await this.execute(sql);
+    return true;
+  }
+
+  async dropForeignKey(operation) {
+    const { tableName, name } = this.#foreignKey(operation.params);
+
+    await this.execute(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} DROP FOREIGN KEY ${this.formatIdentifier(name)}`
+    );
+    return true;
+  }
+
+  /* =============================================================
+   * Internal Helpers
+   * ============================================================= */
+
+  /**
+   * Caches the columns of every unique index in the database, unless
+   * the index named by a duplicate-key error is already known. Failing
+   * to read them only leaves UniqueConstraintError.fields empty.
+   */
+  async #loadUniqueIndexes(executor, err) {
+    const { table, key } = duplicateKey(err.sqlMessage ?? err.message);
+    if (this.#uniqueIndex(table, key)) return;
+
+    let rows;
+    try {
+      [rows] = await executor.query(
+        `SELECT TABLE_NAME AS table_name, INDEX_NAME AS index_name,
+          COLUMN_NAME AS column_name
+        FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = DATABASE() AND NON_UNIQUE = 0
+        ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX`
+      );
+    } catch {
+      return;
+    }
+
+    const indexes = new Map();
+    for (const row of rows) {
+      if (!indexes.has(row.table_name)) indexes.set(row.table_name, new Map());
+      const columns = indexes.get(row.table_name);
+      if (!columns.has(row.index_name)) columns.set(row.index_name, []);
+      columns.get(row.index_name).push(row.column_name);
+    }
+    this.#uniqueIndexes = indexes;
+  }
+
+  /**
+   * The table and columns of a cached unique index. Without a table
+   * (older servers), the index name must be unique in the database.
+   * @returns {{ table: string, columns: string[] }|null}
+   */
+  #uniqueIndex(table, key) {
+    if (!this.#uniqueIndexes || !key) return null;
+
+    const matches = [...this.#uniqueIndexes].filter(
+      ([name, indexes]) =>
+        (table === undefined || name === table) && indexes.has(key)
+    );
+    if (matches.length !== 1) return null;
+
+    const [[name, indexes]] = matches;
+    return { table: name, columns: indexes.get(key) };
+  }
+
+  /**
+   * Runs a single-row INSERT and returns the ResultSetHeader.
+   * `columns` defaults to the keys of the entity.
+   */
+  async #insert(target, entity, columns) {
+    const prepared = this.prepareEntity(target, entity);
+    const keys = columns ?? Object.keys(prepared);
+
+    return this.execute(
+      `INSERT INTO ${this.formatIdentifier(target)} (${keys
+        .map(k => this.formatIdentifier(k))
+        .join(", ")})
+      VALUES (${keys.map(() => this.placeholder()).join(", ")})`,
+      keys.map(k => prepared[k])
+    );
+  }
+
+  /**
+   * Criteria selecting an inserted row: its explicit key, or the
+   * generated insert id for a single-field key.
+   */
+  #insertedKey(target, entity, result) {
+    const fields = this.primaryKey(target);
+    if (fields.length === 1) {
+      return { [fields[0]]: entity[fields[0]] ?? result.insertId };
+    }
+    return this.keyCriteria(target, entity, "insertOne");
+  }
+
+  #columnType(col) {
+    switch (col.type) {
+      case "INTEGER":
+        return "INT";
+      case "NUMERIC":
+      case "DATE":
+      case "TIME":
+      case "TEXT":
+        return col.type;
+      case "BOOLEAN":
+        return "TINYINT(1)";
+      case "TIMESTAMP":
+        return "DATETIME";
+      case "VARCHAR":
+        return `VARCHAR(${col.length || 255})`;
+      case "BIGINT":
+      case "JSON":
+        return col.type;
+      // A bare DECIMAL is DECIMAL(10, 0) and would drop fractions;
+      // use the widest type as the unbounded NUMERIC stand-in
+      case "DECIMAL":
+        return col.precision === undefined
+          ? "DECIMAL(65, 30)"
+          : `DECIMAL(${col.precision}, ${col.scale ?? 0})`;
+      case "UUID":
+        return "CHAR(36)";
+      case "BINARY":
+        return "LONGBLOB";
+      // MySQL has no array columns
+      case "ARRAY":
+        return "JSON";
+      default:
+        throw new Error(`Unsupported column type: ${col.type}`);
+    }
+  }
+
+  #defaultValue(value) {
+    if (value === "NOW()") return "CURRENT_TIMESTAMP";
+    if (typeof value === "boolean") return value ? "1" : "0";
+    return String(value);
+  }
+
+  #columnDefinition(col) {
+    let sql = `${this.formatIdentifier(col.name)} ${this.#columnType(col)}`;
+
+    if (col.required || col.primary) sql += " NOT NULL";
+    if (col.autoIncrement) sql += " AUTO_INCREMENT";
+    if (col.unique && !col.primary) sql += " UNIQUE";
+    if (col.default !== undefined && col.default !== null)
+      sql += ` DEFAULT ${this.#defaultValue(col.default)}`;
+
+    return sql;
+  }
+
+  /**
+   * Normalizes foreign key params. MySQL drops foreign keys by
+   * constraint name, which defaults to `<table>_<columns>_fkey`.
+   */
+  #foreignKey(params = {}) {
+    const toList = value =>
+      value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+    const columns = toList(params.columns ?? params.columnName);
+    const { tableName } = params;
+
+    if (!tableName || (!columns.length && !params.name)) {
+      throw new Error(
+        "Foreign key operations require tableName and columns (or name)"
+      );
+    }
+
+    return {
+      tableName,
+      name: params.name ?? `${tableName}_${columns.join("_")}_fkey`,
+      columns,
+      referencedTable: params.referencedTable,
+      referencedColumns: toList(
+        params.referencedColumns ?? params.referencedColumn
+      ),
+      onDelete: params.onDelete,
+      onUpdate: params.onUpdate,
+    };
+  }
+}
+
+/**
+ * Maps config.database settings to mysql2 pool options.
+ */
+function toPoolOptions(settings) {
+  const {
+    db_host: host,
+    db_port: port = 3306,
+    db_name: database,
+    db_username: user,
+    db_password: password,
+    db_sslmode,
+    db_pool_max,
+    db_options = {},
+  } = settings;
+
+  const options = {
+    ...db_options,
+    host,
+    port: Number(port),
+    database,
+    user,
+    password,
+  };
+
+  if (db_sslmode && !["disable", "allow"].includes(db_sslmode)) {
+    options.ssl = { rejectUnauthorized: db_sslmode.startsWith("verify") };
+  }
+
+  if (db_pool_max !== undefined) options.connectionLimit = db_pool_max;
+
+  return options;
+}
+
+function unquote(name) {
+  return name.trim().replace(/^`|`$/g, "");
+}
+
+/**
+ * Table and index named by a duplicate-key message:
+ * "Duplicate entry 'x' for key 'users.email'" (MySQL 8.0.19+); MariaDB
+ * and older MySQL name the index alone, leaving `table` undefined.
+ */
+function duplicateKey(message) {
+  const [, table, key] =
+    /for key '(?:([^'.]*)\.)?([^']+)'$/.exec(message) ?? [];
+  return { table, key };
+}
@@ -0,0 +1,629 @@
+// ./lib/driver-postgres.js
+
+import fs from "node:fs";
+import { SSL_MODES } from "../connectionUrl.js";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  ForeignKeyError,
+  NotNullError,
+  TimeoutError,
+  UniqueConstraintError,
+} from "../errors.js";
+import { parseTransactionOptions } from "../transactionOptions.js";
+import SQLDriver from "./driver-sql.js";
+
+// pg's own default pool size
+const DEFAULT_POOL_MAX = 10;
+
+// SQLSTATE codes worth reconnecting for: admin_shutdown, crash_shutdown,
+// cannot_connect_now and too_many_connections. Class 08 (connection
+// exception) is matched by prefix.
+const TRANSIENT_SQLSTATES = new Set(["57P01", "57P02", "57P03", "53300"]);
+
+// serialization_failure and deadlock_detected: the transaction was
+// aborted and must be retried from the top
+const CONFLICT_SQLSTATES = new Set(["40001", "40P01"]);
+
+// query_canceled (statement_timeout) and lock_not_available (lock_timeout)
+const TIMEOUT_SQLSTATES = new Set(["57014", "55P03"]);
+
+// ModelSchema types stored in JSONB columns
+const JSON_FIELD_TYPES = new Set(["json", "object"]);
+
+/**
+ * PostgresDriver
+ *
+ * Concrete relational database driver for PostgreSQL.
+ * Implements SQLDriver DDL/DML methods and migration contract.
+ *
+ * Configuration (config.database), validated on connect():
+ * - db_host, db_port (default 5432), db_name, db_username, db_password
+ * - db_sslmode: disable | allow | prefer | require | verify-ca | verify-full
+ * - db_schema: search_path for every connection
+ * - db_ssl_ca / db_ssl_cert / db_ssl_key: PEM file paths; providing
+ *   them turns TLS on (certificates are verified unless db_sslmode
+ *   is prefer or require)
+ * - db_pool_max / db_pool_min: pool size (pg defaults to max 10)
+ * - db_idle_timeout: ms before an idle pooled connection is closed
+ * - db_connect_timeout: ms to wait for a connection before failing
+ * - db_statement_timeout: ms before the server cancels a statement
+ * - db_application_name: reported in pg_stat_activity
+ * - db_options: extra options passed to pg's Pool as-is
+ *
+ * poolStats() reports the pool's total, idle and waiting counts.
+ */
+export default class PostgresDriver extends SQLDriver {
+  static configSchema = {
+    ...SQLDriver.configSchema,
+    strict: true,
+
+    db_host: {
+      type: "string",
+      required: true,
+      trim: true,
+      allowEmpty: false,
+    },
+
+    db_port: {
+      type: "integer",
+      required: true,
+      default: 5432,
+      minValue: 1000,
+      maxValue: 65000,
+    },
+
+    db_name: {
+      type: "string",
+      required: true,
+      trim: true,
+      allowEmpty: false,
+    },
+
+    db_username: {
+      type: "string",
+      required: true,
+      trim: true,
+      allowEmpty: false,
+    },
+
+    db_password: {
+      type: "string",
+      required: true,
+      default: "",
+      trim: false, // preserve intentional blank
+      allowEmpty: true,
+    },
+
+    db_sslmode: {
+      type: "enum",
+      values: SSL_MODES,
+      trim: true,
+      lowercase: true,
+    },
+
+    db_schema: { type: "string", trim: true, allowEmpty: false },
+    db_pool_max: { type: "integer", minValue: 1 },
+    db_pool_min: {
+      type: "integer",
+      minValue: 0,
+      validate: (value, { db_pool_max }) =>
+        db_pool_max === undefined ||
+        value <= Number(db_pool_max) ||
+        "db_pool_min must not exceed db_pool_max",
+    },
+    db_idle_timeout: { type: "integer", minValue: 0 },
+    db_connect_timeout: { type: "integer", minValue: 0 },
+    db_statement_timeout: { type: "integer", minValue: 0 },
+    db_application_name: { type: "string", trim: true, allowEmpty: false },
+    db_ssl_ca: sslFileRule("db_ssl_ca"),
+    db_ssl_cert: sslFileRule("db_ssl_cert"),
+    db_ssl_key: sslFileRule("db_ssl_key"),
+    db_options: { type: "object" },
+  };
+
+  constructor(config = {}) {
+    super(config);
+
+    this.config = null; // pg Pool options set in connect()
+    this.pool = null;
+    this.client = null;
+    this.pg = null;
+  }
+
+  /* =============================================================
+   * Connection Management
+   * ============================================================= */
+
+  async connect() {
+    if (this.pool) {
+      return;
+    }
+
+    // Validate and map configuration to pg Pool options
+    if (!this.config) {
+      this.config = toPoolOptions(this.validateConfig());
+    }
+
+    // Lazy-load pg module
+    if (!this.pg) {
+      try {
+        this.pg = await import("pg");
+      } catch {
+        throw new Error(
+          "Failed to load 'pg'. Install it with `npm install pg`."
+        );
+      }
+    }
+
+    const { Pool } = this.pg;
+    this.pool = new Pool(this.config);
+    this.db = this.pool;
+  }
+
+  async disconnect() {
+    if (!this.pool) return;
+    await this.pool.end();
+    this.pool = null;
+    this.db = null;
+  }
+
+  /**
+   * Replaces the pool without waiting for the old one to drain, since
+   * its connections may belong to a server that has gone away.
+   */
+  async reconnect() {
+    const stale = this.pool;
+    this.pool = null;
+    this.db = null;
+    this.client = null;
+
+    stale?.end().catch(() => {});
+    await this.connect();
+  }
+
+  isTransientError(err) {
+    if (super.isTransientError(err)) return true;
+
+    const code = String(err?.code ?? "");
+    return (
+      TRANSIENT_SQLSTATES.has(code) ||
+      code.startsWith("08") ||
+      /Connection terminated/i.test(err?.message ?? "")
+    );
+  }
+
+  isTransactionConflict(err) {
+    return CONFLICT_SQLSTATES.has(err?.code);
+  }
+
+  /**
+   * Maps SQLSTATE codes (integrity constraint violations, timeouts)
+   * to lib/errors.js classes. Column names come from the error's
+   * detail, e.g. `Key (email)=(ann@example.com) already exists.`
+   */
+  mapError(err) {
+    const details = {
+      cause: err,
+      table: err?.table,
+      constraint: err?.constraint,
+    };
+
+    switch (err?.code) {
+      case "23505":
+        return new UniqueConstraintError(err.message, {
+          ...details,
+          fields: keyColumns(err.detail),
+        });
+      case "23503":
+        return new ForeignKeyError(err.message, {
+          ...details,
+          fields: keyColumns(err.detail),
+        });
+      case "23502":
+        return new NotNullError(err.message, { ...details, field: err.column });
+      case "23514":
+        return new CheckConstraintError(err.message, details);
+    }
+
+    if (TIMEOUT_SQLSTATES.has(err?.code)) {
+      return new TimeoutError(err.message, details);
+    }
+
+    // Raised by pg's pool when connectionTimeoutMillis elapses
+    if (/timeout exceeded when trying to connect/i.test(err?.message ?? "")) {
+      return new TimeoutError(err.message, { cause: err });
+    }
+
+    return super.mapError(err);
+  }
+
+  /** True while a transaction holds a dedicated client. */
+  get inTransaction() {
+    return Boolean(this.currentTransaction || this.client);
+  }
+
+  async serverVersion() {
+    const [row] = await this.query("SHOW server_version");
+    return row?.server_version ?? null;
+  }
+
+  /**
+   * Connection counts of the pool.
+   *
+   * - total: open connections (idle and checked out)
+   * - idle: open connections not in use
+   * - waiting: queued requests for a connection; a sustained
+   *   non-zero value means the pool is exhausted
+   * - max: configured pool size
+   *
+   * @returns {{ total: number, idle: number, waiting: number, max: number }}
+   */
+  poolStats() {
+    return {
+      total: this.pool?.totalCount ?? 0,
+      idle: this.pool?.idleCount ?? 0,
+      waiting: this.pool?.waitingCount ?? 0,
+      max: this.pool?.options?.max ?? this.config?.max ?? DEFAULT_POOL_MAX,
+    };
+  }
+
+  /* =============================================================
+   * Query Execution
+   * ============================================================= */
+
+  async query(sql, params = []) {
+    if (!this.pool)
+      throw new ConnectionError("PostgresDriver is not connected.");
+
+    const executor =
+      this.currentTransaction?.client || this.client || this.pool;
+
+    if (typeof executor.query !== "function") {
+      throw new Error(
+        "PostgresDriver executor is not ready. Did you forget to await connect()?"
+      );
+    }
+
+    const result = await executor.query(sql, params);
+    return result.rows;
+  }
+
+  placeholder(idx) {
+    return `$${idx}`;
+  }
+
+  formatIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  compileILike(column, placeholder) {
+    return `${column} ILIKE ${placeholder}`;
+  }
+  /**
+   * pg sends JavaScript arrays as Postgres arrays, so arrays bound to
+   * json / object fields (JSONB columns) are serialized here. Objects,
+   * Buffers (BYTEA), BigInts and decimal strings bind as they are.
+   */
+  prepareEntity(target, entity) {
+    let prepared = entity;
+    for (const [field, value] of Object.entries(entity)) {
+      if (
+        Array.isArray(value) &&
+        JSON_FIELD_TYPES.has(this.fieldType(target, field))
+      ) {
+        prepared = { ...prepared, [field]: JSON.stringify(value) };
+      }
+    }
+    return prepared;
+  }
+
+  /* =============================================================
+   * Transaction Management
+   * ============================================================= */
+
+  /**
+   * Checks a client out of the pool for transaction(); queries in the
+   * callback's async context run on it.
+   */
+  async openTransaction(options) {
+    if (!this.pool)
+      throw new ConnectionError("PostgresDriver is not connected.");
+
+    const client = await this.pool.connect();
+    try {
+      await this.#begin(client, options);
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    return { client };
+  }
+
+  /**
+   * Ends a transaction() transaction and returns its client to the
+   * pool. A client that fails to COMMIT or ROLLBACK is discarded.
+   */
+  async closeTransaction({ client }, commit) {
+    try {
+      await client.query(commit ? "COMMIT" : "ROLLBACK");
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    client.release();
+  }
+
+  async startTransaction(options = {}) {
+    if (!this.pool)
+      throw new ConnectionError("PostgresDriver is not connected.");
+
+    const client = await this.pool.connect();
+    try {
+      await this.#begin(client, options);
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    this.client = client;
+  }
+
+  /**
+   * Adds DEFERRABLE, which only Postgres supports; it takes effect in
+   * SERIALIZABLE READ ONLY transactions.
+   */
+  compileTransactionModes(options = {}) {
+    const modes = [super.compileTransactionModes(options)];
+    if (options.deferrable !== undefined) {
+      modes.push(options.deferrable ? "DEFERRABLE" : "NOT DEFERRABLE");
+    }
+    return modes.filter(Boolean).join(", ");
+  }
+
+  /**
+   * BEGIN on a client and apply the transaction options. timeoutMs
+   * also becomes the transaction's statement_timeout, so no single
+   * statement may run longer than the whole transaction.
+   */
+  async #begin(client, options) {
+    const settings = parseTransactionOptions(options);
+    const modes = this.compileTransactionModes(settings);
+
+    await client.query("BEGIN");
+    if (modes) await client.query(`SET TRANSACTION ${modes}`);
+    if (settings.timeoutMs) {
+      await client.query(`SET LOCAL statement_timeout = ${settings.timeoutMs}`);
+    }
+  }
+
+  async commitTransaction() {
+    if (!this.client) return;
+    await this.client.query("COMMIT");
+    this.client.release();
+    this.client = null;
+  }
+
+  async rollbackTransaction() {
+    if (!this.client) return;
+    await this.client.query("ROLLBACK");
+    this.client.release();
+    this.client = null;
+  }
+
+  /* =============================================================
+   * DDL Methods
+   * ============================================================= */
+
+  async createTable(operation) {
+    if (!this.pool)
+      throw new ConnectionError("PostgresDriver is not connected.");
+
+    const { tableName, columns = [], indexes = [] } = operation.params;
+    if (!tableName) throw new Error("createTable requires a tableName");
+
+    const columnDefs = [];
+    const primaryColumns = [];
+
+    for (const col of columns) {
+      let sql = `"${col.name}" ${this.#columnType(col)}`;
+
+      if (col.required) sql += " NOT NULL";
+      if (col.default !== undefined && col.default !== null)
+        sql += ` DEFAULT ${col.default}`;
+
+      if (col.primary) primaryColumns.push(`"${col.name}"`);
+      columnDefs.push(sql);
+    }
+
+    if (primaryColumns.length) {
+      columnDefs.push(`PRIMARY KEY (${primaryColumns.join(", ")})`);
+    }
+
+    const createSQL = `
+      CREATE TABLE IF NOT EXISTS "${tableName}" (
+        ${columnDefs.join(",\n")}
+      );
+    `;
+
+    await this.query(createSQL);
+
+    for (const index of indexes) {
+      const cols = index.columns.map(c => `"${c.name}"`).join(", ");
+      const unique = index.unique ? "UNIQUE" : "";
+      const indexSQL = `CREATE ${unique} INDEX IF NOT EXISTS "${index.name}" ON "${tableName}" (${cols});`;
+      await this.query(indexSQL);
+    }
+
+    return true;
+  }
+
+  async dropTable(operation) {
+    if (!this.pool)
+      throw new ConnectionError("PostgresDriver is not connected.");
+    const { tableName } = operation.params;
+    if (!tableName) throw new Error("dropTable requires tableName");
+    const sql = `DROP TABLE IF EXISTS "${tableName}" CASCADE`;
+    await this.query(sql);
+    return true;
+  }
+
+  // Stub DDL operations — implement if needed
+  async addColumn(operation) {
+    this.requireOverride("addColumn");
+  }
+  async dropColumn(operation) {
+    this.requireOverride("dropColumn");
+  }
+  async createIndex(operation) {
+    this.requireOverride("createIndex");
+  }
+  async dropIndex(operation) {
+    this.requireOverride("dropIndex");
+  }
+  async renameTable(operation) {
+    this.requireOverride("renameTable");
+  }
+  async renameColumn(operation) {
+    this.requireOverride("renameColumn");
+  }
+  async alterColumn(operation) {
+    this.requireOverride("alterColumn");
+  }
+  async createForeignKey(operation) {
+    this.requireOverride("createForeignKey");
+  }
+  async dropForeignKey(operation) {
+    this.requireOverride("dropForeignKey");
+  }
+
+  /* =============================================================
+   * Internal Helpers
+   * ============================================================= */
+
+  #columnType(col) {
+    switch (col.type) {
+      case "INTEGER":
+        return col.primary && col.autoIncrement ? "SERIAL" : "INTEGER";
+      case "BIGINT":
+        return col.primary && col.autoIncrement ? "BIGSERIAL" : "BIGINT";
+      case "NUMERIC":
+      case "BOOLEAN":
+      case "DATE":
+      case "TIME":
+      case "TIMESTAMP":
+      case "TEXT":
+      case "UUID":
+        return col.type;
+      case "VARCHAR":
+        return `VARCHAR(${col.length || 255})`;
+      case "DECIMAL":
+        return col.precision === undefined
+          ? "NUMERIC"
+          : `NUMERIC(${col.precision}, ${col.scale ?? 0})`;
+      case "JSON":
+        return "JSONB";
+      case "BINARY":
+        return "BYTEA";
+      case "ARRAY":
+        return `${this.#columnType({ type: col.items })}[]`;
+      default:
+        throw new Error(`Unsupported column type: ${col.type}`);
+    }
+  }
+}
+
+/**
+ * Rule for a PEM file setting: the file must exist and TLS must not
+ * be switched off.
+ */
+function sslFileRule(key) {
+  return {
+    type: "string",
+    trim: true,
+    allowEmpty: false,
+    validate: (value, { db_sslmode }) => {
+      if (["disable", "allow"].includes(String(db_sslmode).toLowerCase())) {
+        return `${key} requires TLS, but db_sslmode is '${db_sslmode}'`;
+      }
+      return fs.existsSync(value) || `${key} file '${value}' does not exist`;
+    },
+  };
+}
+
+/**
+ * Maps validated config.database settings to pg Pool options.
+ */
+function toPoolOptions(settings) {
+  const {
+    db_host: host,
+    db_port: port,
+    db_name: database,
+    db_username: user,
+    db_password: password,
+    db_sslmode,
+    db_schema,
+    db_pool_max: max,
+    db_pool_min: min,
+    db_idle_timeout,
+    db_connect_timeout,
+    db_statement_timeout,
+    db_application_name,
+    db_options = {},
+  } = settings;
+
+  const options = { ...db_options, host, port, database, user, password };
+
+  const ssl = toSslOptions(settings);
+  if (ssl !== undefined) options.ssl = ssl;
+
+  if (db_schema) options.options = `-c search_path=${db_schema}`;
+  if (max !== undefined) options.max = max;
+  if (min !== undefined) options.min = min;
+  if (db_idle_timeout !== undefined) {
+    options.idleTimeoutMillis = db_idle_timeout;
+  }
+  if (db_connect_timeout !== undefined) {
+    options.connectionTimeoutMillis = db_connect_timeout;
+  }
+  if (db_statement_timeout !== undefined) {
+    options.statement_timeout = db_statement_timeout;
+  }
+  if (db_application_name) options.application_name = db_application_name;
+
+  return options;
+}
+
+/**
+ * Maps db_sslmode and the PEM file settings to pg's `ssl` option.
+ * Returns undefined to leave pg's default (no TLS) in place.
+ */
+function toSslOptions({ db_sslmode, db_ssl_ca, db_ssl_cert, db_ssl_key }) {
+  const files = { ca: db_ssl_ca, cert: db_ssl_cert, key: db_ssl_key };
+  const hasFiles = Object.values(files).some(Boolean);
+
+  if (!db_sslmode && !hasFiles) return undefined;
+
+  // pg cannot fall back between plain and TLS connections, so "allow"
+  // stays plain and "prefer" / "require" encrypt without verifying
+  if (["disable", "allow"].includes(db_sslmode)) return false;
+
+  const ssl = {
+    rejectUnauthorized: !db_sslmode || db_sslmode.startsWith("verify"),
+  };
+
+  for (const [option, filename] of Object.entries(files)) {
+    if (filename) ssl[option] = fs.readFileSync(filename, "utf8");
+  }
+
+  return ssl;
+}
+
+/**
+ * Column names from a constraint error detail such as
+ * `Key (tenant_id, "Email")=(1, a@b.c) already exists.`
+ */
+function keyColumns(detail) {
+  const match = /^Key \((.+?)\)=/.exec(detail ?? "");
+  if (!match) return [];
+  return match[1].split(", ").map(name => name.replace(/^"|"$/g, ""));
+}
@@ -0,0 +1,680 @@
+// ./lib/driver-sql.js
+
+import BaseDriver from "./driver-base.js";
+import { parseAggregation } from "../aggregation.js";
+import { parseCriteria } from "../criteria.js";
+import { parseQueryOptions, projectRow } from "../queryOptions.js";
+
+/**
+ * SQLDriver
+ * -------------------------------------------------------------
+ * Base class for relational database drivers.
+ * Provides:
+ *  - Migration table management
+ *  - Operation dispatcher
+ *  - Shared SQL utilities
+ *  - Criteria compilation to parameterized WHERE clauses
+ *  - SELECT building with ORDER BY / LIMIT / OFFSET
+ *  - Grouped aggregates (see lib/aggregation.js)
+ *  - Read and DML methods built on the above
+ *
+ * Concrete drivers (Postgres, MySQL, SQLite) must implement:
+ *  - query()
+ *  - placeholder()
+ *  - formatIdentifier()
+ *  - DDL methods (createTable, dropTable, etc.)
+ */
+export default class SQLDriver extends BaseDriver {
+  constructor(config = {}) {
+    super(config);
+  }
+
+  /* =============================================================
+   * SQL Utilities (Must Be Implemented Per Dialect)
+   * ============================================================= */
+
+  placeholder(index) {
+    this.requireOverride("placeholder");
+  }
+
+  formatIdentifier(name) {
+    this.requireOverride("formatIdentifier");
+  }
+
+  /* =============================================================
+   * Transaction Options
+   * ============================================================= */
+
+  /**
+   * SET TRANSACTION characteristics for parsed transaction options,
+   * e.g. "ISOLATION LEVEL SERIALIZABLE, READ ONLY", or "" when the
+   * options leave the server defaults in place.
+   * @param {object} options - Parsed transaction options.
+   * @returns {string}
+   */
+  compileTransactionModes({ isolation, readOnly } = {}) {
+    const modes = [];
+    if (isolation) modes.push(`ISOLATION LEVEL ${isolation.toUpperCase()}`);
+    if (readOnly !== undefined) {
+      modes.push(readOnly ? "READ ONLY" : "READ WRITE");
+    }
+    return modes.join(", ");
+  }
+
+  /* =============================================================
+   * Savepoints
+   * ============================================================= */
+
+  get supportsSavepoints() {
+    return true;
+  }
+
+  async savepoint(name) {
+    await this.query(`SAVEPOINT ${this.#savepointName(name)}`);
+  }
+
+  async rollbackToSavepoint(name) {
+    await this.query(`ROLLBACK TO SAVEPOINT ${this.#savepointName(name)}`);
+  }
+
+  async releaseSavepoint(name) {
+    await this.query(`RELEASE SAVEPOINT ${this.#savepointName(name)}`);
+  }
+
+  /**
+   * Validate a savepoint name and quote it for the dialect.
+   */
+  #savepointName(name) {
+    if (!this.inTransaction) {
+      throw new Error("Savepoints require an open transaction");
+    }
+    if (typeof name !== "string" || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(
+        `Invalid savepoint name '${name}'. Use letters, digits and underscores`
+      );
+    }
+    return this.formatIdentifier(name);
+  }
+
+  /* =============================================================
+   * Health
+   * ============================================================= */
+
+  async ping() {
+    await this.query("SELECT 1");
+  }
+
+  /* =============================================================
+   * Criteria Compilation
+   * ============================================================= */
+
+  /**
+   * Compile a criteria object into a parameterized WHERE clause.
+   * See lib/criteria.js for the supported operator vocabulary.
+   * @param {object} [criteria={}] - Criteria object.
+   * @param {number} [startIndex=1] - First placeholder index to use.
+   * @returns {{ clause: string, params: Array }} Clause (without the
+   *   WHERE keyword, empty when there are no criteria) and its params.
+   */
+  buildWhereClause(criteria = {}, startIndex = 1) {
+    const params = [];
+    const bind = value => {
+      params.push(value);
+      return this.placeholder(startIndex + params.length - 1);
+    };
+
+    const root = parseCriteria(criteria);
+    const clause = this.#flattenAnd(root.nodes)
+      .map(node => this.#compileNode(node, bind))
+      .join(" AND ");
+
+    return { clause, params };
+  }
+
+  /**
+   * Compile a case-insensitive LIKE. Dialects with a native operator
+   * (e.g. Postgres ILIKE) override this.
+   * @param {string} column - Formatted column identifier.
+   * @param {string} placeholder - Bound pattern placeholder.
+   * @returns {string}
+   */
+  compileILike(column, placeholder) {
+    return `LOWER(${column}) LIKE LOWER(${placeholder})`;
+  }
+
+  #compileNode(node, bind) {
+    switch (node.type) {
+      case "and":
+      case "or": {
+        const nodes =
+          node.type === "and" ? this.#flattenAnd(node.nodes) : node.nodes;
+        if (!nodes.length) return node.type === "and" ? "1 = 1" : "1 = 0";
+        const parts = nodes.map(n => this.#compileNode(n, bind));
+        if (parts.length === 1) return parts[0];
+        return `(${parts.join(node.type === "and" ? " AND " : " OR ")})`;
+      }
+
+      case "not":
+        return `NOT (${this.#compileNode(node.node, bind)})`;
+
+      case "compare":
+        return this.#compileComparison(node, bind);
+
+      default:
+        throw new Error(`Unsupported criteria node type: ${node.type}`);
+    }
+  }
+
+  // AND is associative, so nested AND groups are inlined into their parent
+  #flattenAnd(nodes) {
+    return nodes.flatMap(node =>
+      node.type === "and" && node.nodes.length
+        ? this.#flattenAnd(node.nodes)
+        : [node]
+    );
+  }
+
+  #compileComparison({ field, operator, value }, bind) {
+    const column = this.formatIdentifier(field);
+
+    switch (operator) {
+      case "$eq":
+        return `${column} = ${bind(value)}`;
+      case "$ne":
+        return `(${column} <> ${bind(value)} OR ${column} IS NULL)`;
+      case "$gt":
+        return `${column} > ${bind(value)}`;
+      case "$gte":
+        return `${column} >= ${bind(value)}`;
+      case "$lt":
+        return `${column} < ${bind(value)}`;
+      case "$lte":
+        return `${column} <= ${bind(value)}`;
+      case "$in":
+        if (!value.length) return "1 = 0";
+        return `${column} IN (${value.map(v => bind(v)).join(", ")})`;
+      case "$nin":
+        if (!value.length) return "1 = 1";
+        return `(${column} NOT IN (${value
+          .map(v => bind(v))
+          .join(", ")}) OR ${column} IS NULL)`;
+      case "$like":
+        return `${column} LIKE ${bind(value)}`;
+      case "$ilike":
+        return this.compileILike(column, bind(value));
+      case "$isNull":
+        return `${column} IS ${value ? "" : "NOT "}NULL`;
+      case "$between":
+        return `${column} BETWEEN ${bind(value[0])} AND ${bind(value[1])}`;
+      default:
+        throw new Error(`Unsupported criteria operator: ${operator}`);
+    }
+  }
+
+  /* =============================================================
+   * Select Building
+   * ============================================================= */
+
+  /**
+   * Build a parameterized SELECT statement.
+   * See lib/queryOptions.js for the supported options. `exclude` cannot
+   * be expressed in SQL without knowing the columns, so callers strip
+   * excluded fields from the returned rows.
+   * @param {string} target - Table name.
+   * @param {object} [criteria={}] - Criteria object.
+   * @param {object} [options={}] - Query options.
+   * @returns {{ sql: string, params: Array }}
+   */
+  buildSelect(target, criteria = {}, options = {}) {
+    const { orderBy, limit, offset, select } = parseQueryOptions(options);
+    const { clause, params } = this.buildWhereClause(criteria);
+
+    const columns = select
+      ? select.map(field => this.formatIdentifier(field)).join(", ")
+      : "*";
+
+    let sql = `SELECT ${columns} FROM ${this.formatIdentifier(target)}`;
+
+    if (clause) sql += ` WHERE ${clause}`;
+
+    if (orderBy.length) {
+      const terms = orderBy.map(
+        ({ field, direction }) =>
+          `${this.formatIdentifier(field)} ${direction.toUpperCase()}`
+      );
+      sql += ` ORDER BY ${terms.join(", ")}`;
+    }
+
+    const paging = this.compileLimitOffset(limit, offset);
+    if (paging) sql += ` ${paging}`;
+
+    return { sql, params };
+  }
+
+  /**
+   * Compile LIMIT / OFFSET. Both values are validated integers, so they
+   * are inlined rather than bound. Dialects that require a LIMIT before
+   * OFFSET (MySQL, SQLite) override this.
+   * @param {number} [limit]
+   * @param {number} [offset]
+   * @returns {string}
+   */
+  compileLimitOffset(limit, offset) {
+    const parts = [];
+    if (limit !== undefined) parts.push(`LIMIT ${limit}`);
+    if (offset !== undefined) parts.push(`OFFSET ${offset}`);
+    return parts.join(" ");
+  }
+
+  /* =============================================================
+   * Read Methods
+   * ============================================================= */
+
+  async findOne(target, criteria = {}) {
+    const { sql, params } = this.buildSelect(target, criteria, { limit: 1 });
+    const [row] = await this.#queryRows(target, sql, params);
+    return row ?? null;
+  }
+
+  async findMany(target, criteria = {}, options = {}) {
+    const parsed = parseQueryOptions(options);
+    const { sql, params } = this.buildSelect(target, criteria, parsed);
+    const rows = await this.#queryRows(target, sql, params);
+
+    return parsed.exclude ? rows.map(row => projectRow(row, parsed)) : rows;
+  }
+
+  async findById(target, id) {
+    return this.findOne(target, this.idCriteria(target, id));
+  }
+
+  async count(target, criteria = {}) {
+    const { clause, params } = this.buildWhereClause(criteria);
+    const where = clause ? ` WHERE ${clause}` : "";
+
+    const sql = `SELECT COUNT(*) AS ${this.formatIdentifier(
+      "count"
+    )} FROM ${this.formatIdentifier(target)}${where}`;
+
+    // COUNT(*) is a bigint, which pg returns as a string
+    const [row] = await this.query(sql, params);
+    return Number(row?.count ?? 0);
+  }
+
+  async exists(target, criteria = {}) {
+    const { clause, params } = this.buildWhereClause(criteria);
+    const where = clause ? ` WHERE ${clause}` : "";
+
+    const sql = `SELECT EXISTS (SELECT 1 FROM ${this.formatIdentifier(
+      target
+    )}${where}) AS ${this.formatIdentifier("exists")}`;
+
+    const [row] = await this.query(sql, params);
+    return Boolean(row?.exists);
+  }
+
+  /**
+   * Compute grouped aggregates; see lib/aggregation.js for the spec.
+   * @param {string} target
+   * @param {object} spec - { criteria, groupBy, aggregates, orderBy,
+   *   limit, offset }
+   * @returns {Promise<object[]>} One row per group.
+   */
+  async aggregate(target, spec) {
+    const { criteria, groupBy, aggregates, orderBy, limit, offset } =
+      parseAggregation(spec);
+    const { clause, params } = this.buildWhereClause(criteria);
+
+    const columns = [
+      ...groupBy.map(field => this.formatIdentifier(field)),
+      ...aggregates.map(
+        ({ alias, fn, field }) =>
+          `${fn.slice(1).toUpperCase()}(${
+            field === "*" ? "*" : this.formatIdentifier(field)
+          }) AS ${this.formatIdentifier(alias)}`
+      ),
+    ];
+
+    let sql = `SELECT ${columns.join(", ")} FROM ${this.formatIdentifier(
+      target
+    )}`;
+    if (clause) sql += ` WHERE ${clause}`;
+    if (groupBy.length) {
+      sql += ` GROUP BY ${groupBy
+        .map(field => this.formatIdentifier(field))
+        .join(", ")}`;
+    }
+    if (orderBy.length) {
+      const terms = orderBy.map(
+        ({ field, direction }) =>
+          `${this.formatIdentifier(field)} ${direction.toUpperCase()}`
+      );
+      sql += ` ORDER BY ${terms.join(", ")}`;
+    }
+
+    const paging = this.compileLimitOffset(limit, offset);
+    if (paging) sql += ` ${paging}`;
+
+    // COUNT is a bigint, which pg returns as a string
+    const counts = aggregates.filter(({ fn }) => fn === "$count");
+    const rows = await this.query(sql, params);
+    return rows.map(row => {
+      for (const { alias } of counts) row[alias] = Number(row[alias]);
+      return row;
+    });
+  }
+
+  /* =============================================================
+   * DML Methods
+   *
+   * Written for dialects that support RETURNING and ON CONFLICT
+   * (Postgres, SQLite). Other dialects override these.
+   * ============================================================= */
+
+  /**
+   * Convert an entity's values for binding, using the field types of
+   * the target's registered schema (see BaseDriver.fieldType). Values
+   * pass through unchanged unless a dialect overrides this.
+   * @param {string} target
+   * @param {object} entity
+   * @returns {object}
+   */
+  prepareEntity(target, entity) {
+    return entity;
+  }
+
+  /**
+   * Convert a row read from the target back to the field types of its
+   * registered schema; the counterpart of prepareEntity(). Rows pass
+   * through unchanged unless a dialect overrides this.
+   * @param {string} target
+   * @param {object} row
+   * @returns {object}
+   */
+  parseRow(target, row) {
+    return row;
+  }
+
+  /**
+   * Run a statement returning rows of the target, converted with
+   * parseRow().
+   */
+  async #queryRows(target, sql, params) {
+    const rows = await this.query(sql, params);
+    return rows.map(row => this.parseRow(target, row));
+  }
+
+  /**
+   * Compile the WHERE clause selecting one row by its primary key
+   * (see BaseDriver.keyCriteria): `"a"=$1 AND "b"=$2`.
+   * @param {object} key - Key field -> value.
+   * @param {number} [startIndex=1] - First placeholder index to use.
+   * @returns {{ clause: string, params: Array }}
+   */
+  buildKeyClause(key, startIndex = 1) {
+    const fields = Object.keys(key);
+    const clause = fields
+      .map(
+        (field, i) =>
+          `${this.formatIdentifier(field)}=${this.placeholder(startIndex + i)}`
+      )
+      .join(" AND ");
+
+    return { clause, params: Object.values(key) };
+  }
+
+  async insertOne(target, entity) {
+    entity = this.prepareEntity(target, entity);
+    const keys = Object.keys(entity);
+    const values = Object.values(entity);
+    const placeholders = keys.map((_, i) => this.placeholder(i + 1));
+
+    const sql = `INSERT INTO ${this.formatIdentifier(target)} (${keys
+      .map(k => this.formatIdentifier(k))
+      .join(", ")})
+      VALUES (${placeholders.join(", ")})
+      RETURNING *`;
+
+    const [row] = await this.#queryRows(target, sql, values);
+    return row;
+  }
+
+  async insertMany(target, entities) {
+    if (!entities.length) return [];
+    entities = entities.map(entity => this.prepareEntity(target, entity));
+    const keys = Object.keys(entities[0]);
+    const placeholders = entities
+      .map(
+        (_, i) =>
+          `(${keys
+            .map((__, j) => this.placeholder(i * keys.length + j + 1))
+            .join(", ")})`
+      )
+      .join(", ");
+    const values = entities.flatMap(Object.values);
+
+    const sql = `INSERT INTO ${this.formatIdentifier(target)} (${keys
+      .map(k => this.formatIdentifier(k))
+      .join(", ")})
+      VALUES ${placeholders} RETURNING *`;
+
+    return this.#queryRows(target, sql, values);
+  }
+
+  async updateOne(target, entity) {
+    entity = this.prepareEntity(target, entity);
+    const key = this.keyCriteria(target, entity, "updateOne");
+    const keys = Object.keys(entity).filter(k => !(k in key));
+    if (!keys.length) return this.findOne(target, key);
+
+    const setClause = keys
+      .map((k, i) => `${this.formatIdentifier(k)}=${this.placeholder(i + 1)}`)
+      .join(", ");
+    const { clause, params } = this.buildKeyClause(key, keys.length + 1);
+
+    const sql = `UPDATE ${this.formatIdentifier(target)} SET ${setClause} WHERE ${clause} RETURNING *`;
+
+    const values = keys.map(k => entity[k]).concat(params);
+    const [row] = await this.#queryRows(target, sql, values);
+    return row;
+  }
+
+  async updateMany(target, entities) {
+    const updatedRows = [];
+    for (const entity of entities) {
+      const row = await this.updateOne(target, entity);
+      updatedRows.push(row);
+    }
+    return updatedRows;
+  }
+
+  async deleteOne(target, entity) {
+    const key = this.keyCriteria(target, entity, "deleteOne");
+    const { clause, params } = this.buildKeyClause(key);
+    const sql = `DELETE FROM ${this.formatIdentifier(target)} WHERE ${clause} RETURNING *`;
+    const [row] = await this.#queryRows(target, sql, params);
+    return row;
+  }
+
+  async deleteMany(target, entitiesOrCriteria = {}) {
+    if (!Array.isArray(entitiesOrCriteria)) {
+      const { clause, params } = this.buildWhereClause(entitiesOrCriteria);
+      const where = clause ? ` WHERE ${clause}` : "";
+      const sql = `DELETE FROM ${this.formatIdentifier(target)}${where} RETURNING *`;
+      return this.#queryRows(target, sql, params);
+    }
+
+    const entities = entitiesOrCriteria;
+    const deletedRows = [];
+    for (const entity of entities) {
+      const row = await this.deleteOne(target, entity);
+      deletedRows.push(row);
+    }
+    return deletedRows;
+  }
+
+  async deleteAll(target) {
+    const sql = `DELETE FROM ${this.formatIdentifier(target)}`;
+    return this.query(sql);
+  }
+
+  async upsert(target, entity) {
+    entity = this.prepareEntity(target, entity);
+    const key = this.keyCriteria(target, entity, "upsert");
+    const keyFields = Object.keys(key);
+    const keys = Object.keys(entity);
+    const values = Object.values(entity);
+
+    // A no-op assignment keeps RETURNING working with only the key
+    const updates = keys.filter(k => !keyFields.includes(k));
+    const setClause = (updates.length ? updates : keyFields.slice(0, 1))
+      .map(
+        k => `${this.formatIdentifier(k)}=EXCLUDED.${this.formatIdentifier(k)}`
+      )
+      .join(", ");
+
+    const sql = `INSERT INTO ${this.formatIdentifier(target)} (${keys
+      .map(k => this.formatIdentifier(k))
+      .join(", ")})
+      VALUES (${keys.map((_, i) => this.placeholder(i + 1)).join(", ")})
+      ON CONFLICT (${keyFields
+        .map(k => this.formatIdentifier(k))
+        .join(", ")}) DO UPDATE SET ${setClause} RETURNING *`;
+
+    const [row] = await this.#queryRows(target, sql, values);
+    return row;
+  }
+
+  /* =============================================================
+   * Migration Table Management
+   * ============================================================= */
+
+  async ensureMigrationTable() {
+    const table = this.formatIdentifier("turbo_migrations");
+
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id VARCHAR(255) PRIMARY KEY,
+        executed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async fetchAppliedIds() {
+    const table = this.formatIdentifier("turbo_migrations");
+    const rows = await this.query(`SELECT id FROM ${table}`);
+    return rows.map(r => r.id);
+  }
+
+  async recordAppliedMigration(id) {
+    const table = this.formatIdentifier("turbo_migrations");
+
+    await this.query(
+      `INSERT INTO ${table} (id)
+       VALUES (${this.placeholder(1)})`,
+      [id]
+    );
+  }
+
+  async recordRolledBackMigration(id) {
+    const table = this.formatIdentifier("turbo_migrations");
+
+    await this.query(
+      `DELETE FROM ${table}
+       WHERE id = ${this.placeholder(1)}`,
+      [id]
+    );
+  }
+
+  /* =============================================================
+   * Operation Dispatcher
+   * ============================================================= */
+
+  async executeOperation(operation) {
+    switch (operation.type) {
+      case "createTable":
+        return this.createTable(operation);
+
+      case "dropTable":
+        return this.dropTable(operation);
+
+      case "addColumn":
+        return this.addColumn(operation);
+
+      case "dropColumn":
+        return this.dropColumn(operation);
+
+      case "createIndex":
+        return this.createIndex(operation);
+
+      case "dropIndex":
+        return this.dropIndex(operation);
+
+      case "renameTable":
+        return this.renameTable(operation);
+
+      case "renameColumn":
+        return this.renameColumn(operation);
+
+      case "alterColumn":
+        return this.alterColumn(operation);
+
+      case "createForeignKey":
+        return this.createForeignKey(operation);
+
+      case "dropForeignKey":
+        return this.dropForeignKey(operation);
+
+      default:
+        throw new Error(`Unsupported schema operation type: ${operation.type}`);
+    }
+  }
+
+  /* =============================================================
+   * DDL Methods (Must Be Implemented by Concrete Drivers)
+   * ============================================================= */
+
+  async createTable(operation) {
+    this.requireOverride("createTable");
+  }
+
+  async dropTable(operation) {
+    this.requireOverride("dropTable");
+  }
+
+  async addColumn(operation) {
+    this.requireOverride("addColumn");
+  }
+
+  async dropColumn(operation) {
+    this.requireOverride("dropColumn");
+  }
+
+  async createIndex(operation) {
+    this.requireOverride("createIndex");
+  }
+
+  async dropIndex(operation) {
+    this.requireOverride("dropIndex");
+  }
+
+  async renameTable(operation) {
+    this.requireOverride("renameTable");
+  }
+
+  async renameColumn(operation) {
+    this.requireOverride("renameColumn");
+  }
+
+  async alterColumn(operation) {
+    this.requireOverride("alterColumn");
+  }
+
+  async createForeignKey(operation) {
+    this.requireOverride("createForeignKey");
+  }
+
+  async dropForeignKey(operation) {
+    this.requireOverride("dropForeignKey");
+  }
+}
@@ -0,0 +1,816 @@
+// ./lib/drivers/driver-sqlite.js
+
+import SQLDriver from "./driver-sql.js";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  ForeignKeyError,
+  NotNullError,
+  UniqueConstraintError,
+} from "../errors.js";
+import { parseTransactionOptions } from "../transactionOptions.js";
+
+// ModelSchema field types stored as JSON text
+const JSON_FIELD_TYPES = new Set(["json", "object", "array"]);
+
+// Primary result code for a locked database file
+const SQLITE_BUSY = 5;
+
+// Extended result codes mapped by mapError()
+const SQLITE_CONSTRAINT_CHECK = 275;
+const SQLITE_CONSTRAINT_FOREIGNKEY = 787;
+const SQLITE_CONSTRAINT_NOTNULL = 1299;
+const SQLITE_CONSTRAINT_PRIMARYKEY = 1555;
+const SQLITE_CONSTRAINT_UNIQUE = 2067;
+
+/**
+ * SqliteDriver
+ * -------------------------------------------------------------
+ * Concrete relational database driver for SQLite using Node's
+ * built-in `node:sqlite` module, so no native build or extra package
+ * is required. It is available without a flag from Node 22.13 (the
+ * engine this package requires); 22.5 to 22.12 need
+ * --experimental-sqlite.
+ *
+ * Configuration (config.database):
+ * - db_name: database file path, or ":memory:" (the default).
+ *
+ * Key characteristics:
+ * - Lazily loads `node:sqlite`, so importing the package does not
+ *   load it unless SQLite is used.
+ * - Enables foreign key enforcement and case-sensitive LIKE on
+ *   connect, matching the behavior of the other SQL drivers.
+ * - Inherits RETURNING-based CRUD and ON CONFLICT upsert from
+ *   SQLDriver; SQLite 3.35+ supports both.
+ * - Emulates ALTER COLUMN and foreign key changes with the
+ *   create / copy / drop / rename table rebuild SQLite recommends.
+ * - Transactions are always serializable, which satisfies every
+ *   isolation option; readOnly ones run with PRAGMA query_only.
+ *   They share the single connection, so while transaction() runs,
+ *   queries from outside its callback wait for it to end.
+ */
+export default class SqliteDriver extends SQLDriver {
+  // Not strict: shared INI defaults such as db_host do not apply to SQLite
+  static configSchema = {
+    ...SQLDriver.configSchema,
+    db_name: { type: "string", trim: true, default: ":memory:" },
+  };
+
+  /**
+   * @param {object} config
+   * @param {object} config.database
+   * @param {string} [config.database.db_name=":memory:"] Database file path.
+   */
+  constructor(config = {}) {
+    super(config);
+
+    // SQLite database file path
+    this.filename = this.validateConfig().db_name || ":memory:";
+
+    // Active DatabaseSync handle
+    this.db = null;
+
+    // True while an explicit transaction is open
+    this.inTransaction = false;
+
+    // True while a readOnly transaction has query_only switched on
+    this.readOnly = false;
+
+    // Lazily loaded node:sqlite module
+    this.sqlite = null;
+  }
+
+  /* =============================================================
+   * Connection Management
+   * ============================================================= */
+
+  /**
+   * Opens the SQLite database. Safe to call multiple times.
+   */
+  async connect() {
+    if (this.db) return;
+
+    if (!this.sqlite) {
+      try {
+        this.sqlite = await import("node:sqlite");
+      } catch {
+        throw new Error(
+          "Failed to load 'node:sqlite'. SqliteDriver requires Node.js 22.13 or later."
+        );
+      }
+    }
+
+    const { DatabaseSync } = this.sqlite;
+    this.db = new DatabaseSync(this.filename);
+    this.db.exec("PRAGMA foreign_keys = ON");
+    this.db.exec("PRAGMA case_sensitive_like = ON");
+  }
+
+  /**
+   * Closes the SQLite database.
+   */
+  async disconnect() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+    this.inTransaction = false;
+    this.readOnly = false;
+  }
+
+  /**
+   * SQLITE_BUSY, including its BUSY_SNAPSHOT variant: another
+   * connection to the file holds the lock the transaction needed.
+   */
+  isTransactionConflict(err) {
+    return (
+      err?.code === "ERR_SQLITE_ERROR" && (err.errcode & 0xff) === SQLITE_BUSY
+    );
+  }
+
+  /**
+   * Maps extended constraint result codes to lib/errors.js classes.
+   * SQLite names the columns in its messages, e.g.
+   * "UNIQUE constraint failed: users.tenant_id, users.email".
+   */
+  mapError(err) {
+    if (err?.code !== "ERR_SQLITE_ERROR") return super.mapError(err);
+
+    const detail = /constraint failed: (.+)$/.exec(err.message)?.[1] ?? "";
+    const columns = detail.split(", ").map(column => column.split("."));
+    const table = columns[0]?.length === 2 ? columns[0][0] : undefined;
+    const fields = columns.map(column => column.at(-1)).filter(Boolean);
+
+    switch (err.errcode) {
+      case SQLITE_CONSTRAINT_UNIQUE:
+      case SQLITE_CONSTRAINT_PRIMARYKEY:
+        return new UniqueConstraintError(err.message, {
+          cause: err,
+          table,
+          fields,
+        });
+      case SQLITE_CONSTRAINT_NOTNULL:
+        return new NotNullError(err.message, {
+          cause: err,
+          table,
+          field: fields[0],
+        });
+      case SQLITE_CONSTRAINT_CHECK:
+        return new CheckConstraintError(err.message, {
+          cause: err,
+          constraint: detail || undefined,
+        });
+      case SQLITE_CONSTRAINT_FOREIGNKEY:
+        return new ForeignKeyError(err.message, { cause: err });
+      default:
+        return super.mapError(err);
+    }
+  }
+
+  /**
+   * Returns the version of the SQLite library bundled with Node.
+   */
+  async serverVersion() {
+    const [row] = await this.query("SELECT sqlite_version() AS version");
+    return row?.version ?? null;
+  }
+
+  /* =============================================================
+   * Query Execution
+   * ============================================================= */
+
+  /**
+   * Executes a single SQL statement and returns its rows (empty for
+   * statements without a result set or RETURNING clause).
+   *
+   * node:sqlite only binds null, numbers, bigints, strings and
+   * buffers, so booleans, dates and objects are converted first.
+   *
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   * @returns {Promise<object[]>}
+   */
+  async query(sql, params = []) {
+    if (!this.db) throw new ConnectionError("SqliteDriver is not connected.");
+    // One connection: wait out transactions begun by other callers
+    await this.waitForTransaction();
+
+    const statement = this.db.prepare(sql);
+    const rows = statement.all(...params.map(toSqliteValue));
+
+    // node:sqlite returns null-prototype rows
+    return rows.map(row => ({ ...row }));
+  }
+
+  placeholder(idx) {
+    return "?";
+  }
+
+  formatIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * SQLite only accepts OFFSET after a LIMIT; -1 means "no limit".
+   */
+  compileLimitOffset(limit, offset) {
+    if (offset !== undefined && limit === undefined) {
+      return `LIMIT -1 OFFSET ${offset}`;
+    }
+    return super.compileLimitOffset(limit, offset);
+  }
+
+  /**
+   * Values of json / object / array fields are always stored as JSON
+   * text, so that strings and numbers read back as they were written.
+   * Other values are converted by toSqliteValue() when bound.
+   */
+  prepareEntity(target, entity) {
+    let prepared = entity;
+    for (const [field, value] of Object.entries(entity)) {
+      if (
+        value !== null &&
+        value !== undefined &&
+        JSON_FIELD_TYPES.has(this.fieldType(target, field))
+      ) {
+        prepared = { ...prepared, [field]: JSON.stringify(value) };
+      }
+    }
+    return prepared;
+  }
+
+  /**
+   * SQLite has no boolean or JSON types: booleans come back as 0 / 1
+   * and JSON as text, so fields the registered schema types as boolean
+   * or json / object / array are converted back.
+   */
+  parseRow(target, row) {
+    for (const [field, value] of Object.entries(row)) {
+      if (value === null) continue;
+
+      const type = this.fieldType(target, field);
+      if (type === "boolean") row[field] = Boolean(value);
+      else if (JSON_FIELD_TYPES.has(type)) row[field] = JSON.parse(value);
+    }
+    return row;
+  }
+
+  /* =============================================================
+   * Transaction Management
+   * ============================================================= */
+
+  async startTransaction(options = {}) {
+    if (!this.db) throw new ConnectionError("SqliteDriver is not connected.");
+    const { readOnly } = parseTransactionOptions(options);
+
+    this.db.exec("BEGIN");
+    if (readOnly) {
+      this.db.exec("PRAGMA query_only = ON");
+      this.readOnly = true;
+    }
+    this.inTransaction = true;
+  }
+
+  async commitTransaction() {
+    if (!this.inTransaction) return;
+    this.#endTransaction("COMMIT");
+  }
+
+  async rollbackTransaction() {
+    if (!this.inTransaction) return;
+    this.#endTransaction("ROLLBACK");
+  }
+
+  #endTransaction(statement) {
+    this.db.exec(statement);
+    this.inTransaction = false;
+
+    if (this.readOnly) {
+      this.db.exec("PRAGMA query_only = OFF");
+      this.readOnly = false;
+    }
+  }
+
+  /* =============================================================
+   * DDL Methods
+   *
+   * Column definitions use the Operation shape:
+   *   { name, type, length, required, unique, primary,
+   *     autoIncrement, default }
+   *
+   * Foreign key operations use:
+   *   { tableName, columns, referencedTable, referencedColumns,
+   *     onDelete, onUpdate }
+   * SQLite does not keep constraint names, so dropForeignKey
+   * matches on tableName + columns.
+   * ============================================================= */
+
+  async createTable(operation) {
+    const { tableName, columns = [], indexes = [] } = operation.params;
+    if (!tableName) throw new Error("createTable requires a tableName");
+
+    const primary = columns.filter(col => col.primary);
+    const inlinePrimary = primary.length === 1 && primary[0].autoIncrement;
+
+    const columnDefs = columns.map(col =>
+      this.#columnDefinition(col, inlinePrimary && col.primary)
+    );
+
+    if (primary.length && !inlinePrimary) {
+      columnDefs.push(
+        `PRIMARY KEY (${primary
+          .map(col => this.formatIdentifier(col.name))
+          .join(", ")})`
+      );
+    }
+
+    await this.query(
+      `CREATE TABLE IF NOT EXISTS ${this.formatIdentifier(
+        tableName
+      )} (${columnDefs.join(", ")})`
+    );
+
+    for (const index of indexes) {
+      if (index.primary) continue; // primary key handled in table
+      await this.createIndex({ params: { tableName, ...index } });
+    }
+
+    return true;
+  }
+
+  async dropTable(operation) {
+    const { tableName } = operation.params;
+    if (!tableName) throw new Error("dropTable requires tableName");
+    await this.query(
+      `DROP TABLE IF EXISTS ${this.formatIdentifier(tableName)}`
+    );
+    return true;
+  }
+
+  async addColumn(operation) {
+    const { tableName, column } = operation.params;
+    if (!tableName || !column?.name)
+      throw new Error("addColumn requires tableName and column.name");
+
+    await this.query(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} ADD COLUMN ${this.#columnDefinition(column)}`
+    );
+    return true;
+  }
+
+  async dropColumn(operation) {
+    const { tableName, columnName } = operation.params;
+    if (!tableName || !columnName)
+      throw new Error("dropColumn requires tableName and columnName");
+
+    await this.query(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} DROP COLUMN ${this.formatIdentifier(columnName)}`
+    );
+    return true;
+  }
+
+  async createIndex(operation) {
+    const { tableName, name, columns = [], unique } = operation.params;
+    if (!tableName || !name || !columns.length)
+      throw new Error("createIndex requires tableName, name and columns");
+
+    const cols = columns
+      .map(col => {
+        const { name: colName, order = "ASC" } =
+          typeof col === "string" ? { name: col } : col;
+        return `${this.formatIdentifier(colName)} ${order}`;
+      })
+      .join(", ");
+
+    await this.query(
+      `CREATE ${unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${this.formatIdentifier(
+        name
+      )} ON ${this.formatIdentifier(tableName)} (${cols})`
+    );
+    return true;
+  }
+
+  async dropIndex(operation) {
+    const { name } = operation.params;
+    if (!name) throw new Error("dropIndex requires name");
+    await this.query(`DROP INDEX IF EXISTS ${this.formatIdentifier(name)}`);
+    return true;
+  }
+
+  async renameTable(operation) {
+    const { oldName, newName } = operation.params;
+    if (!oldName || !newName)
+      throw new Error("renameTable requires oldName and newName");
+
+    await this.query(
+      `ALTER TABLE ${this.formatIdentifier(
+        oldName
+      )} RENAME TO ${this.formatIdentifier(newName)}`
+    );
+    return true;
+  }
+
+  async renameColumn(operation) {
+    const { tableName, oldName, newName } = operation.params;
+    if (!tableName || !oldName || !newName)
+      throw new Error("renameColumn requires tableName, oldName and newName");
+
+    await this.query(
+      `ALTER TABLE ${this.formatIdentifier(
+        tableName
+      )} RENAME COLUMN ${this.formatIdentifier(
+        oldName
+      )} TO ${this.formatIdentifier(newName)}`
+    );
+    return true;
+  }
+
+  async alterColumn(operation) {
+    const { tableName, columnName, definition } = operation.params;
+    if (!tableName || !columnName || !definition)
+      throw new Error(
+        "alterColumn requires tableName, columnName and definition"
+      );
+
+    await this.#rebuildTable(tableName, table => {
+      const column = table.columns.find(col => col.name === columnName);
+      if (!column) {
+        throw new Error(
+          `alterColumn: column '${columnName}' does not exist on '${tableName}'`
+        );
+      }
+
+      Object.assign(column, {
+        type: this.#columnType(definition),
+        required: Boolean(definition.required),
+        default:
+          definition.default !== undefined && definition.default !== null
+            ? this.#defaultValue(definition.default)
+            : null,
+      });
+
+      const alreadyUnique = table.uniques.some(
+        cols => cols.length === 1 && cols[0] === columnName
+      );
+      if (definition.unique && !alreadyUnique) table.uniques.push([columnName]);
+    });
+    return true;
+  }
+
+  async createForeignKey(operation) {
+    const foreignKey = normalizeForeignKey(operation.params);
+
+    await this.#rebuildTable(foreignKey.tableName, table => {
+      table.foreignKeys.push(foreignKey);
+    });
+    return true;
+  }
+
+  async dropForeignKey(operation) {
+    const { tableName, columns } = normalizeForeignKey(operation.params, {
+      requireReference: false,
+    });
+
+    await this.#rebuildTable(tableName, table => {
+      const before = table.foreignKeys.length;
+      table.foreignKeys = table.foreignKeys.filter(
+        fk => fk.columns.join() !== columns.join()
+      );
+      if (table.foreignKeys.length === before) {
+        throw new Error(
+          `dropForeignKey: no foreign key on '${tableName}' (${columns.join(", ")})`
+        );
+      }
+    });
+    return true;
+  }
+
+  /* =============================================================
+   * Internal Helpers
+   * ============================================================= */
+
+  #columnType(col) {
+    switch (col.type) {
+      case "INTEGER":
+      case "NUMERIC":
+      case "BOOLEAN":
+      case "DATE":
+      case "TIME":
+      case "TIMESTAMP":
+      case "TEXT":
+        return col.type;
+      case "VARCHAR":
+        return `VARCHAR(${col.length || 255})`;
+      // SQLite integers are 64-bit
+      case "BIGINT":
+        return "INTEGER";
+      // NUMERIC affinity would round decimals through REAL
+      case "DECIMAL":
+      case "UUID":
+        return "TEXT";
+      // Stored as JSON text (see toSqliteValue)
+      case "JSON":
+      case "ARRAY":
+        return "TEXT";
+      case "BINARY":
+        return "BLOB";
+      default:
+        throw new Error(`Unsupported column type: ${col.type}`);
+    }
+  }
+
+  #defaultValue(value) {
+    if (value === "NOW()") return "CURRENT_TIMESTAMP";
+    if (typeof value === "boolean") return value ? "1" : "0";
+    return String(value);
+  }
+
+  #columnDefinition(col, inlinePrimary = false) {
+    let sql = `${this.formatIdentifier(col.name)} ${this.#columnType(col)}`;
+
+    if (inlinePrimary) {
+      sql += " PRIMARY KEY";
+      if (col.autoIncrement) sql += " AUTOINCREMENT";
+    } else if (col.required) {
+      sql += " NOT NULL";
+    }
+
+    if (col.unique && !col.primary) sql += " UNIQUE";
+    if (col.default !== undefined && col.default !== null)
+      sql += ` DEFAULT ${this.#defaultValue(col.default)}`;
+
+    return sql;
+  }
+
+  /**
+   * Rebuilds a table so that changes SQLite cannot ALTER in place
+   * (column definitions, foreign keys) can be applied:
+   * create new table -> copy rows -> drop old -> rename new.
+   *
+   * @param {string} tableName
+   * @param {(table: object) => void} transform Mutates the table
+   *   description ({ columns, primaryKey, autoIncrement, uniques,
+   *   foreignKeys }) before the new table is created.
+   */
+  async #rebuildTable(tableName, transform) {
+    const table = await this.#describeTable(tableName);
+    const columnNames = table.columns.map(col => col.name);
+
+    transform(table);
+
+    // Dropping the old table fires ON DELETE actions in referencing
+    // tables unless foreign keys are off, which SQLite only allows
+    // outside a transaction.
+    const [{ foreign_keys: fkEnabled }] = await this.query(
+      "PRAGMA foreign_keys"
+    );
+    if (fkEnabled && this.inTransaction) {
+      const referencing = await this.#referencingTables(tableName);
+      if (referencing.length) {
+        throw new Error(
+          `Cannot rebuild '${tableName}' inside a transaction while ` +
+            `foreign keys from ${referencing.join(", ")} reference it`
+        );
+      }
+    }
+
+    const tempName = `${tableName}__turbo_rebuild`;
+    const quoted = this.formatIdentifier(tableName);
+    const quotedTemp = this.formatIdentifier(tempName);
+    const copyColumns = columnNames
+      .map(name => this.formatIdentifier(name))
+      .join(", ");
+
+    if (fkEnabled && !this.inTransaction) {
+      await this.query("PRAGMA foreign_keys = OFF");
+    }
+
+    await this.query("SAVEPOINT turbo_rebuild");
+    try {
+      await this.query(
+        `CREATE TABLE ${quotedTemp} (${this.#tableDefinition(table)})`
+      );
+      await this.query(
+        `INSERT INTO ${quotedTemp} (${copyColumns}) SELECT ${copyColumns} FROM ${quoted}`
+      );
+      await this.query(`DROP TABLE ${quoted}`);
+      await this.query(`ALTER TABLE ${quotedTemp} RENAME TO ${quoted}`);
+
+      for (const sql of table.indexSQL) {
+        await this.query(sql);
+      }
+
+      const violations = await this.query(
+        `PRAGMA foreign_key_check(${quoted})`
+      );
+      if (violations.length) {
+        throw new Error(
+          `Rebuilding '${tableName}' would violate ${violations.length} foreign key reference(s)`
+        );
+      }
+
+      await this.query("RELEASE SAVEPOINT turbo_rebuild");
+    } catch (err) {
+      await this.query("ROLLBACK TO SAVEPOINT turbo_rebuild");
+      await this.query("RELEASE SAVEPOINT turbo_rebuild");
+      throw err;
+    } finally {
+      if (fkEnabled && !this.inTransaction) {
+        await this.query("PRAGMA foreign_keys = ON");
+      }
+    }
+  }
+
+  async #describeTable(tableName) {
+    const quoted = this.formatIdentifier(tableName);
+
+    const [master] = await this.query(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [tableName]
+    );
+    if (!master) throw new Error(`Table '${tableName}' does not exist`);
+
+    const info = await this.query(`PRAGMA table_info(${quoted})`);
+
+    const columns = info.map(col => ({
+      name: col.name,
+      type: col.type,
+      required: Boolean(col.notnull),
+      default: col.dflt_value,
+    }));
+
+    const primaryKey = info
+      .filter(col => col.pk)
+      .sort((a, b) => a.pk - b.pk)
+      .map(col => col.name);
+
+    // UNIQUE constraints live in automatic indexes without SQL
+    const uniques = [];
+    for (const index of await this.query(`PRAGMA index_list(${quoted})`)) {
+      if (index.origin !== "u") continue;
+      const indexColumns = await this.query(
+        `PRAGMA index_info(${this.formatIdentifier(index.name)})`
+      );
+      uniques.push(
+        indexColumns.sort((a, b) => a.seqno - b.seqno).map(c => c.name)
+      );
+    }
+
+    const foreignKeys = [];
+    for (const row of await this.query(`PRAGMA foreign_key_list(${quoted})`)) {
+      let fk = foreignKeys.find(existing => existing.id === row.id);
+      if (!fk) {
+        fk = {
+          id: row.id,
+          tableName,
+          columns: [],
+          referencedTable: row.table,
+          referencedColumns: [],
+          onDelete: row.on_delete,
+          onUpdate: row.on_update,
+        };
+        foreignKeys.push(fk);
+      }
+      fk.columns.push(row.from);
+      fk.referencedColumns.push(row.to);
+    }
+
+    const indexSQL = (
+      await this.query(
+        "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+        [tableName]
+      )
+    ).map(row => row.sql);
+
+    return {
+      columns,
+      primaryKey,
+      autoIncrement: /\bAUTOINCREMENT\b/i.test(master.sql),
+      uniques,
+      foreignKeys,
+      indexSQL,
+    };
+  }
+
+  #tableDefinition(table) {
+    const inlinePrimary = table.autoIncrement && table.primaryKey.length === 1;
+
+    const defs = table.columns.map(col => {
+      let sql = `${this.formatIdentifier(col.name)} ${col.type}`;
+      if (inlinePrimary && col.name === table.primaryKey[0]) {
+        sql += " PRIMARY KEY AUTOINCREMENT";
+      } else if (col.required) {
+        sql += " NOT NULL";
+      }
+      if (col.default !== null && col.default !== undefined)
+        sql += ` DEFAULT ${col.default}`;
+      return sql;
+    });
+
+    const list = names =>
+      names.map(name => this.formatIdentifier(name)).join(", ");
+
+    if (table.primaryKey.length && !inlinePrimary) {
+      defs.push(`PRIMARY KEY (${list(table.primaryKey)})`);
+    }
+
+    for (const columns of table.uniques) {
+      defs.push(`UNIQUE (${list(columns)})`);
+    }
+
+    for (const fk of table.foreignKeys) {
+      let sql =
+        `FOREIGN KEY (${list(fk.columns)}) REFERENCES ` +
+        `${this.formatIdentifier(fk.referencedTable)} (${list(
+          fk.referencedColumns
+        )})`;
+      if (fk.onDelete && fk.onDelete !== "NO ACTION")
+        sql += ` ON DELETE ${fk.onDelete}`;
+      if (fk.onUpdate && fk.onUpdate !== "NO ACTION")
+        sql += ` ON UPDATE ${fk.onUpdate}`;
+      defs.push(sql);
+    }
+
+    return defs.join(", ");
+  }
+
+  async #referencingTables(tableName) {
+    const tables = await this.query(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> ?",
+      [tableName]
+    );
+
+    const referencing = [];
+    for (const { name } of tables) {
+      const fks = await this.query(
+        `PRAGMA foreign_key_list(${this.formatIdentifier(name)})`
+      );
+      if (fks.some(fk => fk.table === tableName)) referencing.push(name);
+    }
+    return referencing;
+  }
+}
+
+/**
+ * Converts a JavaScript value into one node:sqlite can bind.
+ */
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (
+    value !== null &&
+    typeof value === "object" &&
+    !Buffer.isBuffer(value) &&
+    !ArrayBuffer.isView(value)
+  ) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Validates and normalizes foreign key operation params.
+ */
+function normalizeForeignKey(params = {}, { requireReference = true } = {}) {
+  const {
+    tableName,
+    columns,
+    columnName,
+    referencedTable,
+    referencedColumns,
+    referencedColumn,
+    onDelete,
+    onUpdate,
+  } = params;
+
+  const toList = value =>
+    value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+  const fk = {
+    tableName,
+    columns: toList(columns ?? columnName),
+    referencedTable,
+    referencedColumns: toList(referencedColumns ?? referencedColumn),
+    onDelete: onDelete?.toUpperCase(),
+    onUpdate: onUpdate?.toUpperCase(),
+  };
+
+  if (!fk.tableName || !fk.columns.length) {
+    throw new Error("Foreign key operations require tableName and columns");
+  }
+
+  if (
+    requireReference &&
+    (!fk.referencedTable || fk.referencedColumns.length !== fk.columns.length)
+  ) {
+    throw new Error(
+      "createForeignKey requires referencedTable and one referenced column per column"
+    );
+  }
+
+  return fk;
+}
@@ -0,0 +1,156 @@
+// ./lib/errors.js
+
+/**
+ * Database Errors
+ * -------------------------------------------------------------
+ * Portable error classes, so application code can handle failures
+ * by kind instead of matching driver codes or messages:
+ *
+ *   try {
+ *     await users.insertOne({ email });
+ *   } catch (err) {
+ *     if (err instanceof UniqueConstraintError) {
+ *       throw new Error(`${err.fields.join(", ")} is already taken`);
+ *     }
+ *     throw err;
+ *   }
+ *
+ *   DatabaseError
+ *   ├── ConstraintError             constraint, table
+ *   │   ├── UniqueConstraintError   fields
+ *   │   ├── ForeignKeyError         fields
+ *   │   ├── NotNullError            field
+ *   │   └── CheckConstraintError
+ *   ├── ConnectionError             server unreachable or not connected
+ *   ├── TimeoutError                statement, lock or transaction timeout
+ *   ├── SerializationError          serialization failure or deadlock
+ *   └── NotFoundError               table, id
+ *
+ * Database converts driver errors with BaseDriver.mapError(); the
+ * driver's own error is kept as `cause` and its code as `code`.
+ * Errors without a portable meaning are rethrown unchanged.
+ *
+ * ValidationError is raised by Model before anything reaches the
+ * database, so it is not a DatabaseError.
+ */
+
+export class DatabaseError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details={}]
+   * @param {Error} [details.cause] - The driver's original error.
+   * @param {string|number} [details.code] - Native error code
+   *   (defaults to cause.code).
+   * @param {string} [details.table] - Table or collection involved.
+   */
+  constructor(message, { cause, code = cause?.code, table } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    if (code !== undefined) this.code = code;
+    if (table !== undefined) this.table = table;
+  }
+}
+
+/**
+ * A write violated a constraint. `constraint` is the constraint or
+ * index name when the server reports it, otherwise null.
+ */
+export class ConstraintError extends DatabaseError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.constraint = details.constraint ?? null;
+  }
+}
+
+/**
+ * A unique index or primary key already holds the value. `fields`
+ * lists its columns; MySQL reports only the index (`constraint`), so
+ * its driver looks the columns up in information_schema and leaves
+ * `fields` empty if that fails.
+ */
+export class UniqueConstraintError extends ConstraintError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = details.fields ?? [];
+  }
+}
+
+/**
+ * A referenced row does not exist, or a referenced row cannot be
+ * deleted. `fields` lists the referencing columns when known.
+ */
+export class ForeignKeyError extends ConstraintError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = details.fields ?? [];
+  }
+}
+
+/** A required column was null or missing. */
+export class NotNullError extends ConstraintError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.field = details.field ?? null;
+  }
+}
+
+/** A CHECK constraint (or MongoDB validator) rejected the row. */
+export class CheckConstraintError extends ConstraintError {}
+
+/** The server is unreachable, went away, or was never connected. */
+export class ConnectionError extends DatabaseError {}
+
+/** A statement, lock wait or transaction took too long. */
+export class TimeoutError extends DatabaseError {}
+
+/**
+ * The server aborted a transaction that conflicted with a concurrent
+ * one; it may succeed when run again (see the transaction `retry`
+ * option).
+ */
+export class SerializationError extends DatabaseError {}
+
+/** A record that had to exist was not found. */
+export class NotFoundError extends DatabaseError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.id = details.id;
+  }
+}
+
+/**
+ * Data was rejected by a ModelSchema. `errors` holds one entry per
+ * failed rule, as produced by ModelSchema.validate():
+ *
+ *   { field, rule, message, value, params }
+ *
+ * `rule` is a stable code (required, type, minLength, maxLength,
+ * minValue, maxValue, precision, scale, enum, custom, unknown) to map
+ * onto API responses or localized messages; `message` is the English
+ * text.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details={}]
+   * @param {string} [details.model] - Name of the validated model.
+   * @param {Array<object>} [details.errors] - Per-field errors.
+   */
+  constructor(message, { model, errors = [] } = {}) {
+    super(message);
+    this.name = new.target.name;
+    if (model !== undefined) this.model = model;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The driver error behind a mapped DatabaseError, or `err` itself.
+ * Drivers classify errors (isTransientError, isTransactionConflict)
+ * by their native codes.
+ * @param {Error} err
+ * @returns {Error}
+ */
+export function nativeError(err) {
+  return err instanceof DatabaseError && err.cause ? err.cause : err;
+}
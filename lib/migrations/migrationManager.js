@@ -79,6 +79,17 @@ export default class MigrationManager {
    * Status
    * ============================================================= */
 
+  /**
+   * Migrations not applied yet, in the order migrateUp() runs them.
+   * @returns {Promise<Array<object>>}
+   */
+  async pendingMigrations() {
+    await this._init();
+    const appliedSet = await this.getAppliedMigrations();
+
+    return this.migrations.filter(m => !appliedSet.has(m.id));
+  }
+
   async status() {
     await this._init();
     const appliedSet = await this.getAppliedMigrations();
@@ -22,7 +22,8 @@ export const DASH_SPACES = "dash";
  * Base class for defining database DDL operations
  */
 export default class Operation {
-  constructor() {
+  constructor(type = null) {
+    this.type = type;
     this.params = {
       tableName: null,
       columns: [],
@@ -31,7 +32,7 @@ export default class Operation {
   }
 
   static createTable(name) {
-    const op = new Operation();
+    const op = new Operation("createTable");
     op.params.tableName = name;
     return op;
   }
@@ -164,6 +165,54 @@ export default class Operation {
     return this.addVarChar(name, length, options);
   }
 
+  addText(name, options = {}) {
+    return this.#addColumn({ name, type: "TEXT", ...options });
+  }
+
+  addBigInt(name, options = {}) {
+    return this.#addColumn({ name, type: "BIGINT", ...options });
+  }
+
+  /**
+   * Exact numeric column, e.g. addDecimal("price", 10, 2).
+   */
+  addDecimal(name, precision, scale = 0, options = {}) {
+    return this.#addColumn({
+      name,
+      type: "DECIMAL",
+      precision,
+      scale,
+      ...options,
+    });
+  }
+
+  addUuid(name, options = {}) {
+    return this.#addColumn({ name, type: "UUID", ...options });
+  }
+
+  addUrl(name, options = {}) {
+    return this.addVarChar(name, 2048, options);
+  }
+
+  /**
+   * JSON document column (ModelSchema json and object fields).
+   */
+  addJson(name, options = {}) {
+    return this.#addColumn({ name, type: "JSON", ...options });
+  }
+
+  addBinary(name, options = {}) {
+    return this.#addColumn({ name, type: "BINARY", ...options });
+  }
+
+  /**
+   * Array column whose items have another column type, e.g.
+   * addArray("tags", "TEXT"). Dialects without arrays store JSON.
+   */
+  addArray(name, items = "TEXT", options = {}) {
+    return this.#addColumn({ name, type: "ARRAY", items, ...options });
+  }
+
   addIndex(name, columns, options = {}) {
     const cols = columns.map(col => {
       let order = "ASC";
@@ -181,4 +230,16 @@ export default class Operation {
   finalize() {
     return this;
   }
+
+  #addColumn(col) {
+    if (col.primary) {
+      col.required = true;
+      this.addIndex(`${this.params.tableName}_${col.name}_pk`, [col.name], {
+        primary: true,
+        unique: true,
+      });
+    }
+    this.params.columns.push(col);
+    return this;
+  }
 }
@@ -1,6 +1,10 @@
 // ./lib/model.js
 
+import { NotFoundError, ValidationError } from "./errors.js";
 import ModelSchema from "./modelSchema.js";
+import { paginate } from "./pagination.js";
+import { generateKey } from "./primaryKey.js";
+import QueryBuilder from "./queryBuilder.js";
 
 /**
  * Model
@@ -32,6 +36,12 @@ export default class Model {
     this.#database = database;
     this.name = name;
     this.schema = modelSchema;
+
+    // Drivers learn the primary key from the schema; those without
+    // DDL (e.g. the memory driver) also learn its unique indexes
+    if (typeof database.registerSchema === "function") {
+      database.registerSchema(name, modelSchema.getSchema());
+    }
   }
 
   /**
@@ -40,7 +50,7 @@ export default class Model {
    * @returns {Promise<object>} Inserted entity with defaults applied.
    */
   async insertOne(entity) {
-    const validated = this.#validateEntity(entity);
+    const validated = this.#validateEntity(this.#withGeneratedKey(entity));
     return await this.#database.insertOne(this.name, validated);
   }
 
@@ -50,13 +60,15 @@ export default class Model {
    * @returns {Promise<object[]>} Inserted entities.
    */
   async insertMany(entities) {
-    const validated = entities.map(e => this.#validateEntity(e));
+    const validated = entities.map(e =>
+      this.#validateEntity(this.#withGeneratedKey(e))
+    );
     return await this.#database.insertMany(this.name, validated);
   }
 
   /**
    * Finds a single entity matching criteria.
-   * @param {object} criteria - Query filter.
+   * @param {object} criteria - Query filter (see lib/criteria.js).
    * @returns {Promise<object|null>} Entity or null.
    */
   async findOne(criteria) {
@@ -65,22 +77,63 @@ export default class Model {
 
   /**
    * Finds multiple entities matching criteria.
-   * @param {object} criteria - Query filter.
+   * @param {object} criteria - Query filter (see lib/criteria.js).
+   * @param {object} [options={}] - Ordering, paging and projection
+   *   (orderBy, limit, offset, select, exclude; see lib/queryOptions.js).
    * @returns {Promise<object[]>} Matching entities.
    */
-  async findMany(criteria) {
-    return await this.#database.findMany(this.name, criteria);
+  async findMany(criteria, options = {}) {
+    return await this.#database.findMany(this.name, criteria, options);
   }
 
   /**
-   * Finds an entity by ID.
-   * @param {string|number} id - Entity identifier.
+   * Fetches one page of entities using keyset (cursor) pagination.
+   * Pass `nextCursor` back as `after`, or `prevCursor` as `before`.
+   * @param {object} [criteria={}] - Query filter (see lib/criteria.js).
+   * @param {object} [options={}] - after, before, limit, orderBy and key
+   *   (see lib/pagination.js).
+   * @returns {Promise<{ items: object[], nextCursor: string|null,
+   *   prevCursor: string|null, hasMore: boolean }>}
+   */
+  async paginate(criteria = {}, options = {}) {
+    return await paginate(
+      (pageCriteria, queryOptions) =>
+        this.#database.findMany(this.name, pageCriteria, queryOptions),
+      criteria,
+      { secret: this.#database.cursorSecret, ...options }
+    );
+  }
+
+  /**
+   * Finds an entity by its primary key.
+   * @param {string|number|object|Array} id - Entity identifier; for a
+   *   composite key an object with every key field, or an array in
+   *   key order.
    * @returns {Promise<object|null>} Entity or null.
    */
   async findById(id) {
     return await this.#database.findById(this.name, id);
   }
 
+  /**
+   * Finds an entity by its primary key, failing when it does not exist.
+   * @param {string|number|object|Array} id - Entity identifier (see
+   *   findById).
+   * @returns {Promise<object>} Entity.
+   * @throws {NotFoundError} If no entity has this ID.
+   */
+  async findByIdOrFail(id) {
+    const entity = await this.findById(id);
+    if (!entity) {
+      const label = typeof id === "object" ? JSON.stringify(id) : id;
+      throw new NotFoundError(`${this.name} with id ${label} was not found`, {
+        table: this.name,
+        id,
+      });
+    }
+    return entity;
+  }
+
   /**
    * Updates a single entity with schema validation (partial allowed).
    * @param {object} entity - Entity to update.
@@ -123,12 +176,13 @@ export default class Model {
   }
 
   /**
-   * Deletes multiple entities.
-   * @param {object[]} entities - Entities to delete.
+   * Deletes multiple entities, or every entity matching a criteria object.
+   * @param {object[]|object} entitiesOrCriteria - Entities to delete, or a
+   *   query filter (see lib/criteria.js).
    * @returns {Promise<void>}
    */
-  async deleteMany(entities) {
-    return await this.#database.deleteMany(this.name, entities);
+  async deleteMany(entitiesOrCriteria) {
+    return await this.#database.deleteMany(this.name, entitiesOrCriteria);
   }
 
   /**
@@ -141,7 +195,7 @@ export default class Model {
 
   /**
    * Counts entities matching criteria.
-   * @param {object} criteria - Query filter.
+   * @param {object} criteria - Query filter (see lib/criteria.js).
    * @returns {Promise<number>}
    */
   async count(criteria) {
@@ -150,7 +204,7 @@ export default class Model {
 
   /**
    * Checks if any entity exists matching criteria.
-   * @param {object} criteria - Query filter.
+   * @param {object} criteria - Query filter (see lib/criteria.js).
    * @returns {Promise<boolean>}
    */
   async exists(criteria) {
@@ -159,7 +213,9 @@ export default class Model {
 
   /**
    * Executes aggregation or pipeline operations.
-   * @param {any} pipelineOrCriteria - Aggregation or query.
+   * @param {any} pipelineOrCriteria - Aggregation spec on SQL drivers
+   *   (see lib/aggregation.js), a pipeline on MongoDB, or a function
+   *   receiving the rows on the memory driver.
    * @returns {Promise<any>}
    */
   async aggregate(pipelineOrCriteria) {
@@ -167,21 +223,45 @@ export default class Model {
   }
 
   /**
-   * Executes a raw query through the database.
-   * @param {string|object} rawQuery - Raw query.
-   * @param {object} [options] - Optional execution options.
-   * @returns {Promise<any>}
+   * Without arguments, returns a fluent QueryBuilder for this model.
+   * With a raw query, executes it through the database.
+   * @param {string|object} [rawQuery] - Raw query.
+   * @param {any[]|object} [paramsOrOptions] - Passed on unchanged (see
+   *   Database.query).
+   * @returns {QueryBuilder|Promise<any>}
    */
-  async query(rawQuery, options = {}) {
-    return await this.#database.query(rawQuery, options);
+  query(rawQuery, paramsOrOptions) {
+    if (rawQuery === undefined) {
+      return new QueryBuilder(this.#database, this.name);
+    }
+    return this.#database.query(rawQuery, paramsOrOptions);
+  }
+
+  /**
+   * Starts a QueryBuilder that returns only the given fields.
+   * @param {...(string|string[])} fields - Fields to select.
+   * @returns {QueryBuilder}
+   */
+  select(...fields) {
+    return this.query().select(...fields);
+  }
+
+  /**
+   * Starts a QueryBuilder with a condition (see QueryBuilder.where).
+   * @param {...any} args - Criteria object, or field [, operator], value.
+   * @returns {QueryBuilder}
+   */
+  where(...args) {
+    return this.query().where(...args);
   }
 
   /**
    * Starts a transaction.
+   * @param {object} [options] - isolation, readOnly, deferrable.
    * @returns {Promise<void>}
    */
-  async startTransaction() {
-    return await this.#database.startTransaction();
+  async startTransaction(options) {
+    return await this.#database.startTransaction(options);
   }
 
   /**
@@ -203,10 +283,12 @@ export default class Model {
   /**
    * Runs a function within a transaction context.
    * @param {Function} callback - Callback to run within a transaction.
+   * @param {object} [options] - isolation, readOnly, deferrable,
+   *   timeoutMs and retry (see lib/transactionOptions.js).
    * @returns {Promise<void>}
    */
-  async transaction(callback) {
-    return await this.#database.transaction(callback);
+  async transaction(callback, options) {
+    return await this.#database.transaction(callback, options);
   }
 
   /**
@@ -230,18 +312,52 @@ export default class Model {
   // -------------------------------------------------------------------------
 
   /**
-   * Validates an entity against the model's schema.
+   * Validates an entity against the model's schema. Primary key fields
+   * the schema does not declare are kept as is, so updates and upserts
+   * can still address their row.
    * @param {object} entity - Entity to validate.
-   * @param {object} [options={}] - Validation options.
+   * @param {object} [options={}] - Validation options (partial, strict).
    * @returns {object} Validated entity with defaults applied.
-   * @throws {Error} If validation fails.
+   * @throws {ValidationError} If validation fails.
    */
   #validateEntity(entity, options = {}) {
-    const result = this.schema.validate(entity, options);
+    const { fields, primaryKey } = this.schema.getSchema();
+    const data = { ...entity };
+    const key = {};
+    for (const field of primaryKey.fields) {
+      if (Object.hasOwn(fields, field) || data[field] === undefined) continue;
+      key[field] = data[field];
+      delete data[field];
+    }
+
+    const result = this.schema.validate(data, options);
     if (!result.valid) {
-      const msg = `Validation failed for model "${this.name}":\n${result.errors.join("\n")}`;
-      throw new Error(msg);
+      const messages = result.errors.map(error => error.message);
+      throw new ValidationError(
+        `Validation failed for model "${this.name}":\n${messages.join("\n")}`,
+        { model: this.name, errors: result.errors }
+      );
+    }
+    return { ...key, ...result.value };
+  }
+
+  /**
+   * Adds a new primary key when the schema generates keys client-side
+   * (uuidv4, uuidv7, ulid, nanoid, objectId) and the entity has none.
+   * @param {object} entity
+   * @returns {object}
+   */
+  #withGeneratedKey(entity) {
+    const { fields, generate } = this.schema.getPrimaryKey();
+    const [field] = fields;
+    if (
+      fields.length !== 1 ||
+      (entity[field] !== undefined && entity[field] !== null)
+    ) {
+      return entity;
     }
-    return result.value;
+
+    const key = generateKey(generate);
+    return key === undefined ? entity : { ...entity, [field]: key };
   }
 }
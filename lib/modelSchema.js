@@ -1,5 +1,37 @@
 // ./lib/modelSchema.js:
 
+import { DEFAULT_PRIMARY_KEY, parsePrimaryKey } from "./primaryKey.js";
+
+// Field types validate() knows; other types need a custom handler
+const FIELD_TYPES = [
+  "array",
+  "bigint",
+  "binary",
+  "boolean",
+  "date",
+  "decimal",
+  "email",
+  "enum",
+  "integer",
+  "json",
+  "number",
+  "object",
+  "password",
+  "string",
+  "time",
+  "timestamp",
+  "url",
+  "uuid",
+];
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DECIMAL_PATTERN = /^[+-]?\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+// What minLength / maxLength count, when not characters
+const LENGTH_UNITS = { array: "items", binary: "bytes" };
+
 /**
  * ModelSchema
  *
@@ -8,15 +40,25 @@
  * Provides validation, indexing, and type-safe field declarations.
  */
 export default class ModelSchema {
-  constructor() {
+  /**
+   * @param {object} [options={}]
+   * @param {boolean} [options.strict=false] - Reject keys that are not
+   *   schema fields instead of stripping them (see validate()).
+   */
+  constructor({ strict = false } = {}) {
     /**
      * @private
-     * @type {{ fields: Record<string, object>, indexes: Array<object> }}
+     * @type {{ fields: Record<string, object>, indexes: Array<object>,
+     *   primaryKey: { fields: string[], generate: string|undefined } }}
      */
     this.definition = {
       fields: {},
       indexes: [],
+      primaryKey: DEFAULT_PRIMARY_KEY,
     };
+
+    /** @type {boolean} */
+    this.strict = strict;
   }
 
   // -------------------------------------------------------------------------
@@ -27,10 +69,18 @@ export default class ModelSchema {
    * Add a field to the schema.
    * @param {string} name - The field name.
    * @param {string} type - The field type (string, number, boolean, etc.).
+   *   Types validate() does not know require a custom handler.
    * @param {object} [options={}] - Additional field metadata and constraints.
    * @returns {ModelSchema} This instance (chainable).
+   * @throws {Error} If the type is unknown and has no handler.
    */
   addField(name, type, options = {}) {
+    if (!FIELD_TYPES.includes(type) && typeof options.handler !== "function") {
+      throw new Error(
+        `Unknown type '${type}' for field '${name}'. Expected one of: ` +
+          `${FIELD_TYPES.join(", ")}, or use addCustom() with a handler`
+      );
+    }
     this.definition.fields[name] = { type, ...options };
     return this;
   }
@@ -39,6 +89,41 @@ export default class ModelSchema {
   // Type Helpers
   // -------------------------------------------------------------------------
 
+  /**
+   * An array whose items all have the given type (any value when
+   * `items` is omitted). minLength / maxLength count items.
+   */
+  addArray(name, items, required = false, minLength, maxLength, defaultValue) {
+    if (items !== undefined && !FIELD_TYPES.includes(items)) {
+      throw new Error(`Unknown item type '${items}' for array field '${name}'`);
+    }
+    return this.addField(name, "array", {
+      items,
+      required,
+      minLength,
+      maxLength,
+      defaultValue,
+    });
+  }
+
+  /**
+   * A 64-bit integer: a BigInt, a safe integer or a string of digits.
+   * Values are kept as given, so they are never rounded.
+   */
+  addBigInt(name, required = false, minValue, maxValue, defaultValue) {
+    return this.addField(name, "bigint", {
+      required,
+      minValue,
+      maxValue,
+      defaultValue,
+    });
+  }
+
+  /** A Buffer or Uint8Array; maxLength counts bytes. */
+  addBinary(name, required = false, maxLength) {
+    return this.addField(name, "binary", { required, maxLength });
+  }
+
   addBoolean(name, required = false, defaultValue) {
     return this.addField(name, "boolean", { required, defaultValue });
   }
@@ -52,6 +137,21 @@ export default class ModelSchema {
     });
   }
 
+  /**
+   * An exact decimal, validated as NUMERIC(precision, scale) and held
+   * as a string ("12.50"). Numbers and BigInts are accepted and
+   * converted. Without precision or scale any number of digits is
+   * accepted; precision alone means a scale of 0, as in SQL.
+   */
+  addDecimal(name, required = false, precision, scale, defaultValue) {
+    return this.addField(name, "decimal", {
+      required,
+      precision,
+      scale,
+      defaultValue,
+    });
+  }
+
   addEmail(name, required = false, defaultValue) {
     return this.addField(name, "email", { required, defaultValue });
   }
@@ -69,6 +169,11 @@ export default class ModelSchema {
     });
   }
 
+  /** Any JSON-serializable value (object, array, string, number...). */
+  addJson(name, required = false, defaultValue) {
+    return this.addField(name, "json", { required, defaultValue });
+  }
+
   addNumber(name, required = false, minValue, maxValue, defaultValue) {
     return this.addField(name, "number", {
       required,
@@ -78,6 +183,11 @@ export default class ModelSchema {
     });
   }
 
+  /** A plain object (not an array, Date or Buffer). */
+  addObject(name, required = false, defaultValue) {
+    return this.addField(name, "object", { required, defaultValue });
+  }
+
   addPassword(name, required = false, options = {}) {
     return this.addField(name, "password", { required, ...options });
   }
@@ -115,10 +225,45 @@ export default class ModelSchema {
     return this;
   }
 
+  /** An absolute URL with a scheme and host (https://example.com). */
+  addUrl(name, required = false, maxLength, defaultValue) {
+    return this.addField(name, "url", { required, maxLength, defaultValue });
+  }
+
+  addUuid(name, required = false, defaultValue) {
+    return this.addField(name, "uuid", { required, defaultValue });
+  }
+
   addCustom(name, type, options = {}, handler = null) {
     return this.addField(name, type, { ...options, handler });
   }
 
+  // -------------------------------------------------------------------------
+  // Primary Key
+  // -------------------------------------------------------------------------
+
+  /**
+   * Declare the field(s) that identify a record (default `id`) and how
+   * new keys are generated. See lib/primaryKey.js.
+   * @param {string|string[]} fields - Key field, or fields of a
+   *   composite key.
+   * @param {object} [options={}]
+   * @param {string} [options.generate="serial"] - serial, uuidv4,
+   *   uuidv7, ulid, nanoid or objectId (single-field keys only).
+   * @returns {ModelSchema} This instance (chainable).
+   */
+  setPrimaryKey(fields, options = {}) {
+    this.definition.primaryKey = parsePrimaryKey(fields, options);
+    return this;
+  }
+
+  /**
+   * @returns {{ fields: string[], generate: string|undefined }}
+   */
+  getPrimaryKey() {
+    return this.definition.primaryKey;
+  }
+
   // -------------------------------------------------------------------------
   // Indexing
   // -------------------------------------------------------------------------
@@ -133,16 +278,65 @@ export default class ModelSchema {
   // Validation
   // -------------------------------------------------------------------------
 
-  validate(data) {
+  /**
+   * Validate data against the schema and apply default values.
+   *
+   * Each failed rule is reported as an entry of `errors`:
+   *
+   *   { field: "age", rule: "minValue", message: "age must be >= 18",
+   *     value: 16, params: { minValue: 18 } }
+   *
+   * `rule` is one of required, type, minLength, maxLength, minValue,
+   * maxValue, precision, scale, enum, custom or unknown; `params`
+   * holds the rule's settings so callers can build their own (e.g.
+   * localized) messages.
+   *
+   * In partial mode (updates) only the keys supplied in `data` are
+   * checked: defaults are not applied, required is not enforced, and
+   * null is kept so a column can be cleared (NOT NULL is left to the
+   * database). Keys that are not schema fields are stripped from
+   * `value`, or reported with rule "unknown" in strict mode.
+   *
+   * @param {object} data - Data to validate.
+   * @param {object} [options={}]
+   * @param {boolean} [options.partial=false] - Validate supplied keys only.
+   * @param {boolean} [options.strict=this.strict] - Reject unknown keys.
+   * @returns {{ valid: boolean, errors: Array<object>, value: object }}
+   */
+  validate(data, { partial = false, strict = this.strict } = {}) {
     const errors = [];
     const validated = {};
+    const { fields } = this.definition;
+
+    const fail = (field, rule, message, value, params = {}) =>
+      errors.push({ field, rule, message, value, params });
+
+    if (strict) {
+      for (const key of Object.keys(data)) {
+        if (!Object.hasOwn(fields, key))
+          fail(
+            key,
+            "unknown",
+            `${key} is not a field of this schema`,
+            data[key]
+          );
+      }
+    }
 
-    for (const [name, rules] of Object.entries(this.definition.fields)) {
+    for (const [name, rules] of Object.entries(fields)) {
       const value = data[name];
 
+      if (partial) {
+        if (value === undefined) continue;
+        if (value === null) {
+          validated[name] = null;
+          continue;
+        }
+      }
+
       // Required
       if (rules.required && (value === undefined || value === null)) {
-        errors.push(`${name} is required`);
+        fail(name, "required", `${name} is required`, value);
         continue;
       }
 
@@ -157,38 +351,103 @@ export default class ModelSchema {
       if (finalValue === undefined) continue;
 
       // Type validation
-      if (!this.#validateType(finalValue, rules.type)) {
-        errors.push(`${name} must be of type ${rules.type}`);
+      if (!this.#validateType(finalValue, rules.type, rules.items)) {
+        const { type, items } = rules;
+        const label = items ? `${type} of ${items}` : type;
+        fail(
+          name,
+          "type",
+          `${name} must be of type ${label}`,
+          finalValue,
+          items ? { type, items } : { type }
+        );
         continue;
       }
 
       // Length / range checks
-      if (rules.minLength && finalValue.length < rules.minLength)
-        errors.push(`${name} must be at least ${rules.minLength} characters`);
-      if (rules.maxLength && finalValue.length > rules.maxLength)
-        errors.push(`${name} must be at most ${rules.maxLength} characters`);
-
-      if (rules.minValue !== undefined && finalValue < rules.minValue)
-        errors.push(`${name} must be >= ${rules.minValue}`);
-      if (rules.maxValue !== undefined && finalValue > rules.maxValue)
-        errors.push(`${name} must be <= ${rules.maxValue}`);
+      const { minLength, maxLength, minValue, maxValue } = rules;
+      const unit = LENGTH_UNITS[rules.type] ?? "characters";
+      const comparable = toComparable(finalValue, rules.type);
+
+      if (minLength && finalValue.length < minLength)
+        fail(
+          name,
+          "minLength",
+          `${name} must be at least ${minLength} ${unit}`,
+          finalValue,
+          { minLength }
+        );
+      if (maxLength && finalValue.length > maxLength)
+        fail(
+          name,
+          "maxLength",
+          `${name} must be at most ${maxLength} ${unit}`,
+          finalValue,
+          { maxLength }
+        );
+
+      if (minValue !== undefined && comparable < minValue)
+        fail(name, "minValue", `${name} must be >= ${minValue}`, finalValue, {
+          minValue,
+        });
+      if (maxValue !== undefined && comparable > maxValue)
+        fail(name, "maxValue", `${name} must be <= ${maxValue}`, finalValue, {
+          maxValue,
+        });
+
+      // Decimal precision / scale
+      if (rules.type === "decimal") {
+        const { precision } = rules;
+        const scale = rules.scale ?? (precision === undefined ? undefined : 0);
+        const [whole, fraction = ""] = String(finalValue)
+          .replace(/^[+-]/, "")
+          .split(".");
+        const digits = whole.replace(/^0+(?=\d)/, "").length;
+
+        if (scale !== undefined && fraction.length > scale)
+          fail(
+            name,
+            "scale",
+            `${name} must have at most ${scale} decimal places`,
+            finalValue,
+            { precision, scale }
+          );
+        else if (precision !== undefined && digits > precision - scale)
+          fail(
+            name,
+            "precision",
+            `${name} must have at most ${precision - scale} digits before the decimal point`,
+            finalValue,
+            { precision, scale }
+          );
+      }
 
       // Enum
       if (rules.type === "enum" && !rules.values.includes(finalValue))
-        errors.push(`${name} must be one of: ${rules.values.join(", ")}`);
+        fail(
+          name,
+          "enum",
+          `${name} must be one of: ${rules.values.join(", ")}`,
+          finalValue,
+          { values: rules.values }
+        );
 
       // Custom handler
       if (typeof rules.handler === "function") {
         const result = rules.handler(finalValue, data);
         if (result !== true)
-          errors.push(
+          fail(
+            name,
+            "custom",
             typeof result === "string"
               ? result
-              : `${name} failed custom validation`
+              : `${name} failed custom validation`,
+            finalValue
           );
       }
 
-      validated[name] = finalValue;
+      validated[name] =
+        rules.type === "decimal" ? String(finalValue) : finalValue;
     }
 
     return {
@@ -210,7 +469,7 @@ export default class ModelSchema {
   // Internal Helpers
   // -------------------------------------------------------------------------
 
-  #validateType(value, type) {
+  #validateType(value, type, items) {
     switch (type) {
       case "string":
       case "email":
@@ -227,8 +486,64 @@ export default class ModelSchema {
       case "time":
       case "timestamp":
         return value instanceof Date || !isNaN(Date.parse(value));
+      case "uuid":
+        return typeof value === "string" && UUID_PATTERN.test(value);
+      case "url":
+        return (
+          typeof value === "string" &&
+          /^[a-z][a-z\d+.-]*:\/\/[^/?#]/i.test(value) &&
+          URL.canParse(value)
+        );
+      case "decimal":
+        return (
+          ["string", "number", "bigint"].includes(typeof value) &&
+          DECIMAL_PATTERN.test(String(value))
+        );
+      case "bigint":
+        return (
+          typeof value === "bigint" ||
+          Number.isSafeInteger(value) ||
+          (typeof value === "string" && INTEGER_PATTERN.test(value))
+        );
+      case "binary":
+        return value instanceof Uint8Array;
+      case "json":
+        return isJson(value);
+      case "object":
+        return isPlainObject(value);
+      case "array":
+        return (
+          Array.isArray(value) &&
+          (items === undefined ||
+            value.every(item => this.#validateType(item, items)))
+        );
       default:
+        // Custom types are checked by their handler
         return true;
     }
   }
 }
+
+/**
+ * Value used for minValue / maxValue checks: BigInts stay exact,
+ * decimals are compared as numbers.
+ */
+function toComparable(value, type) {
+  if (type === "bigint") return BigInt(value);
+  if (type === "decimal") return Number(value);
+  return value;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function isJson(value) {
+  try {
+    return JSON.stringify(value) !== undefined;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,214 @@
+// ./lib/pagination.js
+
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { parseQueryOptions } from "./queryOptions.js";
+
+/**
+ * Keyset Pagination
+ * -------------------------------------------------------------
+ * Cursor-based paging built on the portable criteria and query
+ * options, so it works unchanged on every driver.
+ *
+ * A cursor records the sort-key values of one row. Paging "after" a
+ * cursor adds a keyset condition such as
+ *
+ *   (a > :a) OR (a = :a AND id > :id)
+ *
+ * instead of an OFFSET, which keeps pages stable under concurrent
+ * inserts and lets the database use an index on the sort keys.
+ *
+ * Cursors are opaque base64url tokens signed with HMAC-SHA256. A
+ * cursor that was altered, or that was issued for a different
+ * ordering, is rejected. Without a configured secret a random
+ * per-process secret is used, so cursors do not survive restarts.
+ */
+
+const DEFAULT_LIMIT = 20;
+const PROCESS_SECRET = randomBytes(32);
+
+/**
+ * Fetch one page of rows using keyset pagination.
+ *
+ * @param {(criteria: object, options: object) => Promise<object[]>} findMany
+ *   Function that runs a findMany for the target table/collection.
+ * @param {object} [criteria={}] - Query filter (see lib/criteria.js).
+ * @param {object} [options={}] - Paging options.
+ * @param {string} [options.after] - Return rows after this cursor.
+ * @param {string} [options.before] - Return rows before this cursor.
+ * @param {number} [options.limit=20] - Maximum rows per page.
+ * @param {string|Array|object} [options.orderBy] - Sort order
+ *   (see lib/queryOptions.js). The key field is appended as a
+ *   tiebreaker when missing.
+ * @param {string} [options.key="id"] - Unique field used as tiebreaker.
+ * @param {string|Buffer} [options.secret] - Cursor signing secret.
+ * @returns {Promise<{ items: object[], nextCursor: string|null,
+ *   prevCursor: string|null, hasMore: boolean }>}
+ */
+export async function paginate(findMany, criteria = {}, options = {}) {
+  const {
+    after,
+    before,
+    limit = DEFAULT_LIMIT,
+    orderBy,
+    key = "id",
+    secret,
+  } = options;
+
+  if (after && before) {
+    throw new Error("paginate accepts either 'after' or 'before', not both");
+  }
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error("paginate limit must be a positive integer");
+  }
+
+  const order = parseQueryOptions({ orderBy }).orderBy;
+  if (!order.some(term => term.field === key)) {
+    order.push({ field: key, direction: "asc" });
+  }
+
+  const backward = Boolean(before);
+  const cursor = after ?? before;
+
+  // Walk backwards by flipping the sort, then restore the order below
+  const fetchOrder = backward
+    ? order.map(({ field, direction }) => ({
+        field,
+        direction: direction === "asc" ? "desc" : "asc",
+      }))
+    : order;
+
+  let pageCriteria = criteria ?? {};
+  if (cursor) {
+    const values = decodeCursor(cursor, order, secret);
+    const keyset = buildKeysetCriteria(fetchOrder, values);
+    pageCriteria = Object.keys(pageCriteria).length
+      ? { $and: [pageCriteria, keyset] }
+      : keyset;
+  }
+
+  const rows = await findMany(pageCriteria, {
+    orderBy: fetchOrder,
+    limit: limit + 1,
+  });
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backward) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Coming from a cursor means there is at least one row on the other side
+  const hasNext = backward ? Boolean(cursor) : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    nextCursor: hasNext && last ? encodeCursor(last, order, secret) : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, order, secret) : null,
+    hasMore,
+  };
+}
+
+/**
+ * Encode the sort-key values of a row into a signed cursor.
+ * @param {object} row - Row to point at.
+ * @param {Array<{ field: string, direction: string }>} order - Sort order.
+ * @param {string|Buffer} [secret] - Signing secret.
+ * @returns {string} Opaque cursor token.
+ */
+export function encodeCursor(row, order, secret) {
+  const values = order.map(({ field }) => {
+    const value = row[field];
+    if (value === undefined || value === null) {
+      throw new Error(
+        `Cannot build a cursor: field '${field}' is empty. ` +
+          "paginate requires non-null values for every orderBy field"
+      );
+    }
+    return encodeValue(value);
+  });
+
+  const payload = Buffer.from(
+    JSON.stringify({ o: orderSignature(order), v: values })
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify a cursor and return the sort-key values it carries.
+ * @param {string} token - Cursor token.
+ * @param {Array<{ field: string, direction: string }>} order - Sort order
+ *   the cursor must have been issued for.
+ * @param {string|Buffer} [secret] - Signing secret.
+ * @returns {Array} Sort-key values, in order.
+ * @throws {Error} If the cursor is malformed, tampered with, or was
+ *   issued for a different ordering.
+ */
+export function decodeCursor(token, order, secret) {
+  const [payload, signature, ...rest] = String(token).split(".");
+
+  if (!payload || !signature || rest.length) {
+    throw new Error("Invalid pagination cursor");
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error("Invalid pagination cursor signature");
+  }
+
+  const { o, v } = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+  if (o !== orderSignature(order)) {
+    throw new Error("Pagination cursor was issued for a different orderBy");
+  }
+
+  return v.map(decodeValue);
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+/**
+ * Build (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... for the given order,
+ * using < instead of > for descending keys.
+ */
+function buildKeysetCriteria(order, values) {
+  const branches = order.map(({ field, direction }, i) => {
+    const branch = {};
+    for (let j = 0; j < i; j++) {
+      branch[order[j].field] = values[j];
+    }
+    branch[field] = { [direction === "asc" ? "$gt" : "$lt"]: values[i] };
+    return branch;
+  });
+
+  return branches.length === 1 ? branches[0] : { $or: branches };
+}
+
+function orderSignature(order) {
+  return order.map(({ field, direction }) => `${field}:${direction}`).join();
+}
+
+function sign(payload, secret) {
+  return createHmac("sha256", secret || PROCESS_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+function encodeValue(value) {
+  if (value instanceof Date) return { t: "date", v: value.toISOString() };
+  if (typeof value === "bigint") return { t: "bigint", v: value.toString() };
+  if (typeof value === "object") return { t: "string", v: String(value) };
+  return { t: typeof value, v: value };
+}
+
+function decodeValue({ t, v }) {
+  if (t === "date") return new Date(v);
+  if (t === "bigint") return BigInt(v);
+  return v;
+}
@@ -0,0 +1,255 @@
+// ./lib/parseIniFile.js
+
+import fs from "node:fs";
+import path from "node:path";
+import ini from "ini";
+import Database from "./database.js";
+
+/**
+ * INI Configuration Loader
+ * -------------------------------------------------------------
+ * Reads an INI file into the configuration object Database expects:
+ *
+ *   { ...rootKeys, database: { driver, db_host, ... } }
+ *
+ * Supported layouts:
+ *
+ *   db_driver=postgres          flat db_* keys at the root
+ *   db_host=localhost
+ *
+ *   [database]                  a single database section
+ *   driver=postgres
+ *
+ *   [database]                  shared defaults (optional)
+ *   db_host=localhost
+ *   [database.primary]          named connections, which extend
+ *   db_driver=postgres          the bare [database] section
+ *   [database.analytics]
+ *   db_driver=mysql
+ *
+ * Named connections are returned in `databases` ({ primary, analytics }).
+ * `database` is the bare section when it names a driver, otherwise the
+ * connection named "default", then "primary", then the first one.
+ *
+ * Values may reference environment variables as ${NAME} or
+ * ${NAME:-fallback}. When NODE_ENV is set, `<name>.<NODE_ENV>.ini` next
+ * to the file (e.g. config.testing.ini) is merged over it.
+ *
+ * INI values are strings. Database settings that the driver's
+ * configSchema declares as integer, number or boolean are converted
+ * (ports are integers for every driver); everything else, including
+ * settings outside the database sections, stays a string, so
+ * `db_password=false` is the password "false". A section declared
+ * twice is an error, because the INI format would silently merge it.
+ */
+
+const PORT_KEY = /(^|_)port$/;
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Load and normalize an INI configuration file.
+ * @param {string} filename - Path to the INI file.
+ * @param {object} [options={}]
+ * @param {object} [options.env=process.env] - Variables for ${NAME}
+ *   interpolation.
+ * @param {string} [options.environment=process.env.NODE_ENV] - Overlay
+ *   file suffix; pass null to skip the overlay.
+ * @returns {{ database?: object, databases?: Record<string, object> }}
+ * @throws {Error} If a file cannot be read, a section is repeated, an
+ *   environment variable is missing, or a numeric or boolean setting
+ *   is malformed.
+ */
+export default function parseIniFile(filename, options = {}) {
+  const { env = process.env, environment = process.env.NODE_ENV } = options;
+
+  let raw = readIni(filename);
+
+  const overlay = overlayFilename(filename, environment);
+  if (overlay && fs.existsSync(overlay)) {
+    raw = merge(raw, readIni(overlay));
+  }
+
+  return normalize(interpolate(raw, env, []));
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+function readIni(filename) {
+  let text;
+  try {
+    text = fs.readFileSync(filename, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read config file '${filename}': ${err.message}`);
+  }
+
+  const seen = new Set();
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*\[([^\]]+)\]\s*$/.exec(line);
+    if (!match) continue;
+
+    const section = match[1].trim();
+    if (seen.has(section)) {
+      throw new Error(
+        `Config file '${filename}' declares [${section}] more than once. ` +
+          "Use named sections such as [database.primary] for multiple connections"
+      );
+    }
+    seen.add(section);
+  }
+
+  return toStrings(ini.parse(text));
+}
+
+/**
+ * The ini package turns true, false and null into JavaScript values;
+ * they are typed later by coerceDatabase() like any other string.
+ */
+function toStrings(value) {
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, toStrings(v)])
+    );
+  }
+  return typeof value === "boolean" || value === null ? String(value) : value;
+}
+
+function overlayFilename(filename, environment) {
+  if (!environment) return null;
+  const { dir, name, ext } = path.parse(filename);
+  return path.join(dir, `${name}.${environment}${ext}`);
+}
+
+function merge(base, overlay) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    result[key] =
+      isObject(value) && isObject(result[key])
+        ? merge(result[key], value)
+        : value;
+  }
+  return result;
+}
+
+function interpolate(value, env, keyPath) {
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [
+        key,
+        interpolate(v, env, [...keyPath, key]),
+      ])
+    );
+  }
+
+  if (typeof value !== "string") return value;
+
+  return value.replace(ENV_REFERENCE, (_, name, fallback) => {
+    if (env[name] !== undefined) return env[name];
+    if (fallback !== undefined) return fallback;
+    throw new Error(
+      `Environment variable '${name}' is not set (referenced by ${keyPath.join(".")})`
+    );
+  });
+}
+
+function normalize(raw) {
+  const config = {};
+  const rootDatabase = {};
+  let section = {};
+  let named = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "database" && isObject(value)) {
+      for (const [sectionKey, sectionValue] of Object.entries(value)) {
+        if (isObject(sectionValue)) named[sectionKey] = sectionValue;
+        else section[sectionKey] = sectionValue;
+      }
+    } else if (key.startsWith("db_")) {
+      rootDatabase[key] = value;
+    } else {
+      config[key] = value;
+    }
+  }
+
+  // The bare section and flat db_* keys form the shared defaults
+  const shared = normalizeDatabase({ ...rootDatabase, ...section });
+
+  const names = Object.keys(named);
+  if (names.length) {
+    config.databases = Object.fromEntries(
+      names.map(name => [
+        name,
+        coerceDatabase({ ...shared, ...normalizeDatabase(named[name]) }),
+      ])
+    );
+  }
+
+  if (shared.driver || !names.length) {
+    const database = coerceDatabase(shared);
+    if (Object.keys(database).length) config.database = database;
+  } else {
+    const primary =
+      ["default", "primary"].find(name => name in named) ?? names[0];
+    config.database = config.databases[primary];
+  }
+
+  return config;
+}
+
+function normalizeDatabase(settings) {
+  const { db_driver, driver = db_driver, ...rest } = settings;
+  const database = {};
+
+  if (driver !== undefined && driver !== "") database.driver = driver;
+  return { ...database, ...rest };
+}
+
+/**
+ * Convert the settings of one connection to the types its driver's
+ * configSchema declares.
+ */
+function coerceDatabase(settings) {
+  const schema = Database.resolveDriver(settings.driver)?.configSchema ?? {};
+  const database = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    const type = schema[key]?.type ?? (PORT_KEY.test(key) ? "integer" : null);
+    const coerced = coerce(key, value, type);
+    if (coerced !== undefined) database[key] = coerced;
+  }
+
+  return database;
+}
+
+function coerce(key, value, type) {
+  if (typeof value !== "string") return value;
+
+  const trimmed = value.trim();
+
+  switch (type) {
+    case "integer":
+    case "number": {
+      if (trimmed === "") return undefined;
+      const pattern = type === "integer" ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      if (!pattern.test(trimmed)) {
+        throw new Error(
+          `Config value '${key}' must be ${type === "integer" ? "an integer" : "a number"}`
+        );
+      }
+      return Number(trimmed);
+    }
+    case "boolean":
+      if (trimmed === "") return undefined;
+      if (!/^(true|false)$/i.test(trimmed)) {
+        throw new Error(`Config value '${key}' must be true or false`);
+      }
+      return trimmed.toLowerCase() === "true";
+    default:
+      return value;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
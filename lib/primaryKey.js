@@ -0,0 +1,177 @@
+// ./lib/primaryKey.js
+
+import { randomBytes, randomUUID } from "node:crypto";
+
+/**
+ * Primary Keys
+ * -------------------------------------------------------------
+ * ModelSchema.setPrimaryKey() declares which field(s) identify a
+ * record and how new keys are generated:
+ *
+ *   schema.setPrimaryKey("id", { generate: "uuidv7" });
+ *   schema.setPrimaryKey(["orderId", "line"]);      // composite
+ *
+ * Schemas without a declaration use `id`, assigned by the database.
+ * Model registers the key with the driver (registerSchema), which
+ * then addresses rows by it in findById, updateOne, deleteOne and
+ * upsert. Composite keys are passed to findById as an object
+ * ({ orderId, line }) or as an array in key order.
+ *
+ * Generation strategies (single-field keys only):
+ * - serial: the database assigns the key (auto-increment, ObjectId
+ *   on MongoDB)
+ * - uuidv4: random UUID
+ * - uuidv7: time-ordered UUID (RFC 9562)
+ * - ulid: time-ordered, 26 Crockford base32 characters
+ * - nanoid: 21 URL-safe random characters
+ * - objectId: MongoDB ObjectId as a 24-character hex string
+ *
+ * Client-side strategies run in Model.insertOne / insertMany when the
+ * entity does not carry a key yet.
+ */
+
+export const DEFAULT_PRIMARY_KEY = Object.freeze({
+  fields: Object.freeze(["id"]),
+  generate: "serial",
+});
+
+export const KEY_STRATEGIES = [
+  "serial",
+  "uuidv4",
+  "uuidv7",
+  "ulid",
+  "nanoid",
+  "objectId",
+];
+
+/**
+ * Normalize and validate a primary key declaration.
+ * @param {string|string[]} fields - Key field, or fields of a
+ *   composite key.
+ * @param {object} [options={}]
+ * @param {string} [options.generate] - One of KEY_STRATEGIES; defaults
+ *   to "serial" for single-field keys. Composite keys are never
+ *   generated.
+ * @returns {{ fields: string[], generate: string|undefined }}
+ * @throws {Error} If the declaration is malformed.
+ */
+export function parsePrimaryKey(fields, { generate, ...unknown } = {}) {
+  const unknownKeys = Object.keys(unknown);
+  if (unknownKeys.length) {
+    throw new Error(
+      `Unknown primary key option(s): ${unknownKeys.join(", ")}. ` +
+        "Supported: generate"
+    );
+  }
+
+  const list = Array.isArray(fields) ? fields : [fields];
+  if (!list.length || list.some(field => typeof field !== "string" || !field)) {
+    throw new Error(
+      "Primary key must be a field name or a non-empty array of field names"
+    );
+  }
+  if (new Set(list).size !== list.length) {
+    throw new Error(`Primary key lists a field twice: ${list.join(", ")}`);
+  }
+
+  if (list.length > 1) {
+    if (generate !== undefined) {
+      throw new Error(
+        `Composite primary key (${list.join(", ")}) cannot be generated`
+      );
+    }
+    return { fields: list, generate: undefined };
+  }
+
+  const strategy = generate ?? "serial";
+  if (!KEY_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid primary key strategy '${generate}'. ` +
+        `Expected one of: ${KEY_STRATEGIES.join(", ")}`
+    );
+  }
+  return { fields: list, generate: strategy };
+}
+
+/**
+ * Generate a new key value, or undefined when the database assigns
+ * it (serial, or no strategy).
+ * @param {string|undefined} strategy - One of KEY_STRATEGIES.
+ * @returns {string|undefined}
+ */
+export function generateKey(strategy) {
+  switch (strategy) {
+    case "uuidv4":
+      return randomUUID();
+    case "uuidv7":
+      return uuidv7();
+    case "ulid":
+      return ulid();
+    case "nanoid":
+      return nanoid();
+    case "objectId":
+      return objectId();
+    default:
+      return undefined;
+  }
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+const CROCKFORD = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const URL_ALPHABET =
+  "useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict";
+
+// Per-process part of generated ObjectIds, as in the MongoDB drivers
+const OBJECT_ID_PROCESS = randomBytes(5).toString("hex");
+let objectIdCounter = randomBytes(3).readUIntBE(0, 3);
+
+function uuidv7() {
+  const bytes = randomBytes(16);
+  bytes.writeUIntBE(Date.now(), 0, 6);
+  bytes[6] = 0x70 | (bytes[6] & 0x0f);
+  bytes[8] = 0x80 | (bytes[8] & 0x3f);
+
+  const hex = bytes.toString("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+function ulid() {
+  let time = Date.now();
+  let timePart = "";
+  for (let i = 0; i < 10; i++) {
+    timePart = CROCKFORD[time % 32] + timePart;
+    time = Math.floor(time / 32);
+  }
+
+  const randomPart = Array.from(
+    randomBytes(16),
+    byte => CROCKFORD[byte & 31]
+  ).join("");
+
+  return timePart + randomPart;
+}
+
+function nanoid(size = 21) {
+  const bytes = randomBytes(size);
+  return Array.from(bytes, byte => URL_ALPHABET[byte & 63]).join("");
+}
+
+function objectId() {
+  objectIdCounter = (objectIdCounter + 1) % 0x1000000;
+
+  const seconds = Math.floor(Date.now() / 1000);
+  return (
+    seconds.toString(16).padStart(8, "0") +
+    OBJECT_ID_PROCESS +
+    objectIdCounter.toString(16).padStart(6, "0")
+  );
+}
@@ -0,0 +1,337 @@
+// ./lib/queryBuilder.js
+
+import { parseQueryOptions } from "./queryOptions.js";
+
+const OPERATOR_MAP = {
+  "=": "$eq",
+  "==": "$eq",
+  "!=": "$ne",
+  "<>": "$ne",
+  ">": "$gt",
+  ">=": "$gte",
+  "<": "$lt",
+  "<=": "$lte",
+  in: "$in",
+  "not in": "$nin",
+  like: "$like",
+  ilike: "$ilike",
+  between: "$between",
+};
+
+/**
+ * QueryBuilder
+ * -------------------------------------------------------------------------
+ * Immutable, chainable query builder bound to a database and a target
+ * table/collection. Every chain method returns a NEW builder, so partial
+ * queries can be stored and reused safely:
+ *
+ *   const unused = model.where("used", false);
+ *   const recent = unused.orderBy("created_at", "desc").limit(20);
+ *   await recent.all();
+ *   await unused.count();
+ *
+ * Builders produce portable criteria and query options (see
+ * lib/criteria.js and lib/queryOptions.js), so they run on every
+ * driver. SQL drivers can also render them with toSQL().
+ */
+export default class QueryBuilder {
+  /** @type {import('./database.js').default} */
+  #database;
+
+  /** @type {string} */
+  #target;
+
+  /** @type {{ conditions: object[], orderBy: object[], limit?: number,
+   *   offset?: number, select?: string[], exclude?: string[] }} */
+  #state;
+
+  /**
+   * @param {import('./database.js').default} database - Database instance.
+   * @param {string} target - Table or collection name.
+   * @param {object} [state] - Internal builder state.
+   */
+  constructor(database, target, state = {}) {
+    if (!database) throw new Error("QueryBuilder requires a database instance");
+    if (!target) throw new Error("QueryBuilder requires a target name");
+
+    this.#database = database;
+    this.#target = target;
+    this.#state = Object.freeze({
+      conditions: [],
+      orderBy: [],
+      ...state,
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Projection
+  // -------------------------------------------------------------------------
+
+  /**
+   * Return only the given fields.
+   * @param {...(string|string[])} fields
+   * @returns {QueryBuilder}
+   */
+  select(...fields) {
+    return this.#with({ select: fields.flat(), exclude: undefined });
+  }
+
+  /**
+   * Return every field except the given ones.
+   * @param {...(string|string[])} fields
+   * @returns {QueryBuilder}
+   */
+  exclude(...fields) {
+    return this.#with({ exclude: fields.flat(), select: undefined });
+  }
+
+  // -------------------------------------------------------------------------
+  // Filtering
+  // -------------------------------------------------------------------------
+
+  /**
+   * Add a condition, ANDed with the existing ones.
+   *
+   *   where({ role: "admin" })        criteria object
+   *   where("used", false)            equality
+   *   where("age", ">=", 18)          comparison operator
+   *
+   * @param {string|object} fieldOrCriteria
+   * @param {any} [operatorOrValue]
+   * @param {any} [value]
+   * @returns {QueryBuilder}
+   */
+  where(fieldOrCriteria, operatorOrValue, value) {
+    const condition = this.#condition(arguments.length, ...arguments);
+    return this.#with({
+      conditions: [...this.#state.conditions, condition],
+    });
+  }
+
+  /**
+   * Add a condition ORed with everything added so far.
+   * @param {string|object} fieldOrCriteria
+   * @param {any} [operatorOrValue]
+   * @param {any} [value]
+   * @returns {QueryBuilder}
+   */
+  orWhere(fieldOrCriteria, operatorOrValue, value) {
+    const condition = this.#condition(arguments.length, ...arguments);
+    const current = this.toCriteria();
+
+    return this.#with({
+      conditions: Object.keys(current).length
+        ? [{ $or: [current, condition] }]
+        : [condition],
+    });
+  }
+
+  /**
+   * Add a negated condition.
+   * @param {string|object} fieldOrCriteria
+   * @param {any} [operatorOrValue]
+   * @param {any} [value]
+   * @returns {QueryBuilder}
+   */
+  whereNot(fieldOrCriteria, operatorOrValue, value) {
+    const condition = this.#condition(arguments.length, ...arguments);
+    return this.#with({
+      conditions: [...this.#state.conditions, { $not: condition }],
+    });
+  }
+
+  whereIn(field, values) {
+    return this.where({ [field]: { $in: values } });
+  }
+
+  whereNotIn(field, values) {
+    return this.where({ [field]: { $nin: values } });
+  }
+
+  whereNull(field) {
+    return this.where({ [field]: { $isNull: true } });
+  }
+
+  whereNotNull(field) {
+    return this.where({ [field]: { $isNull: false } });
+  }
+
+  whereBetween(field, low, high) {
+    return this.where({ [field]: { $between: [low, high] } });
+  }
+
+  // -------------------------------------------------------------------------
+  // Ordering & Paging
+  // -------------------------------------------------------------------------
+
+  /**
+   * Append a sort key.
+   * @param {string} field
+   * @param {"asc"|"desc"} [direction="asc"]
+   * @returns {QueryBuilder}
+   */
+  orderBy(field, direction = "asc") {
+    const [term] = parseQueryOptions({
+      orderBy: { [field]: direction },
+    }).orderBy;
+    return this.#with({ orderBy: [...this.#state.orderBy, term] });
+  }
+
+  /**
+   * @param {number} count - Maximum number of rows.
+   * @returns {QueryBuilder}
+   */
+  limit(count) {
+    parseQueryOptions({ limit: count });
+    return this.#with({ limit: count });
+  }
+
+  /**
+   * @param {number} count - Number of rows to skip.
+   * @returns {QueryBuilder}
+   */
+  offset(count) {
+    parseQueryOptions({ offset: count });
+    return this.#with({ offset: count });
+  }
+
+  // -------------------------------------------------------------------------
+  // Execution
+  // -------------------------------------------------------------------------
+
+  /**
+   * Run the query and return every matching row.
+   * @returns {Promise<object[]>}
+   */
+  async all() {
+    return await this.#database.findMany(
+      this.#target,
+      this.toCriteria(),
+      this.toOptions()
+    );
+  }
+
+  /**
+   * Run the query and return the first matching row.
+   * @returns {Promise<object|null>}
+   */
+  async first() {
+    const [row] = await this.#database.findMany(
+      this.#target,
+      this.toCriteria(),
+      { ...this.toOptions(), limit: 1 }
+    );
+    return row ?? null;
+  }
+
+  /**
+   * Count matching rows (ordering and paging are ignored).
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return await this.#database.count(this.#target, this.toCriteria());
+  }
+
+  /**
+   * Check whether any row matches (ordering and paging are ignored).
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    return await this.#database.exists(this.#target, this.toCriteria());
+  }
+
+  // -------------------------------------------------------------------------
+  // Inspection
+  // -------------------------------------------------------------------------
+
+  /**
+   * The portable criteria object this builder represents.
+   * @returns {object}
+   */
+  toCriteria() {
+    const { conditions } = this.#state;
+    if (!conditions.length) return {};
+    if (conditions.length === 1) return conditions[0];
+    return { $and: conditions };
+  }
+
+  /**
+   * The portable query options this builder represents.
+   * @returns {object}
+   */
+  toOptions() {
+    const { orderBy, limit, offset, select, exclude } = this.#state;
+    const options = {};
+
+    if (orderBy.length) options.orderBy = orderBy;
+    if (limit !== undefined) options.limit = limit;
+    if (offset !== undefined) options.offset = offset;
+    if (select?.length) options.select = select;
+    if (exclude?.length) options.exclude = exclude;
+
+    return options;
+  }
+
+  /**
+   * Render the query with the active SQL driver's placeholder() and
+   * formatIdentifier(), for debugging.
+   * @returns {{ sql: string, params: Array }}
+   * @throws {Error} If the active driver is not a SQL driver.
+   */
+  toSQL() {
+    const driver = this.#database.driver ?? this.#database;
+
+    if (typeof driver.buildSelect !== "function") {
+      throw new Error(
+        `toSQL() requires a SQL driver; '${driver.constructor.name}' is not one`
+      );
+    }
+
+    return driver.buildSelect(
+      this.#target,
+      this.toCriteria(),
+      this.toOptions()
+    );
+  }
+
+  // -------------------------------------------------------------------------
+  // Internal Helpers
+  // -------------------------------------------------------------------------
+
+  #with(changes) {
+    return new QueryBuilder(this.#database, this.#target, {
+      ...this.#state,
+      ...changes,
+    });
+  }
+
+  #condition(argCount, fieldOrCriteria, operatorOrValue, value) {
+    if (argCount === 1) {
+      if (!fieldOrCriteria || typeof fieldOrCriteria !== "object") {
+        throw new Error("where() with one argument expects a criteria object");
+      }
+      return fieldOrCriteria;
+    }
+
+    if (typeof fieldOrCriteria !== "string") {
+      throw new Error("where() expects a field name or a criteria object");
+    }
+
+    if (argCount === 2) {
+      return { [fieldOrCriteria]: { $eq: operatorOrValue } };
+    }
+
+    const name = String(operatorOrValue);
+    const operator =
+      OPERATOR_MAP[name.toLowerCase()] ?? (name.startsWith("$") ? name : null);
+
+    if (!operator) {
+      throw new Error(
+        `Unknown where() operator '${operatorOrValue}'. ` +
+          `Supported: ${Object.keys(OPERATOR_MAP).join(", ")}`
+      );
+    }
+
+    return { [fieldOrCriteria]: { [operator]: value } };
+  }
+}
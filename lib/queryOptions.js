@@ -0,0 +1,157 @@
+// ./lib/queryOptions.js
+
+/**
+ * Query Options
+ * -------------------------------------------------------------
+ * Portable ordering, paging and projection options for findMany.
+ *
+ *   {
+ *     orderBy: "created_at DESC",                 // or
+ *     orderBy: ["last_name", "first_name DESC"],  // or
+ *     orderBy: { created_at: "desc", id: "asc" },
+ *     limit: 20,
+ *     offset: 40,
+ *     select: ["id", "email"],                    // only these fields
+ *     exclude: ["password"],                      // all but these fields
+ *   }
+ *
+ * Drivers never interpret raw options directly. They consume the
+ * normalized object returned by parseQueryOptions().
+ */
+
+/**
+ * Normalize and validate findMany options.
+ * @param {object} [options={}] - Raw query options.
+ * @returns {{
+ *   orderBy: Array<{ field: string, direction: "asc"|"desc" }>,
+ *   limit: number|undefined,
+ *   offset: number|undefined,
+ *   select: string[]|undefined,
+ *   exclude: string[]|undefined,
+ * }}
+ * @throws {Error} If any option is malformed.
+ */
+export function parseQueryOptions(options = {}) {
+  const { orderBy, limit, offset, select, exclude, ...unknown } = options ?? {};
+
+  const unknownKeys = Object.keys(unknown);
+  if (unknownKeys.length) {
+    throw new Error(
+      `Unknown query option(s): ${unknownKeys.join(", ")}. ` +
+        "Supported: orderBy, limit, offset, select, exclude"
+    );
+  }
+
+  if (select?.length && exclude?.length) {
+    throw new Error("Query options cannot combine 'select' and 'exclude'");
+  }
+
+  return {
+    orderBy: parseOrderBy(orderBy),
+    limit: parseCount("limit", limit),
+    offset: parseCount("offset", offset),
+    select: parseFieldList("select", select),
+    exclude: parseFieldList("exclude", exclude),
+  };
+}
+
+/**
+ * Apply a select/exclude projection to a plain row object. Used by
+ * backends that cannot express the projection natively.
+ * @param {object} row - Row to project.
+ * @param {{ select?: string[], exclude?: string[] }} options - Parsed options.
+ * @returns {object} Projected copy of the row.
+ */
+export function projectRow(row, { select, exclude } = {}) {
+  if (!row) return row;
+
+  if (select) {
+    const projected = {};
+    for (const field of select) {
+      if (field in row) projected[field] = row[field];
+    }
+    return projected;
+  }
+
+  if (exclude) {
+    const projected = { ...row };
+    for (const field of exclude) delete projected[field];
+    return projected;
+  }
+
+  return row;
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+function parseOrderBy(orderBy) {
+  if (orderBy === undefined || orderBy === null) return [];
+
+  if (typeof orderBy === "string") return [parseOrderTerm(orderBy)];
+
+  if (Array.isArray(orderBy)) {
+    return orderBy.map(term =>
+      typeof term === "string"
+        ? parseOrderTerm(term)
+        : orderTerm(term?.field, term?.direction)
+    );
+  }
+
+  if (typeof orderBy === "object") {
+    return Object.entries(orderBy).map(([field, direction]) =>
+      orderTerm(field, direction)
+    );
+  }
+
+  throw new Error("orderBy must be a string, an array or an object");
+}
+
+function parseOrderTerm(term) {
+  const [field, direction, ...rest] = term.trim().split(/\s+/);
+  if (rest.length) {
+    throw new Error(`Invalid orderBy term '${term}'`);
+  }
+  return orderTerm(field, direction);
+}
+
+function orderTerm(field, direction = "asc") {
+  if (typeof field !== "string" || !field) {
+    throw new Error("orderBy terms require a field name");
+  }
+
+  const normalized =
+    direction === 1
+      ? "asc"
+      : direction === -1
+        ? "desc"
+        : String(direction).toLowerCase();
+
+  if (normalized !== "asc" && normalized !== "desc") {
+    throw new Error(
+      `Invalid orderBy direction '${direction}' for field '${field}'. Use 'asc' or 'desc'`
+    );
+  }
+
+  return { field, direction: normalized };
+}
+
+function parseCount(name, value) {
+  if (value === undefined || value === null) return undefined;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function parseFieldList(name, value) {
+  if (value === undefined || value === null) return undefined;
+
+  const fields = Array.isArray(value) ? value : [value];
+  if (!fields.every(f => typeof f === "string" && f)) {
+    throw new Error(`${name} must be a field name or an array of field names`);
+  }
+
+  return fields.length ? fields : undefined;
+}
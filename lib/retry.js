@@ -0,0 +1,82 @@
+// ./lib/retry.js
+
+import sanitizeConfig from "./configSchema.js";
+
+/**
+ * Reconnect & Retry Policy
+ * -------------------------------------------------------------
+ * Database reconnects after transient connection errors and
+ * retries idempotent operations, waiting between attempts with
+ * exponential backoff and jitter. The policy is configured in
+ * config.database:
+ *
+ * - db_retry_attempts: total attempts per operation (default 3;
+ *   1 disables retries)
+ * - db_retry_delay: base delay in ms (default 100), doubled on
+ *   every attempt
+ * - db_retry_max_delay: upper bound for a single delay in ms
+ *   (default 5000)
+ *
+ * Drivers decide which errors are transient (isTransientError);
+ * the network error codes below are shared by all of them.
+ */
+
+export const RETRY_CONFIG_SCHEMA = {
+  db_retry_attempts: { type: "integer", default: 3, minValue: 1 },
+  db_retry_delay: { type: "integer", default: 100, minValue: 0 },
+  db_retry_max_delay: { type: "integer", default: 5000, minValue: 0 },
+};
+
+// Node socket errors raised when a server goes away or is unreachable
+export const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+]);
+
+/**
+ * Read the retry policy from config.database.
+ * @param {object} [settings={}] - config.database.
+ * @returns {{ maxAttempts: number, baseDelay: number, maxDelay: number }}
+ * @throws {Error} If a retry setting is invalid.
+ */
+export function retryPolicy(settings = {}) {
+  const subset = Object.fromEntries(
+    Object.keys(RETRY_CONFIG_SCHEMA).map(key => [key, settings[key]])
+  );
+
+  const { db_retry_attempts, db_retry_delay, db_retry_max_delay } =
+    sanitizeConfig(subset, RETRY_CONFIG_SCHEMA, "Retry policy");
+
+  return {
+    maxAttempts: db_retry_attempts,
+    baseDelay: db_retry_delay,
+    maxDelay: db_retry_max_delay,
+  };
+}
+
+/**
+ * Delay before the given retry: exponential backoff with "equal
+ * jitter", i.e. a random value between half and all of the capped
+ * exponential delay. Clients that lost the same server therefore
+ * spread out their reconnects while the delay still grows.
+ *
+ * @param {number} attempt - 1 for the first retry, 2 for the second...
+ * @param {{ baseDelay: number, maxDelay: number }} policy
+ * @param {() => number} [random=Math.random]
+ * @returns {number} Delay in milliseconds.
+ */
+export function backoffDelay(attempt, policy, random = Math.random) {
+  const { baseDelay, maxDelay } = policy;
+  const capped = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(capped / 2 + random() * (capped / 2));
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
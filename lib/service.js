@@ -41,7 +41,7 @@ export default class DomainService {
      * The DAO instance shared by this service, taken from the first model.
      * @type {DAO}
      */
-    this.dao = models[0].dao;
+    this.dao = models[0].database ?? models[0].dao;
 
     if (!this.dao) {
       throw new Error(
@@ -93,10 +93,11 @@ export default class DomainService {
 
   /**
    * Begins a database transaction using the underlying DAO.
+   * @param {object} [options] - isolation, readOnly, deferrable.
    * @returns {Promise<void>}
    */
-  async startTransaction() {
-    await this.dao.startTransaction();
+  async startTransaction(options) {
+    await this.dao.startTransaction(options);
   }
 
   /**
@@ -118,18 +119,26 @@ export default class DomainService {
   /**
    * Executes a function within a managed transaction.
    * Automatically commits or rolls back on success/failure.
-   * @param {Function} callback - Async operation to execute within a transaction.
+   * The transaction is bound to the callback's async context, so
+   * concurrent requests handled by the same service stay isolated.
+   *
+   * Serializable transactions can be aborted by the server when they
+   * conflict with concurrent ones; `retry` runs the callback again in
+   * a new transaction, so it must not have side effects outside the
+   * database:
+   *
+   *   await this.transaction(() => this.debitAndCredit(from, to, amount), {
+   *     isolation: "serializable",
+   *     retry: { maxAttempts: 5 },
+   *   });
+   *
+   * @param {Function} callback - Async operation to execute within a
+   *   transaction; receives `{ attempt }` (1 for the first run).
+   * @param {object} [options] - isolation, readOnly, deferrable,
+   *   timeoutMs and retry (see lib/transactionOptions.js).
    * @returns {Promise<*>} The return value of the callback.
    */
-  async transaction(callback) {
-    await this.dao.startTransaction();
-    try {
-      const result = await callback();
-      await this.dao.commitTransaction();
-      return result;
-    } catch (err) {
-      await this.dao.rollbackTransaction();
-      throw err;
-    }
+  async transaction(callback, options) {
+    return this.dao.transaction(callback, options);
   }
 }
@@ -0,0 +1,171 @@
+// ./lib/transactionOptions.js
+
+import { retryPolicy } from "./retry.js";
+
+/**
+ * Transaction Options
+ * -------------------------------------------------------------
+ * Portable options for transaction(callback, options) and
+ * startTransaction(options):
+ *
+ *   {
+ *     isolation: "serializable",   // "read uncommitted", "read committed",
+ *                                  // "repeatable read" or "serializable"
+ *     readOnly: true,              // reject writes in the transaction
+ *     deferrable: true,            // Postgres: wait for a safe snapshot
+ *                                  // (serializable read-only only)
+ *     timeoutMs: 5000,             // roll back if the callback runs longer
+ *     retry: { maxAttempts: 5 },   // re-run after serialization failures
+ *   }
+ *
+ * Isolation levels may also be written in upper case or with
+ * underscores or dashes ("REPEATABLE_READ"). Each driver maps the
+ * normalized options onto its server: SQL drivers issue SET
+ * TRANSACTION, MongoDB sets the session's read and write concerns.
+ * Drivers that cannot enforce readOnly throw rather than run a
+ * writable transaction; deferrable is ignored outside Postgres.
+ *
+ * timeoutMs is enforced by transaction(callback): when the callback
+ * has not settled in time the transaction is rolled back, the call
+ * rejects, and further queries from the abandoned callback fail.
+ *
+ * retry re-runs the whole callback in a new transaction when the
+ * server aborts it with a serialization failure or a deadlock (see
+ * BaseDriver.isTransactionConflict), waiting with the same backoff as
+ * connection retries. `retry: true` uses the defaults of
+ * db_retry_attempts / db_retry_delay / db_retry_max_delay; an object
+ * may override maxAttempts, baseDelay and maxDelay (ms). The callback
+ * receives `{ attempt }`, starting at 1.
+ *
+ * Drivers never interpret raw options directly. They consume the
+ * normalized object returned by parseTransactionOptions().
+ */
+
+export const ISOLATION_LEVELS = [
+  "read uncommitted",
+  "read committed",
+  "repeatable read",
+  "serializable",
+];
+
+/**
+ * Normalize and validate transaction options.
+ * @param {object} [options={}] - Raw transaction options.
+ * @returns {{
+ *   isolation: string|undefined,
+ *   readOnly: boolean|undefined,
+ *   deferrable: boolean|undefined,
+ *   timeoutMs: number|undefined,
+ *   retry: { maxAttempts: number, baseDelay: number,
+ *     maxDelay: number }|undefined,
+ * }}
+ * @throws {Error} If any option is malformed.
+ */
+export function parseTransactionOptions(options = {}) {
+  const { isolation, readOnly, deferrable, timeoutMs, retry, ...unknown } =
+    options ?? {};
+
+  const unknownKeys = Object.keys(unknown);
+  if (unknownKeys.length) {
+    throw new Error(
+      `Unknown transaction option(s): ${unknownKeys.join(", ")}. ` +
+        "Supported: isolation, readOnly, deferrable, timeoutMs, retry"
+    );
+  }
+
+  return {
+    isolation: parseIsolation(isolation),
+    readOnly: parseFlag("readOnly", readOnly),
+    deferrable: parseFlag("deferrable", deferrable),
+    timeoutMs: parseTimeout(timeoutMs),
+    retry: parseRetry(retry),
+  };
+}
+
+/**
+ * Whether a nested transaction asking for `inner` can run inside a
+ * transaction opened with `outer`: it may repeat the outer settings
+ * or leave them out, but not change them.
+ * @param {object} outer - Parsed options of the enclosing transaction.
+ * @param {object} inner - Parsed options of the nested call.
+ * @returns {boolean}
+ */
+export function isCompatible(outer = {}, inner = {}) {
+  return ["isolation", "readOnly", "deferrable"].every(
+    key => inner[key] === undefined || inner[key] === outer[key]
+  );
+}
+
+// -------------------------------------------------------------------------
+// Internal Helpers
+// -------------------------------------------------------------------------
+
+function parseIsolation(isolation) {
+  if (isolation === undefined || isolation === null) return undefined;
+
+  const level =
+    typeof isolation === "string"
+      ? isolation
+          .trim()
+          .toLowerCase()
+          .replace(/[\s_-]+/g, " ")
+      : isolation;
+
+  if (!ISOLATION_LEVELS.includes(level)) {
+    throw new Error(
+      `Invalid transaction isolation '${isolation}'. ` +
+        `Expected one of: ${ISOLATION_LEVELS.join(", ")}`
+    );
+  }
+  return level;
+}
+
+function parseFlag(name, value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "boolean") {
+    throw new Error(`Transaction option '${name}' must be a boolean`);
+  }
+  return value;
+}
+
+function parseTimeout(timeoutMs) {
+  if (timeoutMs === undefined || timeoutMs === null) return undefined;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new Error(
+      "Transaction option 'timeoutMs' must be a positive integer"
+    );
+  }
+  return timeoutMs;
+}
+
+function parseRetry(retry) {
+  if (retry === undefined || retry === null || retry === false) {
+    return undefined;
+  }
+
+  const policy = retryPolicy();
+  if (retry === true) return policy;
+
+  if (typeof retry !== "object" || Array.isArray(retry)) {
+    throw new Error(
+      "Transaction option 'retry' must be true or an object such as " +
+        "{ maxAttempts, baseDelay, maxDelay }"
+    );
+  }
+
+  for (const [key, value] of Object.entries(retry)) {
+    if (!(key in policy)) {
+      throw new Error(
+        `Unknown retry option '${key}'. Supported: maxAttempts, baseDelay, maxDelay`
+      );
+    }
+
+    const min = key === "maxAttempts" ? 1 : 0;
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`Retry option '${key}' must be an integer >= ${min}`);
+    }
+    policy[key] = value;
+  }
+
+  return policy;
+}
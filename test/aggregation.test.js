@@ -0,0 +1,61 @@
+// test/aggregation.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import { parseAggregation } from "../lib/aggregation.js";
+
+test("a spec normalizes groups, aggregates and options", () => {
+  assert.deepStrictEqual(
+    parseAggregation({
+      criteria: { status: "paid" },
+      groupBy: "customer_id",
+      aggregates: { orders: { $count: "*" }, revenue: { $sum: "total" } },
+      orderBy: "revenue DESC",
+      limit: 5,
+    }),
+    {
+      criteria: { status: "paid" },
+      groupBy: ["customer_id"],
+      aggregates: [
+        { alias: "orders", fn: "$count", field: "*" },
+        { alias: "revenue", fn: "$sum", field: "total" },
+      ],
+      orderBy: [{ field: "revenue", direction: "desc" }],
+      limit: 5,
+      offset: undefined,
+    }
+  );
+});
+
+test("malformed specs are rejected", () => {
+  assert.throws(() => parseAggregation([{ $match: {} }]), /expects a spec/);
+  assert.throws(
+    () => parseAggregation({ aggregates: {}, having: {} }),
+    /Unknown aggregation option\(s\): having/
+  );
+  assert.throws(() => parseAggregation({}), /requires groupBy or/);
+  assert.throws(
+    () => parseAggregation({ aggregates: { n: { $median: "x" } } }),
+    /Unknown aggregate function '\$median'/
+  );
+  assert.throws(
+    () => parseAggregation({ aggregates: { n: { $sum: "*" } } }),
+    /Only \$count accepts '\*'/
+  );
+  assert.throws(
+    () =>
+      parseAggregation({
+        groupBy: ["role"],
+        aggregates: { role: { $count: "*" } },
+      }),
+    /alias 'role' is also a groupBy field/
+  );
+  assert.throws(
+    () =>
+      parseAggregation({
+        aggregates: { n: { $count: "*" } },
+        orderBy: "age",
+      }),
+    /Cannot order aggregates by 'age'/
+  );
+});
@@ -0,0 +1,89 @@
+// test/configSchema.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import sanitizeConfig from "../lib/configSchema.js";
+
+const schema = {
+  strict: true,
+  db_host: { type: "string", required: true, trim: true, allowEmpty: false },
+  db_port: { type: "integer", default: 5432, minValue: 1000, maxValue: 65000 },
+  db_ssl: { type: "boolean" },
+  db_mode: { type: "enum", values: ["fast", "safe"], lowercase: true },
+  db_password: { type: "string", allowEmpty: true },
+};
+
+test("applies defaults, trimming and coercion", () => {
+  assert.deepStrictEqual(
+    sanitizeConfig(
+      { db_host: " localhost ", db_ssl: "true", db_mode: "SAFE" },
+      schema
+    ),
+    { db_host: "localhost", db_port: 5432, db_ssl: true, db_mode: "safe" }
+  );
+
+  assert.strictEqual(
+    sanitizeConfig({ db_host: "h", db_port: "6432" }, schema).db_port,
+    6432
+  );
+});
+
+test("reports every invalid setting at once", () => {
+  assert.throws(
+    () =>
+      sanitizeConfig(
+        { db_host: "  ", db_port: 70000, db_ssl: "maybe", db_hots: "x" },
+        schema,
+        "PostgresDriver"
+      ),
+    err => {
+      assert.match(err.message, /^PostgresDriver configuration is invalid/);
+      assert.deepStrictEqual(err.errors, [
+        "db_host must not be empty",
+        "db_port must be <= 65000 (got 70000)",
+        "db_ssl must be of type boolean (got 'maybe')",
+        "db_hots is not a recognised setting. Did you mean db_host?",
+      ]);
+      return true;
+    }
+  );
+});
+
+test("required settings, enums and unknown keys", () => {
+  assert.throws(
+    () => sanitizeConfig({ db_mode: "slow", cache: true }, schema),
+    err => {
+      assert.deepStrictEqual(err.errors, [
+        "db_host is required",
+        "db_mode must be one of: fast, safe (got 'slow')",
+        "cache is not a recognised setting. Allowed settings: " +
+          "db_host, db_port, db_ssl, db_mode, db_password",
+      ]);
+      return true;
+    }
+  );
+});
+
+test("non-strict schemas keep undeclared settings", () => {
+  const { strict, ...lenient } = schema;
+  assert.deepStrictEqual(sanitizeConfig({ db_host: "h", extra: 1 }, lenient), {
+    db_host: "h",
+    db_port: 5432,
+    extra: 1,
+  });
+});
+
+test("validate callbacks see the other settings", () => {
+  const rules = {
+    min: { type: "integer" },
+    max: {
+      type: "integer",
+      validate: (value, { min }) => value >= min || "max must be >= min",
+    },
+  };
+
+  assert.throws(
+    () => sanitizeConfig({ min: 5, max: 2 }, rules),
+    /max must be >= min/
+  );
+});
@@ -0,0 +1,103 @@
+// test/criteria.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import { parseCriteria, likeToRegExp } from "../lib/criteria.js";
+
+test("empty and missing criteria parse to an empty AND node", () => {
+  assert.deepStrictEqual(parseCriteria({}), { type: "and", nodes: [] });
+  assert.deepStrictEqual(parseCriteria(undefined), { type: "and", nodes: [] });
+  assert.deepStrictEqual(parseCriteria(null), { type: "and", nodes: [] });
+});
+
+test("plain values parse to $eq and null to $isNull", () => {
+  const root = parseCriteria({ email: "a@b.c", deleted_at: null });
+
+  assert.deepStrictEqual(root.nodes, [
+    { type: "compare", field: "email", operator: "$eq", value: "a@b.c" },
+    { type: "compare", field: "deleted_at", operator: "$isNull", value: true },
+  ]);
+});
+
+test("$ne null parses to $isNull false", () => {
+  const root = parseCriteria({ deleted_at: { $ne: null } });
+
+  assert.deepStrictEqual(root.nodes, [
+    { type: "compare", field: "deleted_at", operator: "$isNull", value: false },
+  ]);
+});
+
+test("multiple operators on one field are combined", () => {
+  const root = parseCriteria({ age: { $gte: 18, $lt: 65 } });
+
+  assert.deepStrictEqual(root.nodes, [
+    { type: "compare", field: "age", operator: "$gte", value: 18 },
+    { type: "compare", field: "age", operator: "$lt", value: 65 },
+  ]);
+});
+
+test("logical operators nest criteria", () => {
+  const root = parseCriteria({
+    $or: [{ role: "admin" }, { owner: true }],
+    $not: { status: "archived" },
+  });
+
+  assert.strictEqual(root.nodes[0].type, "or");
+  assert.strictEqual(root.nodes[0].nodes.length, 2);
+  assert.strictEqual(root.nodes[1].type, "not");
+  assert.deepStrictEqual(root.nodes[1].node.nodes, [
+    { type: "compare", field: "status", operator: "$eq", value: "archived" },
+  ]);
+});
+
+test("field level $not wraps the nested operators", () => {
+  const root = parseCriteria({ age: { $not: { $gt: 5 } } });
+
+  assert.deepStrictEqual(root.nodes, [
+    {
+      type: "not",
+      node: {
+        type: "and",
+        nodes: [{ type: "compare", field: "age", operator: "$gt", value: 5 }],
+      },
+    },
+  ]);
+});
+
+test("dates and nested plain objects are treated as values", () => {
+  const when = new Date("2026-01-01");
+  const root = parseCriteria({ created_at: when, meta: { a: 1 } });
+
+  assert.strictEqual(root.nodes[0].value, when);
+  assert.deepStrictEqual(root.nodes[1].value, { a: 1 });
+});
+
+test("unknown operators are rejected", () => {
+  assert.throws(() => parseCriteria({ age: { $foo: 1 } }), /Unknown criteria/);
+  assert.throws(() => parseCriteria({ $nor: [] }), /Unknown criteria/);
+});
+
+test("malformed operands are rejected", () => {
+  assert.throws(() => parseCriteria({ id: { $in: 1 } }), /expects an array/);
+  assert.throws(
+    () => parseCriteria({ age: { $between: [1] } }),
+    /\[low, high\]/
+  );
+  assert.throws(() => parseCriteria({ x: { $isNull: "yes" } }), /boolean/);
+  assert.throws(() => parseCriteria({ x: { $gt: null } }), /cannot compare/);
+  assert.throws(() => parseCriteria({ $or: {} }), /expects an array/);
+  assert.throws(
+    () => parseCriteria({ x: { $gt: 1, y: 2 } }),
+    /Cannot mix operators/
+  );
+});
+
+test("likeToRegExp translates wildcards and escapes the rest", () => {
+  const regex = likeToRegExp("a.b%c_");
+
+  assert.ok(regex.test("a.bXYZc1"));
+  assert.ok(!regex.test("aXbc1"));
+  assert.ok(!regex.test("a.bc"));
+  assert.ok(likeToRegExp("ADMIN%", true).test("admin-user"));
+  assert.ok(!likeToRegExp("ADMIN%").test("admin-user"));
+});
@@ -0,0 +1,162 @@
+// test/database.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import Database from "../lib/database.js";
+import BaseDriver from "../lib/drivers/driver-base.js";
+import SQLDriver from "../lib/drivers/driver-sql.js";
+import MySQLDriver from "../lib/drivers/driver-mysql.js";
+import PostgresDriver from "../lib/drivers/driver-postgres.js";
+
+/** Minimal driver implementing every required method. */
+class FakeDriver extends SQLDriver {
+  async connect() {}
+  async disconnect() {}
+  async query(sql, params = []) {
+    return [];
+  }
+  async startTransaction() {}
+  async commitTransaction() {}
+  async rollbackTransaction() {}
+  placeholder(idx) {
+    return "?";
+  }
+  formatIdentifier(name) {
+    return `"${name}"`;
+  }
+}
+
+test("built-in drivers are registered with aliases", () => {
+  assert.deepStrictEqual(Database.drivers.slice(0, 5), [
+    "memory",
+    "mongodb",
+    "mysql",
+    "postgres",
+    "sqlite",
+  ]);
+  assert.strictEqual(Database.resolveDriver("pg"), PostgresDriver);
+  assert.strictEqual(Database.resolveDriver("PostgreSQL"), PostgresDriver);
+  assert.strictEqual(Database.resolveDriver("mariadb"), MySQLDriver);
+  assert.strictEqual(Database.resolveDriver("oracle"), undefined);
+});
+
+test("constructor selects a driver through an alias", () => {
+  const db = new Database({ database: { driver: "pg" } });
+  assert.ok(db.driver instanceof PostgresDriver);
+});
+
+test("constructor rejects unknown drivers", () => {
+  assert.throws(
+    () => new Database({ database: { driver: "oracle" } }),
+    /Unsupported database driver 'oracle'. Supported drivers: .*postgres/
+  );
+});
+
+test("registerDriver plugs in a custom driver and its aliases", () => {
+  Database.registerDriver("Cockroach", FakeDriver, {
+    aliases: ["cockroachdb", "crdb"],
+  });
+
+  assert.ok(Database.drivers.includes("cockroach"));
+  assert.ok(!Database.drivers.includes("crdb"));
+
+  const db = new Database({ database: { driver: "CRDB" } });
+  assert.ok(db.driver instanceof FakeDriver);
+});
+
+test("registerDriver refuses taken names unless overriding", () => {
+  class PgCompatible extends FakeDriver {}
+
+  assert.throws(
+    () => Database.registerDriver("duck", PgCompatible, { aliases: ["pg"] }),
+    /'pg' is already registered/
+  );
+  assert.strictEqual(Database.resolveDriver("duck"), undefined);
+
+  Database.registerDriver("duck", PgCompatible);
+  Database.registerDriver("duck", FakeDriver, { override: true });
+  assert.strictEqual(Database.resolveDriver("duck"), FakeDriver);
+});
+
+test("registerDriver validates the driver contract", () => {
+  class Incomplete extends BaseDriver {
+    async connect() {}
+  }
+
+  assert.throws(
+    () => Database.registerDriver("incomplete", Incomplete),
+    /does not implement: disconnect\(\), insertOne\(\)/
+  );
+  assert.throws(
+    () => Database.registerDriver("plain", class {}),
+    /must be a class extending BaseDriver/
+  );
+  assert.throws(() => Database.registerDriver("", FakeDriver), /non-empty/);
+  assert.strictEqual(Database.resolveDriver("incomplete"), undefined);
+});
+
+test("poolStats delegates to the driver", () => {
+  const pg = new Database({ database: { driver: "postgres" } });
+  pg.driver.pool = { totalCount: 4, idleCount: 4, waitingCount: 0 };
+  assert.deepStrictEqual(pg.poolStats(), {
+    total: 4,
+    idle: 4,
+    waiting: 0,
+    max: 10,
+  });
+
+  const memory = new Database({ database: { driver: "memory" } });
+  assert.strictEqual(memory.poolStats(), null);
+});
+
+test("ping measures a round trip to the server", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await assert.rejects(() => db.ping(), /not connected/);
+
+  await db.connect();
+  const latency = await db.ping();
+  assert.strictEqual(typeof latency, "number");
+  assert.ok(latency >= 0);
+});
+
+test("healthCheck reports latency, version, pool and migrations", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await db.connect();
+
+  const migrations = [
+    { id: "0001_users", description: "users", up: [], down: [] },
+    { id: "0002_posts", description: "posts", up: [], down: [] },
+  ];
+  await db.driver.ensureMigrationTable();
+  await db.driver.recordAppliedMigration("0001_users");
+
+  const health = await db.healthCheck({ migrations });
+  assert.strictEqual(health.status, "degraded");
+  assert.strictEqual(health.driver, "memory");
+  assert.strictEqual(typeof health.latencyMs, "number");
+  assert.strictEqual(health.version, null);
+  assert.strictEqual(health.pool, null);
+  assert.deepStrictEqual(health.migrations, {
+    total: 2,
+    pending: ["0002_posts"],
+  });
+
+  await db.driver.recordAppliedMigration("0002_posts");
+  assert.strictEqual((await db.healthCheck({ migrations })).status, "ok");
+});
+
+test("healthCheck reports failures instead of throwing", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+
+  const down = await db.healthCheck();
+  assert.strictEqual(down.status, "error");
+  assert.match(down.error, /not connected/);
+  assert.strictEqual(down.latencyMs, null);
+
+  await db.connect();
+  db.driver.ping = () => new Promise(() => {});
+
+  const slow = await db.healthCheck({ timeout: 20 });
+  assert.strictEqual(slow.status, "error");
+  assert.strictEqual(slow.error, "Health check timed out after 20ms (ping)");
+});
@@ -0,0 +1,673 @@
+// test/driver-memory.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import Database from "../lib/database.js";
+import Model from "../lib/model.js";
+import ModelSchema from "../lib/modelSchema.js";
+import DomainService from "../lib/service.js";
+import MemoryDriver from "../lib/drivers/driver-memory.js";
+import {
+  ConnectionError,
+  NotFoundError,
+  TimeoutError,
+  UniqueConstraintError,
+  ValidationError,
+} from "../lib/errors.js";
+import MigrationManager from "../lib/migrations/migrationManager.js";
+import Operation from "../lib/migrations/operation.js";
+import * as exported from "../index.js";
+
+async function createDriver() {
+  const driver = new MemoryDriver({ database: { driver: "memory" } });
+  await driver.connect();
+  await driver.insertMany("users", [
+    { email: "ann@example.com", role: "admin", age: 40 },
+    { email: "bob@example.com", role: "user", age: 25 },
+    { email: "cat@example.com", role: null, age: 31 },
+  ]);
+  return driver;
+}
+
+function createUserModel(db) {
+  const schema = new ModelSchema()
+    .addInteger("id")
+    .addEmail("email", true)
+    .addString("role")
+    .addIndex("email", { unique: true });
+  return new Model(db, "users", schema);
+}
+
+test("Database resolves the memory driver", () => {
+  const db = new Database({ database: { driver: "memory" } });
+  assert.ok(db.driver instanceof MemoryDriver);
+});
+
+test("MemoryDriver is exported from the package entry point", () => {
+  assert.strictEqual(exported.MemoryDriver, MemoryDriver);
+});
+
+test("operations require a connection", async () => {
+  const driver = new MemoryDriver();
+  await assert.rejects(() => driver.findMany("users"), /not connected/);
+});
+
+test("inserts assign ids and return copies", async () => {
+  const driver = await createDriver();
+  const row = await driver.insertOne("users", { email: "dan@example.com" });
+
+  assert.strictEqual(row.id, 4);
+  row.email = "changed";
+  assert.strictEqual(
+    (await driver.findById("users", 4)).email,
+    "dan@example.com"
+  );
+});
+
+test("criteria follow SQL semantics", async () => {
+  const driver = await createDriver();
+  const emails = async criteria =>
+    (await driver.findMany("users", criteria)).map(row => row.email[0]);
+
+  assert.deepStrictEqual(await emails({ role: "admin" }), ["a"]);
+  assert.deepStrictEqual(await emails({ role: null }), ["c"]);
+  assert.deepStrictEqual(await emails({ role: { $ne: "admin" } }), ["b", "c"]);
+  assert.deepStrictEqual(await emails({ role: { $nin: ["user"] } }), [
+    "a",
+    "c",
+  ]);
+  assert.deepStrictEqual(await emails({ role: { $gt: "a" } }), ["a", "b"]);
+  assert.deepStrictEqual(await emails({ age: { $between: [25, 31] } }), [
+    "b",
+    "c",
+  ]);
+  assert.deepStrictEqual(await emails({ email: { $like: "A%" } }), []);
+  assert.deepStrictEqual(await emails({ email: { $ilike: "A%" } }), ["a"]);
+  assert.deepStrictEqual(
+    await emails({ $or: [{ age: { $gte: 40 } }, { $not: { role: "user" } }] }),
+    ["a", "c"]
+  );
+  assert.strictEqual(await driver.count("users", { age: { $lt: 35 } }), 2);
+  assert.strictEqual(await driver.exists("users", { age: { $gt: 50 } }), false);
+});
+
+test("findMany sorts, pages and projects", async () => {
+  const driver = await createDriver();
+
+  assert.deepStrictEqual(
+    await driver.findMany(
+      "users",
+      {},
+      { orderBy: "role", offset: 1, limit: 2, select: ["id", "role"] }
+    ),
+    [
+      { id: 2, role: "user" },
+      { id: 3, role: null },
+    ]
+  );
+  assert.deepStrictEqual(
+    (await driver.findMany("users", {}, { orderBy: { role: "desc" } })).map(
+      row => row.id
+    ),
+    [3, 2, 1]
+  );
+  assert.deepStrictEqual(
+    Object.keys(await driver.findOne("users", {}, {})).sort(),
+    ["age", "email", "id", "role"]
+  );
+});
+
+test("update, upsert and delete return affected rows", async () => {
+  const driver = await createDriver();
+
+  assert.strictEqual(
+    (await driver.updateOne("users", { id: 2, age: 26 })).age,
+    26
+  );
+  assert.strictEqual(await driver.updateOne("users", { id: 99, age: 1 }), null);
+  assert.strictEqual(
+    (await driver.upsert("users", { id: 10, email: "x@example.com" })).id,
+    10
+  );
+  assert.strictEqual(
+    (await driver.insertOne("users", { email: "y@example.com" })).id,
+    11
+  );
+
+  const deleted = await driver.deleteMany("users", { age: { $gt: 30 } });
+  assert.deepStrictEqual(
+    deleted.map(row => row.id),
+    [1, 3]
+  );
+  assert.strictEqual((await driver.deleteOne("users", { id: 2 })).id, 2);
+  await driver.deleteAll("users");
+  assert.strictEqual(await driver.count("users"), 0);
+});
+
+test("unique indexes from ModelSchema are enforced", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  const users = createUserModel(db);
+  await db.connect();
+
+  await users.insertOne({ email: "ann@example.com" });
+  await assert.rejects(
+    () => users.insertOne({ email: "ann@example.com" }),
+    /Unique constraint 'users_email_key' violated/
+  );
+
+  // multi-row writes are all-or-nothing
+  await assert.rejects(() =>
+    users.insertMany([
+      { email: "bob@example.com" },
+      { email: "ann@example.com" },
+    ])
+  );
+  assert.strictEqual(await users.count({}), 1);
+
+  // NULLs never conflict; duplicate ids do
+  await db.insertMany("users", [{ role: "a" }, { role: "b" }]);
+  await assert.rejects(() => db.insertOne("users", { id: 1 }), /users_pkey/);
+
+  const err = await users
+    .insertOne({ email: "ann@example.com" })
+    .catch(error => error);
+  assert.ok(err instanceof UniqueConstraintError);
+  assert.strictEqual(err.table, "users");
+  assert.strictEqual(err.constraint, "users_email_key");
+  assert.deepStrictEqual(err.fields, ["email"]);
+});
+
+test("unique BigInt fields are enforced", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  const schema = new ModelSchema()
+    .addBigInt("id")
+    .addBigInt("account_no")
+    .addIndex("account_no", { unique: true });
+  const accounts = new Model(db, "accounts", schema);
+  await db.connect();
+
+  await accounts.insertOne({ id: 9007199254740993n, account_no: 1n });
+  await accounts.insertOne({ id: 2n, account_no: 9007199254740993n });
+  await assert.rejects(
+    () => accounts.insertOne({ id: 3n, account_no: 1n }),
+    UniqueConstraintError
+  );
+  await assert.rejects(
+    () => accounts.insertOne({ id: 9007199254740993n, account_no: 3n }),
+    /accounts_pkey/
+  );
+  assert.strictEqual(await accounts.count({}), 2);
+});
+
+test("findByIdOrFail and disconnected drivers throw typed errors", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  const users = createUserModel(db);
+
+  await assert.rejects(() => users.findById(1), ConnectionError);
+
+  await db.connect();
+  const ann = await users.insertOne({ email: "ann@example.com" });
+  assert.deepStrictEqual(await users.findByIdOrFail(ann.id), ann);
+
+  const err = await users.findByIdOrFail(42).catch(error => error);
+  assert.ok(err instanceof NotFoundError);
+  assert.strictEqual(err.message, "users with id 42 was not found");
+  assert.strictEqual(err.table, "users");
+  assert.strictEqual(err.id, 42);
+});
+
+test("Model rejects invalid entities with a ValidationError", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await db.connect();
+  const users = createUserModel(db);
+
+  const err = await users
+    .insertOne({ email: 42, role: "admin" })
+    .catch(error => error);
+
+  assert.ok(err instanceof ValidationError);
+  assert.strictEqual(
+    err.message,
+    'Validation failed for model "users":\nemail must be of type email'
+  );
+  assert.strictEqual(err.model, "users");
+  assert.deepStrictEqual(err.errors, [
+    {
+      field: "email",
+      rule: "type",
+      message: "email must be of type email",
+      value: 42,
+      params: { type: "email" },
+    },
+  ]);
+  assert.deepStrictEqual(await users.findMany({}), []);
+});
+
+test("Model updates validate partially and keep the record id", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await db.connect();
+  const schema = new ModelSchema({ strict: true })
+    .addEmail("email", true)
+    .addString("role", false, undefined, undefined, "user");
+  const users = new Model(db, "users", schema);
+
+  const ann = await users.insertOne({ email: "ann@example.com" });
+  assert.strictEqual(ann.role, "user");
+
+  const updated = await users.updateOne({ id: ann.id, role: "admin" });
+  assert.deepStrictEqual(updated, { ...ann, role: "admin" });
+
+  const cleared = await users.updateOne({ id: ann.id, role: null });
+  assert.strictEqual(cleared.role, null);
+  assert.strictEqual(cleared.email, "ann@example.com");
+
+  const err = await users
+    .updateOne({ id: ann.id, nickname: "annie" })
+    .catch(error => error);
+  assert.ok(err instanceof ValidationError);
+  assert.deepStrictEqual(
+    err.errors.map(({ field, rule }) => ({ field, rule })),
+    [{ field: "nickname", rule: "unknown" }]
+  );
+});
+
+test("Model addresses rows by a composite primary key", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await db.connect();
+  const schema = new ModelSchema()
+    .addInteger("orderId", true)
+    .addInteger("line", true)
+    .addInteger("qty", true)
+    .setPrimaryKey(["orderId", "line"]);
+  const lines = new Model(db, "order_lines", schema);
+
+  await lines.insertMany([
+    { orderId: 1, line: 1, qty: 2 },
+    { orderId: 1, line: 2, qty: 5 },
+  ]);
+
+  assert.deepStrictEqual(await lines.findById({ orderId: 1, line: 2 }), {
+    orderId: 1,
+    line: 2,
+    qty: 5,
+  });
+  assert.strictEqual((await lines.findById([1, 1])).qty, 2);
+  assert.ok(!("id" in (await lines.findById([1, 1]))));
+
+  await lines.updateOne({ orderId: 1, line: 2, qty: 6 });
+  await lines.upsert({ orderId: 2, line: 1, qty: 1 });
+  await lines.deleteOne({ orderId: 1, line: 1 });
+
+  assert.deepStrictEqual(
+    (await lines.findMany({}, { orderBy: ["orderId", "line"] })).map(
+      ({ orderId, line, qty }) => [orderId, line, qty]
+    ),
+    [
+      [1, 2, 6],
+      [2, 1, 1],
+    ]
+  );
+
+  await assert.rejects(
+    () => lines.insertOne({ orderId: 1, line: 2, qty: 1 }),
+    err =>
+      err instanceof UniqueConstraintError &&
+      err.constraint === "order_lines_pkey" &&
+      err.fields.join() === "orderId,line"
+  );
+  await assert.rejects(
+    () => lines.updateOne({ orderId: 1, qty: 1 }),
+    /updateOne requires `orderId`, `line` in entity/
+  );
+  await assert.rejects(() => lines.findById({ orderId: 1 }), /`line`/);
+
+  const err = await lines.findByIdOrFail([9, 9]).catch(error => error);
+  assert.strictEqual(err.message, "order_lines with id [9,9] was not found");
+});
+
+test("Model generates client-side primary keys", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await db.connect();
+  const schema = new ModelSchema()
+    .addString("code", true)
+    .addString("name", true)
+    .setPrimaryKey("code", { generate: "uuidv7" });
+  const tags = new Model(db, "tags", schema);
+
+  const tag = await tags.insertOne({ name: "news" });
+  assert.match(tag.code, /^[0-9a-f-]{36}$/);
+  assert.ok(!("id" in tag));
+  assert.deepStrictEqual(await tags.findById(tag.code), tag);
+
+  const [a, b] = await tags.insertMany([{ name: "a" }, { name: "b" }]);
+  assert.notStrictEqual(a.code, b.code);
+
+  const fixed = await tags.insertOne({ code: "fixed", name: "kept" });
+  assert.strictEqual(fixed.code, "fixed");
+
+  const renamed = await tags.updateOne({ code: "fixed", name: "renamed" });
+  assert.strictEqual(renamed.name, "renamed");
+});
+
+test("transactions roll back to the snapshot", async () => {
+  const driver = await createDriver();
+
+  await assert.rejects(() =>
+    driver.transaction(async () => {
+      await driver.deleteAll("users");
+      await driver.insertOne("posts", { title: "hello" });
+      throw new Error("boom");
+    })
+  );
+  assert.strictEqual(await driver.count("users"), 3);
+  assert.strictEqual(await driver.count("posts"), 0);
+
+  await driver.transaction(async () => {
+    await driver.insertOne("posts", { title: "hello" });
+  });
+  assert.strictEqual(await driver.count("posts"), 1);
+
+  await driver.startTransaction();
+  await assert.rejects(() => driver.startTransaction(), /cannot be nested/);
+  await driver.rollbackTransaction();
+});
+
+test("DomainService transactions run against the memory driver", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  const users = createUserModel(db);
+  const service = new DomainService([users]);
+  await db.connect();
+
+  await assert.rejects(() =>
+    service.transaction(async () => {
+      await service.users.insertOne({ email: "ann@example.com" });
+      await service.users.insertOne({ email: "ann@example.com" });
+    })
+  );
+  assert.strictEqual(await users.count({}), 0);
+
+  const result = await service.transaction(() =>
+    service.users.insertOne({ email: "ann@example.com" })
+  );
+  assert.strictEqual(result.id, 1);
+});
+
+test("migrations create tables and unique indexes", async () => {
+  const driver = new MemoryDriver();
+  await driver.connect();
+
+  const migration = {
+    id: "0001_create_auth_tokens",
+    description: "Create auth_tokens",
+    up: [
+      Operation.createTable("auth_tokens")
+        .addPrimary("id")
+        .addVarChar("token", 64, { required: true, unique: true }),
+      {
+        type: "addColumn",
+        params: {
+          tableName: "auth_tokens",
+          column: { name: "used", type: "BOOLEAN", default: false },
+        },
+      },
+    ],
+    down: [{ type: "dropTable", params: { tableName: "auth_tokens" } }],
+  };
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const manager = new MigrationManager(driver, [migration]);
+    await manager.migrateUp();
+    assert.deepStrictEqual(await driver.fetchAppliedIds(), [migration.id]);
+
+    assert.strictEqual(
+      (await driver.insertOne("auth_tokens", { token: "t1", used: false })).id,
+      1
+    );
+    await assert.rejects(
+      () => driver.insertOne("auth_tokens", { token: "t1" }),
+      /auth_tokens_token_key/
+    );
+
+    await manager.migrateDown();
+    assert.deepStrictEqual(await driver.fetchAppliedIds(), []);
+    assert.strictEqual(await driver.count("auth_tokens"), 0);
+  } finally {
+    console.log = log;
+  }
+});
+
+test("renaming columns and tables keeps data and constraints", async () => {
+  const driver = await createDriver();
+  await driver.executeOperation({
+    type: "createIndex",
+    params: {
+      tableName: "users",
+      name: "users_email_idx",
+      columns: ["email"],
+      unique: true,
+    },
+  });
+  await driver.executeOperation({
+    type: "renameColumn",
+    params: { tableName: "users", oldName: "email", newName: "login" },
+  });
+  await driver.executeOperation({
+    type: "renameTable",
+    params: { oldName: "users", newName: "members" },
+  });
+
+  assert.strictEqual(
+    await driver.count("members", { login: "ann@example.com" }),
+    1
+  );
+  await assert.rejects(
+    () => driver.insertOne("members", { login: "ann@example.com" }),
+    /users_email_idx/
+  );
+
+  await driver.executeOperation({
+    type: "dropIndex",
+    params: { name: "users_email_idx" },
+  });
+  await driver.insertOne("members", { login: "ann@example.com" });
+
+  await assert.rejects(
+    () =>
+      driver.executeOperation({
+        type: "createIndex",
+        params: {
+          tableName: "members",
+          name: "dup",
+          columns: ["login"],
+          unique: true,
+        },
+      }),
+    /existing rows contain duplicates/
+  );
+});
+
+test("concurrent transactions run one at a time", async () => {
+  const driver = await createDriver();
+  const log = [];
+  const pause = () => new Promise(resolve => setImmediate(resolve));
+
+  const first = driver.transaction(async () => {
+    log.push("first: start");
+    await pause();
+    await driver.insertOne("users", { email: "dan@example.com" });
+    log.push("first: end");
+    return "first";
+  });
+  const second = driver.transaction(async () => {
+    log.push("second: start");
+    await pause();
+    log.push("second: end");
+    throw new Error("second failed");
+  });
+
+  assert.strictEqual(await first, "first");
+  await assert.rejects(second, /second failed/);
+
+  assert.deepStrictEqual(log, [
+    "first: start",
+    "first: end",
+    "second: start",
+    "second: end",
+  ]);
+  assert.strictEqual(await driver.count("users"), 4);
+  assert.strictEqual(driver.inTransaction, false);
+});
+
+test("callers outside a transaction wait for it to end", async () => {
+  const driver = await createDriver();
+
+  // Runs work in a transaction that stays open until resume(finish)
+  async function holdTransaction(work, options) {
+    let started;
+    let resume;
+    const running = new Promise(resolve => (started = resolve));
+    const blocked = new Promise(resolve => (resume = resolve));
+    const done = driver.transaction(async () => {
+      await work();
+      started();
+      const finish = await blocked;
+      return finish();
+    }, options);
+    await running;
+    return { done, resume };
+  }
+
+  const failing = await holdTransaction(() => driver.deleteAll("users"));
+  const outsideCount = driver.count("users");
+  const outsideInsert = driver.insertOne("users", { email: "dan@example.com" });
+  failing.resume(() => {
+    throw new Error("boom");
+  });
+
+  await assert.rejects(failing.done, /boom/);
+  // Neither saw nor was undone by the rolled back transaction
+  assert.strictEqual(await outsideCount, 3);
+  await outsideInsert;
+  assert.strictEqual(await driver.count("users"), 4);
+
+  const readOnly = await holdTransaction(() => driver.count("users"), {
+    readOnly: true,
+  });
+  const outsideWrite = driver.insertOne("users", { email: "eve@example.com" });
+  readOnly.resume(() => "done");
+
+  assert.strictEqual(await readOnly.done, "done");
+  await outsideWrite;
+  assert.strictEqual(await driver.count("users"), 5);
+});
+
+test("nested transactions roll back only their own work", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  await db.connect();
+  const users = createUserModel(db);
+
+  await db.transaction(async () => {
+    await users.insertOne({ email: "ann@example.com" });
+
+    await assert.rejects(
+      db.transaction(async () => {
+        await users.insertOne({ email: "bob@example.com" });
+        await users.insertOne({ email: "ann@example.com" });
+      }),
+      /users_email_key/
+    );
+
+    await db.transaction(() => users.insertOne({ email: "cat@example.com" }));
+  });
+
+  assert.deepStrictEqual(
+    (await users.findMany({}, { orderBy: "email" })).map(row => row.email),
+    ["ann@example.com", "cat@example.com"]
+  );
+});
+
+test("named savepoints restore earlier states", async () => {
+  const driver = await createDriver();
+
+  await assert.rejects(driver.savepoint("a"), /require an open transaction/);
+
+  await driver.transaction(async () => {
+    await driver.savepoint("a");
+    await driver.deleteAll("users");
+    await driver.savepoint("b");
+    await driver.insertOne("users", { email: "dan@example.com" });
+
+    await driver.rollbackToSavepoint("a");
+    assert.strictEqual(await driver.count("users"), 3);
+    await assert.rejects(
+      driver.rollbackToSavepoint("b"),
+      /Savepoint 'b' does not exist/
+    );
+
+    await driver.deleteAll("users");
+    await driver.rollbackToSavepoint("a");
+    await driver.releaseSavepoint("a");
+  });
+
+  assert.strictEqual(await driver.count("users"), 3);
+});
+
+test("transaction options reach the driver through services and models", async () => {
+  const db = new Database({ database: { driver: "memory" } });
+  const users = createUserModel(db);
+  const service = new DomainService([users]);
+  await db.connect();
+
+  const created = await service.transaction(
+    () => service.users.insertOne({ email: "ann@example.com" }),
+    { isolation: "serializable" }
+  );
+  assert.strictEqual(created.id, 1);
+
+  await assert.rejects(
+    users.transaction(() => users.insertOne({ email: "bob@example.com" }), {
+      readOnly: true,
+    }),
+    /Cannot write in a read-only transaction/
+  );
+  assert.strictEqual(
+    await users.transaction(() => users.count({}), { readOnly: true }),
+    1
+  );
+
+  await assert.rejects(
+    db.startTransaction({ timeoutMs: 100 }),
+    /does not support timeoutMs/
+  );
+  assert.ok(!db.inTransaction);
+});
+
+test("timed out transactions roll back and stop the callback's writes", async () => {
+  const driver = await createDriver();
+  let resume;
+  let lateWrite;
+  const blocked = new Promise(resolve => (resume = resolve));
+
+  await assert.rejects(
+    driver.transaction(
+      async () => {
+        await driver.deleteAll("users");
+        await blocked;
+        lateWrite = driver.transaction(() =>
+          driver.insertOne("users", { email: "dan@example.com" })
+        );
+        await lateWrite;
+      },
+      { timeoutMs: 20 }
+    ),
+    err =>
+      err instanceof TimeoutError && /timed out after 20ms/.test(err.message)
+  );
+
+  resume();
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(lateWrite, /has already ended/);
+  assert.strictEqual(await driver.count("users"), 3);
+});
@@ -0,0 +1,697 @@
+// test/driver-mysql.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import Database from "../lib/database.js";
+import MySQLDriver from "../lib/drivers/driver-mysql.js";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  ForeignKeyError,
+  NotNullError,
+  SerializationError,
+  TimeoutError,
+  UniqueConstraintError,
+} from "../lib/errors.js";
+
+/**
+ * Create a driver wired to a fake mysql2 pool that records every
+ * query and answers with whatever `respond` returns for it. Pooled
+ * connections record into the same list; BEGIN and COMMIT are not
+ * recorded.
+ */
+function createDriver(respond = () => []) {
+  const calls = [];
+  const driver = new MySQLDriver({ database: { driver: "mysql" } });
+
+  const query = async (sql, params) => {
+    const call = { sql: sql.replace(/\s+/g, " ").trim(), params };
+    calls.push(call);
+    return [respond(call), []];
+  };
+
+  driver.pool = {
+    query,
+    async getConnection() {
+      return {
+        query,
+        async beginTransaction() {},
+        async commit() {},
+        async rollback() {},
+        release() {},
+      };
+    },
+  };
+
+  return { driver, calls };
+}
+
+test("Database resolves mysql and mariadb to MySQLDriver", () => {
+  for (const driver of ["mysql", "mariadb", "MariaDB"]) {
+    const db = new Database({ database: { driver } });
+    assert.ok(db.driver instanceof MySQLDriver);
+  }
+});
+
+test("connect requires host, user and database", async () => {
+  const driver = new MySQLDriver({ database: { driver: "mysql" } });
+  await assert.rejects(() => driver.connect(), /db_host/);
+});
+
+test("constructor maps config.database to mysql2 options", () => {
+  const driver = new MySQLDriver({
+    database: {
+      driver: "mysql",
+      db_host: "localhost",
+      db_name: "test",
+      db_username: "root",
+      db_password: "secret",
+    },
+  });
+
+  assert.deepStrictEqual(driver.config, {
+    host: "localhost",
+    port: 3306,
+    database: "test",
+    user: "root",
+    password: "secret",
+  });
+});
+
+test("findMany uses backticks, ? placeholders and LIMIT before OFFSET", async () => {
+  const { driver, calls } = createDriver(() => [{ id: 1 }]);
+  await driver.findMany(
+    "users",
+    { role: { $in: ["admin", "owner"] }, email: { $ilike: "%@X.COM" } },
+    { orderBy: "id DESC", offset: 10 }
+  );
+
+  assert.strictEqual(
+    calls[0].sql,
+    "SELECT * FROM `users` WHERE `role` IN (?, ?) AND LOWER(`email`) LIKE LOWER(?) " +
+      "ORDER BY `id` DESC LIMIT 18446744073709551615 OFFSET 10"
+  );
+  assert.deepStrictEqual(calls[0].params, ["admin", "owner", "%@X.COM"]);
+});
+
+test("formatIdentifier escapes backticks", () => {
+  const { driver } = createDriver();
+  assert.strictEqual(driver.formatIdentifier("we`ird"), "`we``ird`");
+});
+
+test("count and exists read aliased columns", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("SELECT COUNT") ? [{ count: 3 }] : [{ exists: 1 }]
+  );
+
+  assert.strictEqual(await driver.count("users", { used: false }), 3);
+  assert.strictEqual(await driver.exists("users"), true);
+  assert.strictEqual(
+    calls[0].sql,
+    "SELECT COUNT(*) AS `count` FROM `users` WHERE `used` = ?"
+  );
+  assert.strictEqual(
+    calls[1].sql,
+    "SELECT EXISTS (SELECT 1 FROM `users`) AS `exists`"
+  );
+});
+
+test("insertOne re-selects the row by insertId", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("INSERT")
+      ? { insertId: 7, affectedRows: 1 }
+      : [{ id: 7, email: "a@b.c", used: 0 }]
+  );
+
+  const row = await driver.insertOne("users", { email: "a@b.c" });
+
+  assert.deepStrictEqual(row, { id: 7, email: "a@b.c", used: 0 });
+  assert.strictEqual(calls[0].sql, "INSERT INTO `users` (`email`) VALUES (?)");
+  assert.strictEqual(
+    calls[1].sql,
+    "SELECT * FROM `users` WHERE `id` = ? LIMIT 1"
+  );
+  assert.deepStrictEqual(calls[1].params, [7]);
+});
+
+test("insertOne re-selects by an explicit id", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("INSERT") ? { insertId: 0, affectedRows: 1 } : [{ id: "u1" }]
+  );
+
+  await driver.insertOne("users", { id: "u1", email: "a@b.c" });
+  assert.deepStrictEqual(calls[1].params, ["u1"]);
+});
+
+test("insertMany reads each row's insert id and keeps input order", async () => {
+  let nextId = 10;
+  const { driver, calls } = createDriver(({ sql }) => {
+    // Interleaved ids, as with innodb_autoinc_lock_mode=2
+    if (sql.startsWith("INSERT")) return { insertId: (nextId += 3) - 3 };
+    return [{ id: 16 }, { id: 10 }, { id: 99 }];
+  });
+
+  const rows = await driver.insertMany("users", [
+    { email: "a" },
+    { id: 99, email: "b" },
+    { email: "c" },
+  ]);
+
+  assert.deepStrictEqual(
+    calls.map(call => call.sql),
+    [
+      "INSERT INTO `users` (`email`) VALUES (?)",
+      "INSERT INTO `users` (`email`) VALUES (?)",
+      "INSERT INTO `users` (`email`) VALUES (?)",
+      "SELECT * FROM `users` WHERE `id` IN (?, ?, ?)",
+    ]
+  );
+  assert.deepStrictEqual(calls[3].params, [10, 99, 16]);
+  assert.deepStrictEqual(rows, [{ id: 10 }, { id: 99 }, { id: 16 }]);
+});
+
+test("insertMany uses the keys of the first entity for every row", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("INSERT") ? { insertId: 0, affectedRows: 1 } : []
+  );
+
+  await driver.insertMany("users", [
+    { id: 1, email: "a" },
+    { email: "b", id: 2 },
+  ]);
+
+  assert.deepStrictEqual(calls[0].params, [1, "a"]);
+  assert.deepStrictEqual(calls[1].params, [2, "b"]);
+  assert.strictEqual(calls.length, 3);
+});
+
+test("insertMany runs in a transaction and rolls back on failure", async () => {
+  const { driver } = createDriver();
+  const log = [];
+  let inserts = 0;
+  driver.pool.getConnection = async () => ({
+    async beginTransaction() {
+      log.push("begin");
+    },
+    async query(sql) {
+      if (++inserts === 2) throw new Error("Duplicate entry");
+      log.push(sql.trim().split(" ")[0]);
+      return [{ insertId: inserts }, []];
+    },
+    async rollback() {
+      log.push("rollback");
+    },
+    release() {
+      log.push("release");
+    },
+  });
+
+  await assert.rejects(
+    () => driver.insertMany("users", [{ email: "a" }, { email: "a" }]),
+    /Duplicate entry/
+  );
+  assert.deepStrictEqual(log, ["begin", "INSERT", "rollback", "release"]);
+});
+
+test("updateOne updates by id then re-selects", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("UPDATE") ? { affectedRows: 1 } : [{ id: 1, used: 1 }]
+  );
+
+  const row = await driver.updateOne("users", { id: 1, used: true });
+
+  assert.deepStrictEqual(row, { id: 1, used: 1 });
+  assert.strictEqual(calls[0].sql, "UPDATE `users` SET `used`=? WHERE `id`=?");
+  assert.deepStrictEqual(calls[0].params, [true, 1]);
+});
+
+test("deleteOne selects the row before deleting it", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("DELETE") ? { affectedRows: 1 } : [{ id: 4 }]
+  );
+
+  const row = await driver.deleteOne("users", { id: 4 });
+
+  assert.deepStrictEqual(row, { id: 4 });
+  assert.ok(calls[0].sql.startsWith("SELECT"));
+  assert.strictEqual(calls[1].sql, "DELETE FROM `users` WHERE `id`=?");
+});
+
+test("deleteMany with criteria returns the deleted rows", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("DELETE") ? { affectedRows: 2 } : [{ id: 1 }, { id: 2 }]
+  );
+
+  const rows = await driver.deleteMany("users", { used: true });
+
+  assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]);
+  assert.strictEqual(calls[1].sql, "DELETE FROM `users` WHERE `used` = ?");
+  assert.deepStrictEqual(calls[1].params, [true]);
+});
+
+test("deleteMany skips the DELETE when nothing matches", async () => {
+  const { driver, calls } = createDriver(() => []);
+  assert.deepStrictEqual(await driver.deleteMany("users", { used: true }), []);
+  assert.strictEqual(calls.length, 1);
+});
+
+test("upsert uses ON DUPLICATE KEY UPDATE", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("INSERT") ? { affectedRows: 2 } : [{ id: 1, email: "x" }]
+  );
+
+  const row = await driver.upsert("users", { id: 1, email: "x" });
+
+  assert.deepStrictEqual(row, { id: 1, email: "x" });
+  assert.strictEqual(
+    calls[0].sql,
+    "INSERT INTO `users` (`id`, `email`) VALUES (?, ?) " +
+      "ON DUPLICATE KEY UPDATE `email`=VALUES(`email`)"
+  );
+});
+
+test("transactions run on a dedicated connection", async () => {
+  const { driver, calls } = createDriver();
+  const log = [];
+  const connection = {
+    async beginTransaction() {
+      log.push("begin");
+    },
+    async query(sql, params) {
+      log.push(sql);
+      return [[], []];
+    },
+    async commit() {
+      log.push("commit");
+    },
+    release() {
+      log.push("release");
+    },
+  };
+  driver.pool.getConnection = async () => connection;
+
+  await driver.startTransaction();
+  await driver.query("SELECT 1");
+  await driver.commitTransaction();
+  await driver.query("SELECT 2");
+
+  assert.deepStrictEqual(log, ["begin", "SELECT 1", "commit", "release"]);
+  assert.strictEqual(calls[0].sql, "SELECT 2");
+});
+
+test("createTable emits MySQL column definitions", async () => {
+  const { driver, calls } = createDriver(() => ({ affectedRows: 0 }));
+
+  await driver.createTable({
+    params: {
+      tableName: "auth_tokens",
+      columns: [
+        { name: "id", type: "INTEGER", primary: true, autoIncrement: true },
+        { name: "email", type: "VARCHAR", length: 255, required: true },
+        { name: "used", type: "BOOLEAN", required: true, default: false },
+        { name: "created_at", type: "TIMESTAMP", default: "NOW()" },
+      ],
+      indexes: [
+        {
+          name: "auth_tokens_email_idx",
+          columns: [{ name: "email" }],
+          unique: true,
+        },
+      ],
+    },
+  });
+
+  assert.strictEqual(
+    calls[0].sql,
+    "CREATE TABLE IF NOT EXISTS `auth_tokens` (`id` INT NOT NULL AUTO_INCREMENT, " +
+      "`email` VARCHAR(255) NOT NULL, `used` TINYINT(1) NOT NULL DEFAULT 0, " +
+      "`created_at` DATETIME DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY (`id`)) ENGINE=InnoDB"
+  );
+  assert.strictEqual(
+    calls[1].sql,
+    "CREATE UNIQUE INDEX `auth_tokens_email_idx` ON `auth_tokens` (`email` ASC)"
+  );
+});
+
+test("createTable maps rich column types", async () => {
+  const { driver, calls } = createDriver(() => ({ affectedRows: 0 }));
+
+  await driver.createTable({
+    params: {
+      tableName: "products",
+      columns: [
+        { name: "id", type: "UUID", primary: true, required: true },
+        { name: "price", type: "DECIMAL", precision: 10, scale: 2 },
+        { name: "rate", type: "DECIMAL" },
+        { name: "views", type: "BIGINT" },
+        { name: "specs", type: "JSON" },
+        { name: "tags", type: "ARRAY", items: "TEXT" },
+        { name: "image", type: "BINARY" },
+      ],
+    },
+  });
+
+  assert.strictEqual(
+    calls[0].sql,
+    "CREATE TABLE IF NOT EXISTS `products` (`id` CHAR(36) NOT NULL, " +
+      "`price` DECIMAL(10, 2), `rate` DECIMAL(65, 30), `views` BIGINT, `specs` JSON, `tags` JSON, " +
+      "`image` LONGBLOB, PRIMARY KEY (`id`)) ENGINE=InnoDB"
+  );
+});
+
+test("JSON fields and BigInts are serialized before binding", async () => {
+  const { driver, calls } = createDriver(({ sql }) =>
+    sql.startsWith("INSERT") ? { insertId: 1, affectedRows: 1 } : [{ id: 1 }]
+  );
+  driver.registerSchema("products", {
+    fields: {
+      specs: { type: "json" },
+      tags: { type: "array" },
+      image: { type: "binary" },
+    },
+  });
+
+  const image = Buffer.from([1, 2]);
+  await driver.insertOne("products", {
+    specs: { color: "red" },
+    tags: ["a", "b"],
+    views: 9007199254740993n,
+    image,
+  });
+
+  assert.deepStrictEqual(calls[0].params, [
+    '{"color":"red"}',
+    '["a","b"]',
+    "9007199254740993",
+    image,
+  ]);
+});
+
+test("foreign keys are named and dropped by name", async () => {
+  const { driver, calls } = createDriver(() => ({ affectedRows: 0 }));
+
+  await driver.createForeignKey({
+    params: {
+      tableName: "posts",
+      columnName: "user_id",
+      referencedTable: "users",
+      referencedColumn: "id",
+      onDelete: "cascade",
+    },
+  });
+  await driver.dropForeignKey({
+    params: { tableName: "posts", columns: ["user_id"] },
+  });
+
+  assert.strictEqual(
+    calls[0].sql,
+    "ALTER TABLE `posts` ADD CONSTRAINT `posts_user_id_fkey` FOREIGN KEY (`user_id`) " +
+      "REFERENCES `users` (`id`) ON DELETE CASCADE"
+  );
+  assert.strictEqual(
+    calls[1].sql,
+    "ALTER TABLE `posts` DROP FOREIGN KEY `posts_user_id_fkey`"
+  );
+});
+
+test("isTransientError recognises lost connections and busy servers", () => {
+  const { driver } = createDriver();
+  const error = code => Object.assign(new Error(code), { code });
+
+  assert.ok(driver.isTransientError(error("PROTOCOL_CONNECTION_LOST")));
+  assert.ok(driver.isTransientError(error("ER_CON_COUNT_ERROR")));
+  assert.ok(driver.isTransientError(error("ECONNREFUSED")));
+  assert.ok(!driver.isTransientError(error("ER_DUP_ENTRY")));
+});
+
+test("transaction() binds a pooled connection to its async context", async () => {
+  const { driver, calls } = createDriver();
+  const log = [];
+  let connections = 0;
+
+  driver.pool.getConnection = async () => {
+    const name = `conn${++connections}`;
+    return {
+      async beginTransaction() {
+        log.push(`${name}: begin`);
+      },
+      async query(sql) {
+        await new Promise(resolve => setImmediate(resolve));
+        log.push(`${name}: ${sql}`);
+        return [[], []];
+      },
+      async commit() {
+        log.push(`${name}: commit`);
+      },
+      release() {
+        log.push(`${name}: release`);
+      },
+    };
+  };
+
+  await Promise.all([
+    driver.transaction(() => driver.query("SELECT 'a'")),
+    driver.transaction(() => driver.query("SELECT 'b'")),
+    driver.query("SELECT 'outside'"),
+  ]);
+
+  assert.deepStrictEqual(
+    log.filter(line => line.startsWith("conn1")),
+    ["conn1: begin", "conn1: SELECT 'a'", "conn1: commit", "conn1: release"]
+  );
+  assert.deepStrictEqual(
+    log.filter(line => line.startsWith("conn2")),
+    ["conn2: begin", "conn2: SELECT 'b'", "conn2: commit", "conn2: release"]
+  );
+  assert.deepStrictEqual(
+    calls.map(call => call.sql),
+    ["SELECT 'outside'"]
+  );
+});
+
+test("transaction options are set before the transaction begins", async () => {
+  const { driver } = createDriver();
+  const log = [];
+  driver.pool.getConnection = async () => ({
+    async beginTransaction() {
+      log.push("begin");
+    },
+    async query(sql) {
+      log.push(sql);
+      return [[], []];
+    },
+    async commit() {
+      log.push("commit");
+    },
+    release() {
+      log.push("release");
+    },
+  });
+
+  await driver.transaction(() => driver.query("SELECT balance"), {
+    isolation: "serializable",
+    readOnly: false,
+    deferrable: true,
+  });
+  await driver.startTransaction({ readOnly: true });
+  await driver.commitTransaction();
+
+  assert.deepStrictEqual(log, [
+    "SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ WRITE",
+    "begin",
+    "SELECT balance",
+    "commit",
+    "release",
+    "SET TRANSACTION READ ONLY",
+    "begin",
+    "commit",
+    "release",
+  ]);
+});
+
+test("deadlocked transactions are retried on a new connection", async () => {
+  const { driver } = createDriver();
+  const log = [];
+  let connections = 0;
+  let deadlocks = 1;
+
+  assert.ok(driver.isTransactionConflict({ code: "ER_LOCK_DEADLOCK" }));
+  assert.ok(!driver.isTransactionConflict({ code: "ER_DUP_ENTRY" }));
+
+  driver.pool.getConnection = async () => {
+    const name = `conn${++connections}`;
+    return {
+      async beginTransaction() {
+        log.push(`${name}: begin`);
+      },
+      async query(sql) {
+        log.push(`${name}: ${sql}`);
+        if (deadlocks) {
+          deadlocks--;
+          throw Object.assign(new Error("Deadlock found"), {
+            code: "ER_LOCK_DEADLOCK",
+          });
+        }
+        return [[], []];
+      },
+      async commit() {
+        log.push(`${name}: commit`);
+      },
+      async rollback() {
+        log.push(`${name}: rollback`);
+      },
+      release() {
+        log.push(`${name}: release`);
+      },
+    };
+  };
+
+  const attempts = [];
+  await driver.transaction(
+    async ({ attempt }) => {
+      attempts.push(attempt);
+      await driver.query("UPDATE stock SET qty = qty - 1");
+    },
+    { retry: { maxAttempts: 2, baseDelay: 0 } }
+  );
+
+  assert.deepStrictEqual(attempts, [1, 2]);
+  assert.deepStrictEqual(log, [
+    "conn1: begin",
+    "conn1: UPDATE stock SET qty = qty - 1",
+    "conn1: rollback",
+    "conn1: release",
+    "conn2: begin",
+    "conn2: UPDATE stock SET qty = qty - 1",
+    "conn2: commit",
+    "conn2: release",
+  ]);
+});
+
+test("duplicate-key errors name the unique index's columns", async () => {
+  const duplicate = key => {
+    const sqlMessage = `Duplicate entry 'ann@example.com-1' for key '${key}'`;
+    return Object.assign(new Error(sqlMessage), { errno: 1062, sqlMessage });
+  };
+  let violated = "users.users_email_key";
+  const { driver, calls } = createDriver(({ sql }) => {
+    if (sql.startsWith("INSERT")) throw duplicate(violated);
+    if (sql.includes("information_schema.STATISTICS")) {
+      return [
+        { table_name: "orgs", index_name: "PRIMARY", column_name: "id" },
+        { table_name: "users", index_name: "PRIMARY", column_name: "id" },
+        ...["email", "org_id"].map(column_name => ({
+          table_name: "users",
+          index_name: "users_email_key",
+          column_name,
+        })),
+      ];
+    }
+    return [];
+  });
+  const insert = () =>
+    driver.insertOne("users", { email: "ann@example.com", org_id: 1 });
+  const lookups = () =>
+    calls.filter(({ sql }) => sql.includes("information_schema")).length;
+
+  const unique = driver.mapError(await insert().catch(err => err));
+  assert.ok(unique instanceof UniqueConstraintError);
+  assert.strictEqual(unique.table, "users");
+  assert.strictEqual(unique.constraint, "users_email_key");
+  assert.deepStrictEqual(unique.fields, ["email", "org_id"]);
+
+  // MariaDB and MySQL before 8.0.19 name the index alone
+  const legacy = driver.mapError(duplicate("users_email_key"));
+  assert.strictEqual(legacy.table, "users");
+  assert.deepStrictEqual(legacy.fields, ["email", "org_id"]);
+  const ambiguous = driver.mapError(duplicate("PRIMARY"));
+  assert.strictEqual(ambiguous.table, undefined);
+  assert.deepStrictEqual(ambiguous.fields, []);
+
+  // Loaded once, then again for unknown indexes and after DDL
+  await insert().catch(() => {});
+  assert.strictEqual(lookups(), 1);
+  violated = "users.users_login_key";
+  await insert().catch(() => {});
+  assert.strictEqual(lookups(), 2);
+  await driver.executeOperation({
+    type: "dropIndex",
+    params: { tableName: "orgs", name: "orgs_name_key" },
+  });
+  violated = "users.users_email_key";
+  await insert().catch(() => {});
+  assert.strictEqual(lookups(), 3);
+});
+
+test("mapError translates errno values into error classes", () => {
+  const { driver } = createDriver();
+  const mysqlError = (errno, sqlMessage, code) =>
+    Object.assign(new Error(sqlMessage), { errno, sqlMessage, code });
+
+  const unique = driver.mapError(
+    mysqlError(1062, "Duplicate entry 'ann@example.com' for key 'users.email'")
+  );
+  assert.ok(unique instanceof UniqueConstraintError);
+  assert.strictEqual(unique.table, "users");
+  assert.strictEqual(unique.constraint, "email");
+  assert.deepStrictEqual(unique.fields, []);
+
+  driver.registerSchema("order_lines", {
+    primaryKey: { fields: ["order_id", "line"] },
+  });
+  const primary = driver.mapError(
+    mysqlError(1062, "Duplicate entry '7-1' for key 'order_lines.PRIMARY'")
+  );
+  assert.strictEqual(primary.constraint, "PRIMARY");
+  assert.deepStrictEqual(primary.fields, ["order_id", "line"]);
+
+  const legacy = driver.mapError(
+    mysqlError(1062, "Duplicate entry 'ann' for key 'users_name_unique'")
+  );
+  assert.strictEqual(legacy.table, undefined);
+  assert.strictEqual(legacy.constraint, "users_name_unique");
+  assert.deepStrictEqual(legacy.fields, []);
+
+  const foreignKey = driver.mapError(
+    mysqlError(
+      1452,
+      "Cannot add or update a child row: a foreign key constraint fails " +
+        "(`shop`.`orders`, CONSTRAINT `orders_user_id_fk` FOREIGN KEY " +
+        "(`user_id`) REFERENCES `users` (`id`))"
+    )
+  );
+  assert.ok(foreignKey instanceof ForeignKeyError);
+  assert.strictEqual(foreignKey.table, "orders");
+  assert.strictEqual(foreignKey.constraint, "orders_user_id_fk");
+  assert.deepStrictEqual(foreignKey.fields, ["user_id"]);
+
+  const notNull = driver.mapError(
+    mysqlError(1048, "Column 'email' cannot be null")
+  );
+  assert.ok(notNull instanceof NotNullError);
+  assert.strictEqual(notNull.field, "email");
+
+  const check = driver.mapError(
+    mysqlError(3819, "Check constraint 'stock_qty_positive' is violated.")
+  );
+  assert.ok(check instanceof CheckConstraintError);
+  assert.strictEqual(check.constraint, "stock_qty_positive");
+
+  assert.ok(
+    driver.mapError(mysqlError(1205, "Lock wait timeout exceeded")) instanceof
+      TimeoutError
+  );
+  assert.ok(
+    driver.mapError(
+      mysqlError(1213, "Deadlock found", "ER_LOCK_DEADLOCK")
+    ) instanceof SerializationError
+  );
+  assert.ok(
+    driver.mapError(
+      mysqlError(undefined, "lost", "PROTOCOL_CONNECTION_LOST")
+    ) instanceof ConnectionError
+  );
+
+  const syntax = mysqlError(1064, "You have an error in your SQL syntax");
+  assert.strictEqual(driver.mapError(syntax), syntax);
+});
@@ -0,0 +1,1119 @@
+// test/driver-postgres.test.js
+
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import Database from "../lib/database.js";
+import Model from "../lib/model.js";
+import ModelSchema from "../lib/modelSchema.js";
+import DomainService from "../lib/service.js";
+import PostgresDriver from "../lib/drivers/driver-postgres.js";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  ForeignKeyError,
+  NotNullError,
+  SerializationError,
+  TimeoutError,
+  UniqueConstraintError,
+} from "../lib/errors.js";
+import Operation from "../lib/migrations/operation.js";
+
+/**
+ * Create a driver wired to a fake pool that records every query
+ * and answers with the given rows.
+ */
+function createDriver(rows = []) {
+  const calls = [];
+  const driver = new PostgresDriver({ database: { driver: "postgres" } });
+
+  driver.pool = {
+    async query(sql, params) {
+      calls.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return { rows };
+    },
+  };
+
+  return { driver, calls };
+}
+
+test("findOne with empty criteria selects without WHERE", async () => {
+  const { driver, calls } = createDriver([{ id: 1 }]);
+  const row = await driver.findOne("users", {});
+
+  assert.deepStrictEqual(row, { id: 1 });
+  assert.strictEqual(calls[0].sql, 'SELECT * FROM "users" LIMIT 1');
+  assert.deepStrictEqual(calls[0].params, []);
+});
+
+test("findOne with single key criteria", async () => {
+  const { driver, calls } = createDriver([{ id: 1, email: "a@b.c" }]);
+  await driver.findOne("users", { email: "a@b.c" });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "users" WHERE "email" = $1 LIMIT 1'
+  );
+  assert.deepStrictEqual(calls[0].params, ["a@b.c"]);
+});
+
+test("findOne with multi key criteria", async () => {
+  const { driver, calls } = createDriver([]);
+  const row = await driver.findOne("users", { email: "a@b.c", used: false });
+
+  assert.strictEqual(row, null);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "users" WHERE "email" = $1 AND "used" = $2 LIMIT 1'
+  );
+  assert.deepStrictEqual(calls[0].params, ["a@b.c", false]);
+});
+
+test("findMany with empty criteria returns all rows", async () => {
+  const { driver, calls } = createDriver([{ id: 1 }, { id: 2 }]);
+  const rows = await driver.findMany("users");
+
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(calls[0].sql, 'SELECT * FROM "users"');
+  assert.deepStrictEqual(calls[0].params, []);
+});
+
+test("findMany with single key criteria", async () => {
+  const { driver, calls } = createDriver([{ id: 1 }]);
+  await driver.findMany("users", { role: "admin" });
+
+  assert.strictEqual(calls[0].sql, 'SELECT * FROM "users" WHERE "role" = $1');
+  assert.deepStrictEqual(calls[0].params, ["admin"]);
+});
+
+test("findMany with multi key criteria and null", async () => {
+  const { driver, calls } = createDriver([]);
+  await driver.findMany("users", {
+    role: "admin",
+    deleted_at: null,
+    active: true,
+  });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "users" WHERE "role" = $1 AND "deleted_at" IS NULL AND "active" = $2'
+  );
+  assert.deepStrictEqual(calls[0].params, ["admin", true]);
+});
+
+test("findById queries by id", async () => {
+  const { driver, calls } = createDriver([{ id: 7 }]);
+  const row = await driver.findById("users", 7);
+
+  assert.deepStrictEqual(row, { id: 7 });
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "users" WHERE "id" = $1 LIMIT 1'
+  );
+  assert.deepStrictEqual(calls[0].params, [7]);
+});
+
+test("findById returns null when no row matches", async () => {
+  const { driver } = createDriver([]);
+  assert.strictEqual(await driver.findById("users", 99), null);
+});
+
+test("findById requires an id", async () => {
+  const { driver } = createDriver([]);
+  await assert.rejects(() => driver.findById("users"), /requires an `id`/);
+});
+
+test("count with empty criteria", async () => {
+  const { driver, calls } = createDriver([{ count: "12" }]);
+  const total = await driver.count("users", {});
+
+  assert.strictEqual(total, 12);
+  assert.strictEqual(calls[0].sql, 'SELECT COUNT(*) AS "count" FROM "users"');
+});
+
+test("count with single key criteria", async () => {
+  const { driver, calls } = createDriver([{ count: "3" }]);
+  const total = await driver.count("users", { role: "admin" });
+
+  assert.strictEqual(total, 3);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT COUNT(*) AS "count" FROM "users" WHERE "role" = $1'
+  );
+  assert.deepStrictEqual(calls[0].params, ["admin"]);
+});
+
+test("count with multi key criteria", async () => {
+  const { driver, calls } = createDriver([{ count: "0" }]);
+  const total = await driver.count("users", { role: "admin", active: true });
+
+  assert.strictEqual(total, 0);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT COUNT(*) AS "count" FROM "users" WHERE "role" = $1 AND "active" = $2'
+  );
+  assert.deepStrictEqual(calls[0].params, ["admin", true]);
+});
+
+test("exists with empty criteria", async () => {
+  const { driver, calls } = createDriver([{ exists: true }]);
+  const found = await driver.exists("users");
+
+  assert.strictEqual(found, true);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT EXISTS (SELECT 1 FROM "users") AS "exists"'
+  );
+});
+
+test("exists with single key criteria", async () => {
+  const { driver, calls } = createDriver([{ exists: false }]);
+  const found = await driver.exists("users", { email: "x@y.z" });
+
+  assert.strictEqual(found, false);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT EXISTS (SELECT 1 FROM "users" WHERE "email" = $1) AS "exists"'
+  );
+  assert.deepStrictEqual(calls[0].params, ["x@y.z"]);
+});
+
+test("exists with multi key criteria", async () => {
+  const { driver, calls } = createDriver([{ exists: true }]);
+  await driver.exists("users", { email: "x@y.z", used: false });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT EXISTS (SELECT 1 FROM "users" WHERE "email" = $1 AND "used" = $2) AS "exists"'
+  );
+  assert.deepStrictEqual(calls[0].params, ["x@y.z", false]);
+});
+
+test("aggregate with empty criteria aggregates the whole table", async () => {
+  const { driver, calls } = createDriver([{ users: "3", oldest: 40 }]);
+  const rows = await driver.aggregate("users", {
+    aggregates: { users: { $count: "*" }, oldest: { $max: "age" } },
+  });
+
+  assert.deepStrictEqual(rows, [{ users: 3, oldest: 40 }]);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT COUNT(*) AS "users", MAX("age") AS "oldest" FROM "users"'
+  );
+  assert.deepStrictEqual(calls[0].params, []);
+});
+
+test("aggregate with single key criteria groups the rows", async () => {
+  const { driver, calls } = createDriver([{ role: "admin", n: "2" }]);
+  const rows = await driver.aggregate("users", {
+    criteria: { active: true },
+    groupBy: ["role"],
+    aggregates: { n: { $count: "email" } },
+    orderBy: { n: "desc" },
+    limit: 3,
+  });
+
+  assert.deepStrictEqual(rows, [{ role: "admin", n: 2 }]);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT "role", COUNT("email") AS "n" FROM "users" WHERE "active" = $1 ' +
+      'GROUP BY "role" ORDER BY "n" DESC LIMIT 3'
+  );
+  assert.deepStrictEqual(calls[0].params, [true]);
+});
+
+test("aggregate with multi key criteria", async () => {
+  const { driver, calls } = createDriver([{ average: "31.5" }]);
+  const rows = await driver.aggregate("users", {
+    criteria: { role: "user", age: { $gte: 18 } },
+    aggregates: { average: { $avg: "age" } },
+  });
+
+  assert.deepStrictEqual(rows, [{ average: "31.5" }]);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT AVG("age") AS "average" FROM "users" WHERE "role" = $1 AND "age" >= $2'
+  );
+  assert.deepStrictEqual(calls[0].params, ["user", 18]);
+});
+
+test("Model.aggregate runs through the Postgres driver", async () => {
+  const db = new Database({ database: { driver: "postgres" } });
+  const calls = [];
+  db.driver.pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows: [{ total: "5" }] };
+    },
+  };
+  const users = new Model(db, "users", new ModelSchema().addString("role"));
+
+  assert.deepStrictEqual(
+    await users.aggregate({ aggregates: { total: { $count: "*" } } }),
+    [{ total: 5 }]
+  );
+  assert.strictEqual(calls.length, 1);
+});
+
+test("criteria operators compile to parameterized SQL", async () => {
+  const { driver, calls } = createDriver([]);
+  await driver.findMany("users", {
+    age: { $gte: 18, $lt: 65 },
+    role: { $in: ["admin", "owner"] },
+    status: { $nin: ["banned"] },
+    email: { $ilike: "%@example.com" },
+    name: { $like: "A%" },
+    score: { $between: [1, 10] },
+    deleted_at: { $isNull: true },
+    plan: { $ne: "free" },
+  });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "users" WHERE "age" >= $1 AND "age" < $2' +
+      ' AND "role" IN ($3, $4)' +
+      ' AND ("status" NOT IN ($5) OR "status" IS NULL)' +
+      ' AND "email" ILIKE $6 AND "name" LIKE $7' +
+      ' AND "score" BETWEEN $8 AND $9' +
+      ' AND "deleted_at" IS NULL' +
+      ' AND ("plan" <> $10 OR "plan" IS NULL)'
+  );
+  assert.deepStrictEqual(calls[0].params, [
+    18,
+    65,
+    "admin",
+    "owner",
+    "banned",
+    "%@example.com",
+    "A%",
+    1,
+    10,
+    "free",
+  ]);
+});
+
+test("logical operators compile with grouping", async () => {
+  const { driver, calls } = createDriver([{ count: "1" }]);
+  await driver.count("users", {
+    active: true,
+    $or: [{ role: "admin" }, { age: { $gt: 30 }, verified: true }],
+    $not: { status: "archived" },
+  });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT COUNT(*) AS "count" FROM "users" WHERE "active" = $1' +
+      ' AND ("role" = $2 OR ("age" > $3 AND "verified" = $4))' +
+      ' AND NOT ("status" = $5)'
+  );
+  assert.deepStrictEqual(calls[0].params, [
+    true,
+    "admin",
+    30,
+    true,
+    "archived",
+  ]);
+});
+
+test("empty $in and $or match nothing", async () => {
+  const { driver, calls } = createDriver([{ exists: false }]);
+  await driver.exists("users", { id: { $in: [] }, $or: [] });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT EXISTS (SELECT 1 FROM "users" WHERE 1 = 0 AND 1 = 0) AS "exists"'
+  );
+});
+
+test("deleteMany accepts criteria", async () => {
+  const { driver, calls } = createDriver([{ id: 1 }, { id: 2 }]);
+  const rows = await driver.deleteMany("auth_tokens", {
+    used: true,
+    expires_at: { $lt: "2026-01-01" },
+  });
+
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(
+    calls[0].sql,
+    'DELETE FROM "auth_tokens" WHERE "used" = $1 AND "expires_at" < $2 RETURNING *'
+  );
+  assert.deepStrictEqual(calls[0].params, [true, "2026-01-01"]);
+});
+
+test("deleteMany still accepts an array of entities", async () => {
+  const { driver, calls } = createDriver([{ id: 1 }]);
+  await driver.deleteMany("users", [{ id: 1 }, { id: 2 }]);
+
+  assert.strictEqual(calls.length, 2);
+  assert.deepStrictEqual(calls[1].params, [2]);
+});
+
+test("findMany emits ORDER BY, LIMIT and OFFSET", async () => {
+  const { driver, calls } = createDriver([]);
+  await driver.findMany(
+    "users",
+    { active: true },
+    { orderBy: { created_at: "desc", id: "asc" }, limit: 20, offset: 40 }
+  );
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "users" WHERE "active" = $1' +
+      ' ORDER BY "created_at" DESC, "id" ASC LIMIT 20 OFFSET 40'
+  );
+  assert.deepStrictEqual(calls[0].params, [true]);
+});
+
+test("findMany selects only the requested columns", async () => {
+  const { driver, calls } = createDriver([]);
+  await driver.findMany("users", {}, { select: ["id", "email"] });
+
+  assert.strictEqual(calls[0].sql, 'SELECT "id", "email" FROM "users"');
+});
+
+test("identifiers from user input cannot break out of their quotes", async () => {
+  const { driver, calls } = createDriver([]);
+  const hostile = 'id" FROM "users"; DROP TABLE "users"; --';
+  await driver.findMany(
+    "users",
+    { [hostile]: 1 },
+    { select: [hostile], orderBy: { [hostile]: "asc" } }
+  );
+
+  const quoted = '"id"" FROM ""users""; DROP TABLE ""users""; --"';
+  assert.strictEqual(
+    calls[0].sql,
+    `SELECT ${quoted} FROM "users" WHERE ${quoted} = $1 ORDER BY ${quoted} ASC`
+  );
+});
+
+test("findMany strips excluded fields from rows", async () => {
+  const { driver, calls } = createDriver([
+    { id: 1, email: "a@b.c", password: "secret" },
+  ]);
+  const rows = await driver.findMany("users", {}, { exclude: ["password"] });
+
+  assert.strictEqual(calls[0].sql, 'SELECT * FROM "users"');
+  assert.deepStrictEqual(rows, [{ id: 1, email: "a@b.c" }]);
+});
+
+test("connect validates config.database and maps it to pg options", async () => {
+  const driver = new PostgresDriver({
+    database: {
+      driver: "postgres",
+      db_host: "db.internal",
+      db_port: "6432",
+      db_name: "shop",
+      db_username: "app",
+      db_sslmode: "require",
+      db_schema: "sales",
+      db_pool_max: 20,
+    },
+  });
+
+  let options;
+  driver.pg = {
+    Pool: class {
+      constructor(config) {
+        options = config;
+      }
+    },
+  };
+
+  await driver.connect();
+
+  assert.deepStrictEqual(options, {
+    host: "db.internal",
+    port: 6432,
+    database: "shop",
+    user: "app",
+    password: "",
+    ssl: { rejectUnauthorized: false },
+    options: "-c search_path=sales",
+    max: 20,
+  });
+});
+
+test("connect reports every invalid setting", async () => {
+  const driver = new PostgresDriver({
+    database: { driver: "postgres", db_port: 80, db_hostname: "x" },
+  });
+
+  await assert.rejects(
+    () => driver.connect(),
+    err => {
+      assert.deepStrictEqual(err.errors, [
+        "db_host is required",
+        "db_port must be >= 1000 (got 80)",
+        "db_name is required",
+        "db_username is required",
+        "db_hostname is not a recognised setting. Did you mean db_host?",
+      ]);
+      return true;
+    }
+  );
+});
+
+test("connect maps pool sizing, timeouts and TLS files", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "turbo-pg-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const ca = path.join(dir, "ca.pem");
+  const cert = path.join(dir, "client.pem");
+  const key = path.join(dir, "client.key");
+  fs.writeFileSync(ca, "CA");
+  fs.writeFileSync(cert, "CERT");
+  fs.writeFileSync(key, "KEY");
+
+  const driver = new PostgresDriver({
+    database: {
+      driver: "postgres",
+      db_host: "db.internal",
+      db_name: "shop",
+      db_username: "app",
+      db_pool_max: 30,
+      db_pool_min: 2,
+      db_idle_timeout: "10000",
+      db_connect_timeout: 2000,
+      db_statement_timeout: 15000,
+      db_application_name: "billing",
+      db_ssl_ca: ca,
+      db_ssl_cert: cert,
+      db_ssl_key: key,
+    },
+  });
+
+  let options;
+  driver.pg = {
+    Pool: class {
+      constructor(config) {
+        options = config;
+      }
+    },
+  };
+
+  await driver.connect();
+
+  assert.deepStrictEqual(options, {
+    host: "db.internal",
+    port: 5432,
+    database: "shop",
+    user: "app",
+    password: "",
+    ssl: { rejectUnauthorized: true, ca: "CA", cert: "CERT", key: "KEY" },
+    max: 30,
+    min: 2,
+    idleTimeoutMillis: 10000,
+    connectionTimeoutMillis: 2000,
+    statement_timeout: 15000,
+    application_name: "billing",
+  });
+});
+
+test("TLS file settings must exist and need TLS enabled", async () => {
+  const driver = new PostgresDriver({
+    database: {
+      driver: "postgres",
+      db_host: "db.internal",
+      db_name: "shop",
+      db_username: "app",
+      db_sslmode: "disable",
+      db_ssl_ca: "/nonexistent/ca.pem",
+    },
+  });
+
+  await assert.rejects(
+    () => driver.connect(),
+    /db_ssl_ca requires TLS, but db_sslmode is 'disable'/
+  );
+
+  driver._config.database.db_sslmode = "verify-full";
+  await assert.rejects(
+    () => driver.connect(),
+    /db_ssl_ca file '\/nonexistent\/ca.pem' does not exist/
+  );
+});
+
+test("poolStats reports pool counts", () => {
+  const driver = new PostgresDriver({ database: { driver: "postgres" } });
+  assert.deepStrictEqual(driver.poolStats(), {
+    total: 0,
+    idle: 0,
+    waiting: 0,
+    max: 10,
+  });
+
+  driver.pool = {
+    totalCount: 8,
+    idleCount: 1,
+    waitingCount: 3,
+    options: { max: 8 },
+  };
+  assert.deepStrictEqual(driver.poolStats(), {
+    total: 8,
+    idle: 1,
+    waiting: 3,
+    max: 8,
+  });
+});
+
+test("ping and serverVersion query the server", async () => {
+  const { driver, calls } = createDriver([{ server_version: "16.2" }]);
+
+  await driver.ping();
+  assert.strictEqual(await driver.serverVersion(), "16.2");
+  assert.deepStrictEqual(
+    calls.map(call => call.sql),
+    ["SELECT 1", "SHOW server_version"]
+  );
+});
+
+test("isTransientError recognises lost connections and shutdowns", () => {
+  const { driver } = createDriver();
+  const error = (code, message = "") =>
+    Object.assign(new Error(message), { code });
+
+  assert.ok(driver.isTransientError(error("ECONNRESET")));
+  assert.ok(driver.isTransientError(error("57P01")));
+  assert.ok(driver.isTransientError(error("53300")));
+  assert.ok(driver.isTransientError(error("08006")));
+  assert.ok(
+    driver.isTransientError(new Error("Connection terminated unexpectedly"))
+  );
+  assert.ok(!driver.isTransientError(error("23505")));
+  assert.ok(!driver.isTransientError(error("42601")));
+});
+
+test("reconnect replaces the pool without waiting for the old one", async () => {
+  const { driver } = createDriver();
+  driver.config = { host: "db" };
+
+  let ended = false;
+  driver.pool = { end: () => new Promise(() => (ended = true)) };
+  driver.pg = {
+    Pool: class {
+      constructor(options) {
+        this.options = options;
+      }
+    },
+  };
+
+  await driver.reconnect();
+
+  assert.ok(ended);
+  assert.deepStrictEqual(driver.pool.options, { host: "db" });
+});
+
+/**
+ * Pool whose clients record their queries under the client's number,
+ * with a pause per query so concurrent callers interleave. onQuery
+ * may throw to simulate a server error.
+ */
+function createTransactionalPool(log, onQuery = () => {}) {
+  let clients = 0;
+  const pause = () => new Promise(resolve => setImmediate(resolve));
+
+  return {
+    async query(sql) {
+      await pause();
+      log.push(`pool: ${sql}`);
+      return { rows: [] };
+    },
+    async connect() {
+      const name = `client${++clients}`;
+      return {
+        async query(sql) {
+          await pause();
+          log.push(`${name}: ${sql}`);
+          onQuery(sql);
+          return { rows: [] };
+        },
+        release(err) {
+          log.push(`${name}: ${err ? "destroyed" : "released"}`);
+        },
+      };
+    },
+  };
+}
+
+test("concurrent transactions each use their own client", async () => {
+  const log = [];
+  const db = new Database({ database: { driver: "postgres" } });
+  db.driver.pool = createTransactionalPool(log);
+
+  const users = new Model(db, "users", new ModelSchema().addInteger("id"));
+
+  await Promise.all([
+    db.transaction(async () => {
+      await users.findById(1);
+      await users.count();
+    }),
+    db.transaction(async () => {
+      await users.findById(2);
+      await assert.rejects(
+        db.transaction(async () => {
+          throw new Error("nested failure");
+        }),
+        /nested failure/
+      );
+    }),
+    users.findById(3),
+  ]);
+
+  const byClient = name =>
+    log
+      .filter(line => line.startsWith(`${name}:`))
+      .map(line => line.slice(name.length + 2));
+
+  assert.deepStrictEqual(byClient("client1"), [
+    "BEGIN",
+    'SELECT * FROM "users" WHERE "id" = $1 LIMIT 1',
+    'SELECT COUNT(*) AS "count" FROM "users"',
+    "COMMIT",
+    "released",
+  ]);
+  assert.deepStrictEqual(byClient("client2"), [
+    "BEGIN",
+    'SELECT * FROM "users" WHERE "id" = $1 LIMIT 1',
+    'SAVEPOINT "turbo_savepoint_1"',
+    'ROLLBACK TO SAVEPOINT "turbo_savepoint_1"',
+    'RELEASE SAVEPOINT "turbo_savepoint_1"',
+    "COMMIT",
+    "released",
+  ]);
+  assert.deepStrictEqual(byClient("pool"), [
+    'SELECT * FROM "users" WHERE "id" = $1 LIMIT 1',
+  ]);
+});
+
+test("transaction rolls back and returns the client on failure", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  await assert.rejects(
+    driver.transaction(async () => {
+      assert.ok(driver.inTransaction);
+      await driver.query("UPDATE users SET active = false");
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+
+  assert.ok(!driver.inTransaction);
+  assert.deepStrictEqual(log, [
+    "client1: BEGIN",
+    "client1: UPDATE users SET active = false",
+    "client1: ROLLBACK",
+    "client1: released",
+  ]);
+});
+
+test("nested transactions use savepoints on the same client", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  const result = await driver.transaction(async () => {
+    await driver.query("INSERT order");
+
+    await assert.rejects(
+      driver.transaction(async () => {
+        await driver.query("INSERT invoice");
+        throw new Error("invoice failed");
+      }),
+      /invoice failed/
+    );
+
+    return driver.transaction(async () => {
+      await driver.query("INSERT audit");
+      return "done";
+    });
+  });
+
+  assert.strictEqual(result, "done");
+  assert.deepStrictEqual(log, [
+    "client1: BEGIN",
+    "client1: INSERT order",
+    'client1: SAVEPOINT "turbo_savepoint_1"',
+    "client1: INSERT invoice",
+    'client1: ROLLBACK TO SAVEPOINT "turbo_savepoint_1"',
+    'client1: RELEASE SAVEPOINT "turbo_savepoint_1"',
+    'client1: SAVEPOINT "turbo_savepoint_2"',
+    "client1: INSERT audit",
+    'client1: RELEASE SAVEPOINT "turbo_savepoint_2"',
+    "client1: COMMIT",
+    "client1: released",
+  ]);
+});
+
+test("transaction() inside startTransaction() uses a savepoint", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  await driver.startTransaction();
+  await driver.transaction(() => driver.query("UPDATE users"));
+  await driver.commitTransaction();
+
+  assert.deepStrictEqual(log, [
+    "client1: BEGIN",
+    'client1: SAVEPOINT "turbo_savepoint_1"',
+    "client1: UPDATE users",
+    'client1: RELEASE SAVEPOINT "turbo_savepoint_1"',
+    "client1: COMMIT",
+    "client1: released",
+  ]);
+});
+
+test("named savepoints are validated and need a transaction", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  await assert.rejects(
+    driver.savepoint("before_invoice"),
+    /Savepoints require an open transaction/
+  );
+
+  await driver.transaction(async () => {
+    await driver.savepoint("before_invoice");
+    await driver.rollbackToSavepoint("before_invoice");
+    await assert.rejects(
+      driver.savepoint('x"; DROP TABLE users; --'),
+      /Invalid savepoint name/
+    );
+  });
+
+  assert.deepStrictEqual(log.slice(1, 3), [
+    'client1: SAVEPOINT "before_invoice"',
+    'client1: ROLLBACK TO SAVEPOINT "before_invoice"',
+  ]);
+});
+
+test("transaction options are applied with SET TRANSACTION", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  await driver.transaction(() => driver.query("SELECT balance"), {
+    isolation: "serializable",
+    readOnly: true,
+    deferrable: true,
+    timeoutMs: 5000,
+  });
+
+  await driver.startTransaction({ isolation: "REPEATABLE_READ" });
+  await driver.commitTransaction();
+
+  assert.deepStrictEqual(log, [
+    "client1: BEGIN",
+    "client1: SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY, DEFERRABLE",
+    "client1: SET LOCAL statement_timeout = 5000",
+    "client1: SELECT balance",
+    "client1: COMMIT",
+    "client1: released",
+    "client2: BEGIN",
+    "client2: SET TRANSACTION ISOLATION LEVEL REPEATABLE READ",
+    "client2: COMMIT",
+    "client2: released",
+  ]);
+});
+
+test("invalid transaction options are rejected before BEGIN", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  await assert.rejects(
+    driver.transaction(async () => {}, { isolation: "snapshot" }),
+    /Invalid transaction isolation 'snapshot'/
+  );
+  await assert.rejects(
+    driver.transaction(async () => {}, { readonly: true }),
+    /Unknown transaction option\(s\): readonly/
+  );
+  assert.deepStrictEqual(log, []);
+});
+
+test("nested transactions cannot change the outer options", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  await driver.transaction(
+    async () => {
+      await driver.transaction(() => driver.query("INSERT ledger"), {
+        isolation: "serializable",
+      });
+      await assert.rejects(
+        driver.transaction(async () => {}, { isolation: "read committed" }),
+        /cannot change the isolation/
+      );
+    },
+    { isolation: "serializable" }
+  );
+
+  assert.ok(log.includes("client1: INSERT ledger"));
+  assert.strictEqual(log.at(-2), "client1: COMMIT");
+});
+
+test("a transaction that outlives timeoutMs is rolled back", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log);
+
+  let resume;
+  let lateQuery;
+  const blocked = new Promise(resolve => (resume = resolve));
+
+  await assert.rejects(
+    driver.transaction(
+      async () => {
+        await blocked;
+        lateQuery = driver.query("UPDATE accounts");
+        await lateQuery;
+      },
+      { timeoutMs: 20 }
+    ),
+    /Transaction timed out after 20ms and was rolled back/
+  );
+
+  resume();
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(
+    lateQuery,
+    /transaction this code ran in has already ended/
+  );
+
+  assert.deepStrictEqual(log, [
+    "client1: BEGIN",
+    "client1: SET LOCAL statement_timeout = 20",
+    "client1: ROLLBACK",
+    "client1: released",
+  ]);
+});
+
+test("isTransactionConflict recognises serialization failures and deadlocks", () => {
+  const { driver } = createDriver();
+  const withCode = code => Object.assign(new Error(code), { code });
+
+  assert.ok(driver.isTransactionConflict(withCode("40001")));
+  assert.ok(driver.isTransactionConflict(withCode("40P01")));
+  assert.ok(!driver.isTransactionConflict(withCode("23505")));
+  assert.ok(!driver.isTransactionConflict(withCode("57P01")));
+});
+
+test("DomainService retries serialization failures from the top", async () => {
+  const log = [];
+  const conflicts = ["40001", "40P01"];
+  const db = new Database({ database: { driver: "postgres" } });
+  db.driver.pool = createTransactionalPool(log, sql => {
+    if (sql.startsWith("UPDATE") && conflicts.length) {
+      throw Object.assign(new Error("could not serialize access"), {
+        code: conflicts.shift(),
+      });
+    }
+  });
+
+  const accounts = new Model(db, "accounts", new ModelSchema());
+  const service = new DomainService([accounts]);
+  const attempts = [];
+
+  const result = await service.transaction(
+    async ({ attempt }) => {
+      attempts.push(attempt);
+      await db.query("UPDATE accounts SET balance = balance - 10");
+      return "transferred";
+    },
+    { isolation: "serializable", retry: { maxAttempts: 3, baseDelay: 0 } }
+  );
+
+  assert.strictEqual(result, "transferred");
+  assert.deepStrictEqual(attempts, [1, 2, 3]);
+  assert.deepStrictEqual(
+    log.filter(line => /BEGIN|COMMIT|ROLLBACK/.test(line)),
+    [
+      "client1: BEGIN",
+      "client1: ROLLBACK",
+      "client2: BEGIN",
+      "client2: ROLLBACK",
+      "client3: BEGIN",
+      "client3: COMMIT",
+    ]
+  );
+});
+
+test("conflicts are rethrown when retries run out or are not enabled", async () => {
+  const log = [];
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log, sql => {
+    if (sql === "UPDATE accounts") {
+      throw Object.assign(new Error("deadlock detected"), { code: "40P01" });
+    }
+  });
+
+  let runs = 0;
+  const transfer = async () => {
+    runs++;
+    await driver.query("UPDATE accounts");
+  };
+
+  await assert.rejects(
+    driver.transaction(transfer, { retry: { maxAttempts: 2, baseDelay: 0 } }),
+    { code: "40P01" }
+  );
+  assert.strictEqual(runs, 2);
+
+  await assert.rejects(driver.transaction(transfer), { code: "40P01" });
+  assert.strictEqual(runs, 3);
+
+  await assert.rejects(
+    driver.transaction(
+      async () => {
+        runs++;
+        throw Object.assign(new Error("duplicate key"), { code: "23505" });
+      },
+      { retry: true }
+    ),
+    { code: "23505" }
+  );
+  assert.strictEqual(runs, 4);
+});
+
+test("a conflict in a nested transaction retries the outer one", async () => {
+  const log = [];
+  let failed = false;
+  const { driver } = createDriver();
+  driver.pool = createTransactionalPool(log, sql => {
+    if (sql === "UPDATE ledger" && !failed) {
+      failed = true;
+      throw Object.assign(new Error("could not serialize"), { code: "40001" });
+    }
+  });
+
+  const outer = [];
+  const inner = [];
+  const retry = { maxAttempts: 3, baseDelay: 0 };
+
+  await driver.transaction(
+    async ({ attempt }) => {
+      outer.push(attempt);
+      await driver.transaction(
+        async context => {
+          inner.push(context.attempt);
+          await driver.query("UPDATE ledger");
+        },
+        { retry }
+      );
+    },
+    { retry }
+  );
+
+  assert.deepStrictEqual(outer, [1, 2]);
+  assert.deepStrictEqual(inner, [1, 2]);
+  assert.strictEqual(log.filter(line => line.endsWith("BEGIN")).length, 2);
+});
+
+test("mapError translates SQLSTATE codes into error classes", () => {
+  const { driver } = createDriver();
+  const pgError = (code, props = {}) =>
+    Object.assign(new Error(`pg ${code}`), { code, ...props });
+
+  const unique = driver.mapError(
+    pgError("23505", {
+      table: "members",
+      constraint: "members_tenant_id_email_key",
+      detail: 'Key (tenant_id, "Email")=(1, ann@example.com) already exists.',
+    })
+  );
+  assert.ok(unique instanceof UniqueConstraintError);
+  assert.deepStrictEqual(unique.fields, ["tenant_id", "Email"]);
+  assert.strictEqual(unique.table, "members");
+  assert.strictEqual(unique.constraint, "members_tenant_id_email_key");
+  assert.strictEqual(unique.code, "23505");
+
+  const foreignKey = driver.mapError(
+    pgError("23503", {
+      detail: 'Key (user_id)=(9) is not present in table "users".',
+    })
+  );
+  assert.ok(foreignKey instanceof ForeignKeyError);
+  assert.deepStrictEqual(foreignKey.fields, ["user_id"]);
+
+  const notNull = driver.mapError(pgError("23502", { column: "email" }));
+  assert.ok(notNull instanceof NotNullError);
+  assert.strictEqual(notNull.field, "email");
+
+  assert.ok(driver.mapError(pgError("23514")) instanceof CheckConstraintError);
+  assert.ok(driver.mapError(pgError("57014")) instanceof TimeoutError);
+  assert.ok(driver.mapError(pgError("40001")) instanceof SerializationError);
+  assert.ok(driver.mapError(pgError("57P01")) instanceof ConnectionError);
+  assert.ok(
+    driver.mapError(
+      new Error("timeout exceeded when trying to connect")
+    ) instanceof TimeoutError
+  );
+
+  const syntax = pgError("42601");
+  assert.strictEqual(driver.mapError(syntax), syntax);
+});
+
+test("Database operations reject with mapped errors", async () => {
+  const log = [];
+  const db = new Database({ database: { driver: "postgres" } });
+  db.driver.pool = createTransactionalPool(log, sql => {
+    if (sql.startsWith("INSERT")) {
+      throw Object.assign(new Error("duplicate key value"), {
+        code: "23505",
+        detail: "Key (email)=(ann@example.com) already exists.",
+      });
+    }
+  });
+
+  const err = await db
+    .transaction(() => db.query("INSERT INTO users (email) VALUES ('ann')"))
+    .catch(error => error);
+
+  assert.ok(err instanceof UniqueConstraintError);
+  assert.deepStrictEqual(err.fields, ["email"]);
+  assert.strictEqual(err.cause.code, "23505");
+  assert.strictEqual(log.at(-2), "client1: ROLLBACK");
+
+  db.driver.pool = null;
+  await assert.rejects(db.findById("users", 1), ConnectionError);
+});
+
+test("createTable maps rich column types to native Postgres types", async () => {
+  const { driver, calls } = createDriver();
+
+  await driver.executeOperation(
+    Operation.createTable("products")
+      .addUuid("id", { primary: true })
+      .addDecimal("price", 10, 2, { required: true })
+      .addBigInt("views")
+      .addJson("specs")
+      .addArray("tags", "TEXT")
+      .addBinary("image")
+  );
+
+  assert.strictEqual(
+    calls[0].sql,
+    'CREATE TABLE IF NOT EXISTS "products" ( "id" UUID NOT NULL, ' +
+      '"price" NUMERIC(10, 2) NOT NULL, "views" BIGINT, "specs" JSONB, ' +
+      '"tags" TEXT[], "image" BYTEA, PRIMARY KEY ("id") );'
+  );
+});
+
+test("arrays bound to JSON fields are serialized", async () => {
+  const { driver, calls } = createDriver([{ id: 1 }]);
+  driver.registerSchema("products", {
+    fields: { specs: { type: "json" }, tags: { type: "array" } },
+  });
+
+  await driver.insertOne("products", { specs: [1, 2], tags: ["a", "b"] });
+
+  assert.deepStrictEqual(calls[0].params, ["[1,2]", ["a", "b"]]);
+});
@@ -0,0 +1,625 @@
+// test/driver-sqlite.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import Database from "../lib/database.js";
+import SqliteDriver from "../lib/drivers/driver-sqlite.js";
+import { NotNullError, UniqueConstraintError } from "../lib/errors.js";
+import Operation from "../lib/migrations/operation.js";
+import MigrationManager from "../lib/migrations/migrationManager.js";
+import Model from "../lib/model.js";
+import ModelSchema from "../lib/modelSchema.js";
+
+async function createDriver() {
+  const driver = new SqliteDriver({ database: { driver: "sqlite" } });
+  await driver.connect();
+  await driver.executeOperation(
+    Operation.createTable("users")
+      .addPrimary("id")
+      .addVarChar("email", 255, { required: true, unique: true })
+      .addVarChar("role", 50)
+      .addInteger("age")
+      .addBoolean("active", { required: true, default: true })
+      .addTimestamp("created_at", { required: true, default: "NOW()" })
+      .addIndex("users_role_idx", ["role"])
+  );
+  return driver;
+}
+
+async function seed(driver) {
+  return driver.insertMany("users", [
+    { email: "ann@example.com", role: "admin", age: 40, active: true },
+    { email: "bob@example.com", role: "user", age: 25, active: false },
+    { email: "cat@example.com", role: null, age: 31, active: true },
+  ]);
+}
+
+test("Database resolves the sqlite driver", () => {
+  const db = new Database({ database: { driver: "sqlite" } });
+  assert.ok(db.driver instanceof SqliteDriver);
+});
+
+test("Database.query runs raw SQL with and without params", async () => {
+  const db = new Database({ database: { driver: "sqlite" } });
+  await db.connect();
+
+  await db.query("CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)");
+  await db.query("INSERT INTO notes (body) VALUES (?)", ["hello"]);
+
+  assert.deepStrictEqual(await db.query("SELECT * FROM notes"), [
+    { id: 1, body: "hello" },
+  ]);
+  await db.disconnect();
+});
+
+test("Model.query runs raw SQL without params", async () => {
+  const db = new Database({ database: { driver: "sqlite" } });
+  await db.connect();
+  const notes = new Model(db, "notes", new ModelSchema().addString("body"));
+
+  assert.deepStrictEqual(await notes.query("SELECT 1 AS x"), [{ x: 1 }]);
+  await db.disconnect();
+});
+
+test("identifiers with double quotes stay quoted", async () => {
+  const driver = new SqliteDriver({ database: { driver: "sqlite" } });
+  await driver.connect();
+  await driver.executeOperation(
+    Operation.createTable('odd"table')
+      .addPrimary("id")
+      .addVarChar('say "hi"', 20)
+  );
+
+  await driver.insertOne('odd"table', { 'say "hi"': "hello" });
+  assert.deepStrictEqual(
+    await driver.findMany(
+      'odd"table',
+      { 'say "hi"': "hello" },
+      { select: ['say "hi"'], orderBy: { 'say "hi"': "asc" } }
+    ),
+    [{ 'say "hi"': "hello" }]
+  );
+
+  const hostile = 'id" FROM "odd""table"; DROP TABLE "odd""table"; --';
+  await assert.rejects(driver.findMany('odd"table', {}, { select: [hostile] }));
+  assert.strictEqual(await driver.count('odd"table'), 1);
+  await driver.disconnect();
+});
+
+test("insertOne returns the stored row", async () => {
+  const driver = await createDriver();
+  const row = await driver.insertOne("users", {
+    email: "ann@example.com",
+    age: 40,
+  });
+
+  assert.strictEqual(row.id, 1);
+  assert.strictEqual(row.email, "ann@example.com");
+  assert.strictEqual(row.active, 1);
+  assert.ok(row.created_at);
+  await driver.disconnect();
+});
+
+test("boolean and JSON fields read back as they were written", async () => {
+  const db = new Database({ database: { driver: "sqlite" } });
+  await db.connect();
+  await db.driver.executeOperation(
+    Operation.createTable("settings")
+      .addPrimary("id")
+      .addBoolean("enabled")
+      .addJson("value")
+      .addJson("tags")
+  );
+  const settings = new Model(
+    db,
+    "settings",
+    new ModelSchema()
+      .addInteger("id")
+      .addBoolean("enabled")
+      .addJson("value")
+      .addArray("tags", "string")
+  );
+
+  const inserted = await settings.insertOne({
+    enabled: true,
+    value: { theme: "dark", sizes: [1, 2] },
+    tags: ["a", "b"],
+  });
+  assert.deepStrictEqual(inserted, {
+    id: 1,
+    enabled: true,
+    value: { theme: "dark", sizes: [1, 2] },
+    tags: ["a", "b"],
+  });
+
+  await settings.insertOne({ enabled: false, value: "plain", tags: null });
+  assert.deepStrictEqual(await settings.findMany({ enabled: false }), [
+    { id: 2, enabled: false, value: "plain", tags: null },
+  ]);
+
+  // Raw queries return what SQLite stores
+  assert.deepStrictEqual(
+    await db.query("SELECT enabled, value FROM settings WHERE id = 2"),
+    [{ enabled: 0, value: '"plain"' }]
+  );
+  await db.disconnect();
+});
+
+test("DML addresses rows by a registered composite key", async () => {
+  const driver = new SqliteDriver({ database: { driver: "sqlite" } });
+  await driver.connect();
+  await driver.query(
+    'CREATE TABLE "lines" ("orderId" INTEGER, "line" INTEGER, "qty" INTEGER, PRIMARY KEY ("orderId", "line"))'
+  );
+  driver.registerSchema("lines", {
+    primaryKey: { fields: ["orderId", "line"] },
+  });
+
+  await driver.insertMany("lines", [
+    { orderId: 1, line: 1, qty: 2 },
+    { orderId: 1, line: 2, qty: 5 },
+  ]);
+
+  assert.deepStrictEqual(await driver.findById("lines", [1, 2]), {
+    orderId: 1,
+    line: 2,
+    qty: 5,
+  });
+  assert.strictEqual(
+    (await driver.updateOne("lines", { orderId: 1, line: 2, qty: 6 })).qty,
+    6
+  );
+  assert.strictEqual(
+    (await driver.upsert("lines", { orderId: 1, line: 1, qty: 9 })).qty,
+    9
+  );
+  assert.deepStrictEqual(
+    await driver.upsert("lines", { orderId: 2, line: 1 }),
+    {
+      orderId: 2,
+      line: 1,
+      qty: null,
+    }
+  );
+  assert.deepStrictEqual(
+    await driver.deleteOne("lines", { orderId: 1, line: 1 }),
+    { orderId: 1, line: 1, qty: 9 }
+  );
+  assert.strictEqual(await driver.count("lines"), 2);
+  await driver.disconnect();
+});
+
+test("read methods honor criteria and options", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  assert.strictEqual(
+    (await driver.findById("users", 2)).email,
+    "bob@example.com"
+  );
+  assert.strictEqual(await driver.findOne("users", { email: "nobody" }), null);
+  assert.strictEqual(await driver.count("users"), 3);
+  assert.strictEqual(await driver.count("users", { role: null }), 1);
+  assert.strictEqual(await driver.exists("users", { age: { $gt: 35 } }), true);
+  assert.strictEqual(await driver.exists("users", { age: { $gt: 50 } }), false);
+
+  const rows = await driver.findMany(
+    "users",
+    { $or: [{ role: "admin" }, { age: { $lt: 35 } }] },
+    { orderBy: "age DESC", offset: 1, select: ["email"] }
+  );
+  assert.deepStrictEqual(rows, [
+    { email: "cat@example.com" },
+    { email: "bob@example.com" },
+  ]);
+
+  assert.strictEqual(
+    await driver.count("users", { email: { $like: "A%" } }),
+    0
+  );
+  assert.strictEqual(
+    await driver.count("users", { email: { $ilike: "A%" } }),
+    1
+  );
+  assert.strictEqual(
+    await driver.count("users", { role: { $ne: "admin" } }),
+    2
+  );
+  await driver.disconnect();
+});
+
+test("aggregate groups and orders rows", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  const rows = await driver.aggregate("users", {
+    criteria: { active: true },
+    groupBy: "role",
+    aggregates: {
+      users: { $count: "*" },
+      ages: { $sum: "age" },
+      youngest: { $min: "age" },
+    },
+    orderBy: "ages DESC",
+  });
+
+  assert.deepStrictEqual(rows, [
+    { role: "admin", users: 1, ages: 40, youngest: 40 },
+    { role: null, users: 1, ages: 31, youngest: 31 },
+  ]);
+  await driver.disconnect();
+});
+
+test("update, upsert and delete return affected rows", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  const updated = await driver.updateOne("users", { id: 2, age: 26 });
+  assert.strictEqual(updated.age, 26);
+
+  const upserted = await driver.upsert("users", {
+    id: 2,
+    email: "bob@example.org",
+    active: true,
+  });
+  assert.strictEqual(upserted.email, "bob@example.org");
+
+  const inserted = await driver.upsert("users", {
+    id: 10,
+    email: "dan@example.com",
+    active: true,
+  });
+  assert.strictEqual(inserted.id, 10);
+
+  const deleted = await driver.deleteMany("users", { active: false });
+  assert.strictEqual(deleted.length, 0);
+
+  await driver.deleteOne("users", { id: 10 });
+  assert.strictEqual(await driver.count("users"), 3);
+
+  await driver.deleteAll("users");
+  assert.strictEqual(await driver.count("users"), 0);
+  await driver.disconnect();
+});
+
+test("unique constraints are enforced", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  await assert.rejects(() =>
+    driver.insertOne("users", { email: "ann@example.com" })
+  );
+  await driver.disconnect();
+});
+
+test("transactions commit and roll back", async () => {
+  const driver = await createDriver();
+
+  await driver.transaction(async () => {
+    await driver.insertOne("users", { email: "ann@example.com" });
+  });
+
+  await assert.rejects(() =>
+    driver.transaction(async () => {
+      await driver.insertOne("users", { email: "bob@example.com" });
+      throw new Error("boom");
+    })
+  );
+
+  assert.strictEqual(await driver.count("users"), 1);
+  await driver.disconnect();
+});
+
+test("callers outside a transaction wait for it to end", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+  let resume;
+  const blocked = new Promise(resolve => (resume = resolve));
+  let started;
+  const running = new Promise(resolve => (started = resolve));
+
+  const failing = driver.transaction(async () => {
+    await driver.deleteAll("users");
+    started();
+    await blocked;
+    throw new Error("boom");
+  });
+  await running;
+
+  const outsideCount = driver.count("users");
+  const outsideInsert = driver.insertOne("users", { email: "dan@example.com" });
+  resume();
+
+  await assert.rejects(failing, /boom/);
+  // Neither saw nor was undone by the rolled back transaction
+  assert.strictEqual(await outsideCount, 3);
+  await outsideInsert;
+  assert.strictEqual(await driver.count("users"), 4);
+  await driver.disconnect();
+});
+
+test("column and index operations", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  await driver.executeOperation({
+    type: "addColumn",
+    params: {
+      tableName: "users",
+      column: { name: "nickname", type: "VARCHAR", length: 20 },
+    },
+  });
+  await driver.executeOperation({
+    type: "renameColumn",
+    params: { tableName: "users", oldName: "nickname", newName: "alias" },
+  });
+  await driver.updateOne("users", { id: 1, alias: "annie" });
+  assert.strictEqual((await driver.findById("users", 1)).alias, "annie");
+
+  await driver.executeOperation({
+    type: "createIndex",
+    params: {
+      tableName: "users",
+      name: "users_alias_idx",
+      columns: ["alias"],
+      unique: true,
+    },
+  });
+  await assert.rejects(() =>
+    driver.updateOne("users", { id: 2, alias: "annie" })
+  );
+
+  await driver.executeOperation({
+    type: "dropIndex",
+    params: { name: "users_alias_idx" },
+  });
+  await driver.executeOperation({
+    type: "dropColumn",
+    params: { tableName: "users", columnName: "alias" },
+  });
+  assert.ok(!("alias" in (await driver.findById("users", 1))));
+
+  await driver.executeOperation({
+    type: "renameTable",
+    params: { oldName: "users", newName: "members" },
+  });
+  assert.strictEqual(await driver.count("members"), 3);
+
+  await driver.executeOperation({
+    type: "dropTable",
+    params: { tableName: "members" },
+  });
+  await assert.rejects(() => driver.count("members"), /no such table/);
+  await driver.disconnect();
+});
+
+test("alterColumn rebuilds the table and keeps data and indexes", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  await driver.executeOperation({
+    type: "alterColumn",
+    params: {
+      tableName: "users",
+      columnName: "age",
+      definition: { type: "INTEGER", required: true, default: 0 },
+    },
+  });
+
+  assert.strictEqual(await driver.count("users"), 3);
+  const info = await driver.query('PRAGMA table_info("users")');
+  const age = info.find(col => col.name === "age");
+  assert.strictEqual(age.notnull, 1);
+  assert.strictEqual(age.dflt_value, "0");
+
+  const indexes = await driver.query('PRAGMA index_list("users")');
+  assert.ok(indexes.some(index => index.name === "users_role_idx"));
+  await assert.rejects(() =>
+    driver.insertOne("users", { email: "ann@example.com", age: 1 })
+  );
+
+  // autoincrement primary key survives the rebuild
+  const row = await driver.insertOne("users", {
+    email: "new@example.com",
+    age: 1,
+  });
+  assert.strictEqual(row.id, 4);
+  await driver.disconnect();
+});
+
+test("foreign keys can be added and dropped", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+  await driver.executeOperation(
+    Operation.createTable("posts").addPrimary("id").addInteger("user_id")
+  );
+
+  await driver.executeOperation({
+    type: "createForeignKey",
+    params: {
+      tableName: "posts",
+      columns: ["user_id"],
+      referencedTable: "users",
+      referencedColumns: ["id"],
+      onDelete: "cascade",
+    },
+  });
+
+  await assert.rejects(
+    () => driver.insertOne("posts", { user_id: 99 }),
+    /FOREIGN KEY/
+  );
+  await driver.insertOne("posts", { user_id: 1 });
+  await driver.deleteOne("users", { id: 1 });
+  assert.strictEqual(await driver.count("posts"), 0);
+
+  await driver.executeOperation({
+    type: "dropForeignKey",
+    params: { tableName: "posts", columns: ["user_id"] },
+  });
+  await driver.insertOne("posts", { user_id: 99 });
+  assert.strictEqual(await driver.count("posts"), 1);
+  await driver.disconnect();
+});
+
+test("MigrationManager applies and rolls back migrations", async () => {
+  const driver = new SqliteDriver({ database: { driver: "sqlite" } });
+  await driver.connect();
+
+  const migration = {
+    id: "0001_create_auth_tokens",
+    description: "Create auth_tokens",
+    up: [
+      Operation.createTable("auth_tokens")
+        .addPrimary("id")
+        .addVarChar("email", 255, { required: true })
+        .addBoolean("used", { required: true, default: false }),
+    ],
+    down: [{ type: "dropTable", params: { tableName: "auth_tokens" } }],
+  };
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const manager = new MigrationManager(driver, [migration]);
+    await manager.migrateUp();
+    assert.deepStrictEqual(await driver.fetchAppliedIds(), [migration.id]);
+    assert.strictEqual(await driver.count("auth_tokens"), 0);
+
+    await manager.migrateDown();
+    assert.deepStrictEqual(await driver.fetchAppliedIds(), []);
+    await assert.rejects(() => driver.count("auth_tokens"), /no such table/);
+  } finally {
+    console.log = log;
+    await driver.disconnect();
+  }
+});
+
+test("healthCheck reports the SQLite version", async () => {
+  const db = new Database({ database: { driver: "sqlite" } });
+  await db.connect();
+
+  try {
+    const health = await db.healthCheck();
+    assert.strictEqual(health.status, "ok");
+    assert.match(health.version, /^3\.\d+\.\d+/);
+  } finally {
+    await db.disconnect();
+  }
+});
+
+test("nested transactions use SQLite savepoints", async () => {
+  const driver = await createDriver();
+
+  await driver.transaction(async () => {
+    await driver.insertOne("users", { email: "ann@example.com" });
+
+    await assert.rejects(
+      driver.transaction(async () => {
+        await driver.insertOne("users", { email: "bob@example.com" });
+        await driver.insertOne("users", { email: "ann@example.com" });
+      }),
+      /UNIQUE constraint failed/
+    );
+  });
+
+  assert.deepStrictEqual(
+    (await driver.findMany("users")).map(row => row.email),
+    ["ann@example.com"]
+  );
+  await driver.disconnect();
+});
+
+test("readOnly transactions reject writes", async () => {
+  const driver = await createDriver();
+  await seed(driver);
+
+  await assert.rejects(
+    driver.transaction(
+      async () => {
+        assert.strictEqual(await driver.count("users"), 3);
+        await driver.deleteAll("users");
+      },
+      { isolation: "serializable", readOnly: true }
+    ),
+    /readonly database/
+  );
+
+  await driver.deleteAll("users");
+  assert.strictEqual(await driver.count("users"), 0);
+  await driver.disconnect();
+});
+
+test("a locked database file is a transaction conflict", async () => {
+  const driver = await createDriver();
+  const busy = Object.assign(new Error("database is locked"), {
+    code: "ERR_SQLITE_ERROR",
+    errcode: 5,
+  });
+  const busySnapshot = { ...busy, errcode: 517 };
+  const constraint = { ...busy, errcode: 2067 };
+
+  assert.ok(driver.isTransactionConflict(busy));
+  assert.ok(driver.isTransactionConflict(busySnapshot));
+  assert.ok(!driver.isTransactionConflict(constraint));
+  await driver.disconnect();
+});
+
+test("constraint failures reject with mapped errors", async () => {
+  const db = new Database({ database: { driver: "sqlite" } });
+  await db.connect();
+  await db.driver.executeOperation(
+    Operation.createTable("users")
+      .addPrimary("id")
+      .addVarChar("email", 255, { required: true, unique: true })
+  );
+  await db.insertOne("users", { email: "ann@example.com" });
+
+  const duplicate = await db
+    .insertOne("users", { email: "ann@example.com" })
+    .catch(err => err);
+  assert.ok(duplicate instanceof UniqueConstraintError);
+  assert.strictEqual(duplicate.table, "users");
+  assert.deepStrictEqual(duplicate.fields, ["email"]);
+  assert.strictEqual(duplicate.cause.errcode, 2067);
+
+  const missing = await db
+    .insertOne("users", { email: null })
+    .catch(err => err);
+  assert.ok(missing instanceof NotNullError);
+  assert.strictEqual(missing.field, "email");
+
+  await db.disconnect();
+});
+
+test("rich column types keep decimals exact", async () => {
+  const driver = new SqliteDriver({ database: { driver: "sqlite" } });
+  await driver.connect();
+  await driver.executeOperation(
+    Operation.createTable("products")
+      .addUuid("id", { primary: true })
+      .addDecimal("price", 10, 2, { required: true })
+      .addBigInt("views")
+      .addJson("specs")
+      .addArray("tags", "TEXT")
+      .addBinary("image")
+  );
+
+  const id = "0190a6e4-8c1f-7b2a-9c3d-4e5f6a7b8c9d";
+  await driver.insertOne("products", {
+    id,
+    price: "12.50",
+    views: 42,
+    specs: { color: "red" },
+    tags: ["a", "b"],
+    image: Buffer.from([1, 2]),
+  });
+
+  const row = await driver.findById("products", id);
+  assert.strictEqual(row.price, "12.50");
+  assert.strictEqual(row.views, 42);
+  assert.strictEqual(row.specs, '{"color":"red"}');
+  assert.strictEqual(row.tags, '["a","b"]');
+  assert.deepStrictEqual(Buffer.from(row.image), Buffer.from([1, 2]));
+  await driver.disconnect();
+});
@@ -0,0 +1,91 @@
+// test/errors.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import {
+  CheckConstraintError,
+  ConnectionError,
+  ConstraintError,
+  DatabaseError,
+  NotFoundError,
+  NotNullError,
+  UniqueConstraintError,
+  ValidationError,
+  nativeError,
+} from "../lib/errors.js";
+import * as exported from "../index.js";
+
+test("error classes form a hierarchy and carry their details", () => {
+  const cause = Object.assign(new Error("duplicate key"), { code: "23505" });
+  const err = new UniqueConstraintError("duplicate key", {
+    cause,
+    table: "users",
+    constraint: "users_email_key",
+    fields: ["email"],
+  });
+
+  assert.ok(err instanceof ConstraintError);
+  assert.ok(err instanceof DatabaseError);
+  assert.ok(err instanceof Error);
+  assert.strictEqual(err.name, "UniqueConstraintError");
+  assert.strictEqual(err.code, "23505");
+  assert.strictEqual(err.cause, cause);
+  assert.strictEqual(err.table, "users");
+  assert.strictEqual(err.constraint, "users_email_key");
+  assert.deepStrictEqual(err.fields, ["email"]);
+});
+
+test("details are optional", () => {
+  const notNull = new NotNullError("missing");
+  assert.strictEqual(notNull.field, null);
+  assert.strictEqual(notNull.constraint, null);
+  assert.ok(!("code" in notNull));
+  assert.ok(!("cause" in notNull));
+
+  assert.strictEqual(
+    new CheckConstraintError("x").name,
+    "CheckConstraintError"
+  );
+  assert.strictEqual(new NotFoundError("gone", { id: 7 }).id, 7);
+});
+
+test("ValidationError is not a DatabaseError", () => {
+  const errors = [{ field: "email", rule: "required", message: "x" }];
+  const err = new ValidationError("invalid", { model: "users", errors });
+
+  assert.ok(!(err instanceof DatabaseError));
+  assert.strictEqual(err.name, "ValidationError");
+  assert.strictEqual(err.model, "users");
+  assert.strictEqual(err.errors, errors);
+  assert.deepStrictEqual(new ValidationError("invalid").errors, []);
+});
+
+test("nativeError unwraps mapped errors only", () => {
+  const cause = new Error("ECONNRESET");
+  const mapped = new ConnectionError(cause.message, { cause });
+  const plain = new Error("plain");
+
+  assert.strictEqual(nativeError(mapped), cause);
+  assert.strictEqual(nativeError(plain), plain);
+  assert.strictEqual(
+    nativeError(new ConnectionError("no cause")).message,
+    "no cause"
+  );
+});
+
+test("error classes are exported from the package entry point", () => {
+  for (const name of [
+    "DatabaseError",
+    "UniqueConstraintError",
+    "ForeignKeyError",
+    "NotNullError",
+    "CheckConstraintError",
+    "ConnectionError",
+    "TimeoutError",
+    "SerializationError",
+    "NotFoundError",
+    "ValidationError",
+  ]) {
+    assert.strictEqual(typeof exported[name], "function", name);
+  }
+});
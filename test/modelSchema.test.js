@@ -0,0 +1,319 @@
+// test/modelSchema.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import ModelSchema from "../lib/modelSchema.js";
+
+test("validate applies defaults and returns the validated value", () => {
+  const schema = new ModelSchema()
+    .addString("name", true)
+    .addEnum("role", false, ["admin", "user"], "user");
+
+  const result = schema.validate({ name: "Ann", extra: 1 });
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.value, { name: "Ann", role: "user" });
+});
+
+test("validate reports each failed rule with its code and params", () => {
+  const schema = new ModelSchema()
+    .addString("name", true)
+    .addString("nick", false, 3, 5)
+    .addString("bio", false, undefined, 4)
+    .addInteger("age", false, 18, 99)
+    .addInteger("score", false, 0, 10)
+    .addInteger("count")
+    .addEnum("role", false, ["admin", "user"]);
+
+  const { valid, errors } = schema.validate({
+    nick: "al",
+    bio: "too long",
+    age: 16,
+    score: 11,
+    count: "many",
+    role: "guest",
+  });
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    {
+      field: "name",
+      rule: "required",
+      message: "name is required",
+      value: undefined,
+      params: {},
+    },
+    {
+      field: "nick",
+      rule: "minLength",
+      message: "nick must be at least 3 characters",
+      value: "al",
+      params: { minLength: 3 },
+    },
+    {
+      field: "bio",
+      rule: "maxLength",
+      message: "bio must be at most 4 characters",
+      value: "too long",
+      params: { maxLength: 4 },
+    },
+    {
+      field: "age",
+      rule: "minValue",
+      message: "age must be >= 18",
+      value: 16,
+      params: { minValue: 18 },
+    },
+    {
+      field: "score",
+      rule: "maxValue",
+      message: "score must be <= 10",
+      value: 11,
+      params: { maxValue: 10 },
+    },
+    {
+      field: "count",
+      rule: "type",
+      message: "count must be of type integer",
+      value: "many",
+      params: { type: "integer" },
+    },
+    {
+      field: "role",
+      rule: "enum",
+      message: "role must be one of: admin, user",
+      value: "guest",
+      params: { values: ["admin", "user"] },
+    },
+  ]);
+});
+
+test("custom handlers report the custom rule", () => {
+  const schema = new ModelSchema()
+    .addCustom("slug", "string", {}, value =>
+      /^[a-z-]+$/.test(value) ? true : "slug may only contain a-z and -"
+    )
+    .addCustom("even", "integer", {}, value => value % 2 === 0);
+
+  const { errors } = schema.validate({ slug: "Hello World", even: 3 });
+
+  assert.deepStrictEqual(
+    errors.map(({ field, rule, message }) => ({ field, rule, message })),
+    [
+      {
+        field: "slug",
+        rule: "custom",
+        message: "slug may only contain a-z and -",
+      },
+      {
+        field: "even",
+        rule: "custom",
+        message: "even failed custom validation",
+      },
+    ]
+  );
+});
+
+test("partial mode checks only the supplied keys", () => {
+  const schema = new ModelSchema()
+    .addEmail("email", true)
+    .addString("name", false, 2)
+    .addEnum("role", true, ["admin", "user"], "user")
+    .addInteger("age");
+
+  const result = schema.validate(
+    { name: "Bo", age: null, nickname: "b" },
+    { partial: true }
+  );
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.value, { name: "Bo", age: null });
+
+  const invalid = schema.validate({ name: "B" }, { partial: true });
+  assert.deepStrictEqual(
+    invalid.errors.map(({ field, rule }) => ({ field, rule })),
+    [{ field: "name", rule: "minLength" }]
+  );
+});
+
+test("strict mode rejects keys that are not schema fields", () => {
+  const schema = new ModelSchema().addString("name", true);
+
+  assert.deepStrictEqual(schema.validate({ name: "Ann", id: 1 }).value, {
+    name: "Ann",
+  });
+
+  const { valid, errors } = schema.validate(
+    { name: "Ann", id: 1 },
+    { strict: true }
+  );
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    {
+      field: "id",
+      rule: "unknown",
+      message: "id is not a field of this schema",
+      value: 1,
+      params: {},
+    },
+  ]);
+
+  const strictSchema = new ModelSchema({ strict: true }).addString("name");
+  assert.strictEqual(
+    strictSchema.validate({ age: 3 }).errors[0].rule,
+    "unknown"
+  );
+  assert.strictEqual(
+    strictSchema.validate({ age: 3 }, { strict: false }).valid,
+    true
+  );
+});
+
+test("setPrimaryKey declares the key in the schema definition", () => {
+  const schema = new ModelSchema().addString("code", true);
+  assert.deepStrictEqual(schema.getPrimaryKey(), {
+    fields: ["id"],
+    generate: "serial",
+  });
+
+  schema.setPrimaryKey("code", { generate: "nanoid" });
+  assert.deepStrictEqual(schema.getSchema().primaryKey, {
+    fields: ["code"],
+    generate: "nanoid",
+  });
+  assert.throws(() => schema.setPrimaryKey([]), /Primary key/);
+});
+
+test("rich field types validate their values", () => {
+  const schema = new ModelSchema()
+    .addUuid("id", true)
+    .addUrl("homepage")
+    .addJson("settings")
+    .addObject("address")
+    .addBigInt("views", false, 0n)
+    .addBinary("avatar", false, 4)
+    .addArray("tags", "string", false, undefined, 2);
+
+  const valid = schema.validate({
+    id: "0190a6e4-8c1f-7b2a-9c3d-4e5f6a7b8c9d",
+    homepage: "https://example.com/ann",
+    settings: [1, { dark: true }],
+    address: { city: "Oslo" },
+    views: "9007199254740993",
+    avatar: Buffer.from([1, 2, 3]),
+    tags: ["a", "b"],
+  });
+  assert.deepStrictEqual(valid.errors, []);
+  assert.strictEqual(valid.value.views, "9007199254740993");
+
+  const invalid = schema.validate({
+    id: "not-a-uuid",
+    homepage: "example.com",
+    settings: { big: 1n },
+    address: [],
+    views: -1n,
+    avatar: Buffer.alloc(5),
+    tags: ["a", 1],
+  });
+  assert.deepStrictEqual(
+    invalid.errors.map(({ field, rule, message }) => ({
+      field,
+      rule,
+      message,
+    })),
+    [
+      { field: "id", rule: "type", message: "id must be of type uuid" },
+      {
+        field: "homepage",
+        rule: "type",
+        message: "homepage must be of type url",
+      },
+      {
+        field: "settings",
+        rule: "type",
+        message: "settings must be of type json",
+      },
+      {
+        field: "address",
+        rule: "type",
+        message: "address must be of type object",
+      },
+      { field: "views", rule: "minValue", message: "views must be >= 0" },
+      {
+        field: "avatar",
+        rule: "maxLength",
+        message: "avatar must be at most 4 bytes",
+      },
+      {
+        field: "tags",
+        rule: "type",
+        message: "tags must be of type array of string",
+      },
+    ]
+  );
+  assert.deepStrictEqual(invalid.errors[6].params, {
+    type: "array",
+    items: "string",
+  });
+});
+
+test("decimals check precision and scale and are held as strings", () => {
+  const schema = new ModelSchema().addDecimal("price", true, 5, 2);
+
+  const result = schema.validate({ price: 12.5 });
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.value.price, "12.5");
+  assert.strictEqual(schema.validate({ price: "-999.99" }).valid, true);
+
+  const { errors } = schema.validate({ price: "1.005" });
+  assert.deepStrictEqual(errors[0].rule, "scale");
+  assert.deepStrictEqual(errors[0].params, { precision: 5, scale: 2 });
+  assert.strictEqual(
+    schema.validate({ price: "1000" }).errors[0].message,
+    "price must have at most 3 digits before the decimal point"
+  );
+  assert.strictEqual(schema.validate({ price: "1e3" }).errors[0].rule, "type");
+});
+
+test("decimals without precision or scale accept any number of digits", () => {
+  const unbounded = new ModelSchema().addDecimal("price");
+  assert.strictEqual(
+    unbounded.validate({ price: "12.50" }).value.price,
+    "12.50"
+  );
+  assert.strictEqual(
+    unbounded.validate({ price: "123456789012.345678" }).valid,
+    true
+  );
+
+  const whole = new ModelSchema().addDecimal("price", false, 4);
+  assert.strictEqual(whole.validate({ price: "1234" }).valid, true);
+  assert.deepStrictEqual(whole.validate({ price: "1.5" }).errors[0].params, {
+    precision: 4,
+    scale: 0,
+  });
+});
+
+test("unknown field types need a custom handler", () => {
+  assert.throws(
+    () => new ModelSchema().addField("color", "colour"),
+    /Unknown type 'colour' for field 'color'/
+  );
+  assert.throws(
+    () => new ModelSchema().addArray("tags", "colour"),
+    /Unknown item type 'colour'/
+  );
+
+  const schema = new ModelSchema().addCustom(
+    "color",
+    "colour",
+    {},
+    value => /^#[0-9a-f]{6}$/.test(value) || "color must be a hex colour"
+  );
+  assert.strictEqual(schema.validate({ color: "#00ff00" }).valid, true);
+  assert.strictEqual(
+    schema.validate({ color: "green" }).errors[0].message,
+    "color must be a hex colour"
+  );
+});
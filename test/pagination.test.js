@@ -0,0 +1,166 @@
+// test/pagination.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import { paginate, encodeCursor, decodeCursor } from "../lib/pagination.js";
+import PostgresDriver from "../lib/drivers/driver-postgres.js";
+
+const rows = Array.from({ length: 5 }, (_, i) => ({
+  id: i + 1,
+  created_at: new Date(Date.UTC(2026, 0, i + 1)),
+}));
+
+const order = [
+  { field: "created_at", direction: "desc" },
+  { field: "id", direction: "asc" },
+];
+
+test("cursors round-trip sort-key values including dates", () => {
+  const cursor = encodeCursor(rows[2], order, "secret");
+  const values = decodeCursor(cursor, order, "secret");
+
+  assert.deepStrictEqual(values, [rows[2].created_at, 3]);
+});
+
+test("tampered cursors are rejected", () => {
+  const cursor = encodeCursor(rows[2], order, "secret");
+  const [payload, signature] = cursor.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ o: "created_at:desc,id:asc", v: [] })
+  ).toString("base64url");
+
+  assert.throws(
+    () => decodeCursor(`${forged}.${signature}`, order, "secret"),
+    /signature/
+  );
+  assert.throws(() => decodeCursor(cursor, order, "other-secret"), /signature/);
+  assert.throws(() => decodeCursor(payload, order, "secret"), /Invalid/);
+});
+
+test("cursors are bound to their ordering", () => {
+  const cursor = encodeCursor(rows[2], order, "secret");
+  const otherOrder = [{ field: "id", direction: "asc" }];
+
+  assert.throws(
+    () => decodeCursor(cursor, otherOrder, "secret"),
+    /different orderBy/
+  );
+});
+
+test("first page fetches limit + 1 and reports hasMore", async () => {
+  const calls = [];
+  const findMany = async (criteria, options) => {
+    calls.push({ criteria, options });
+    return rows.slice(0, options.limit);
+  };
+
+  const page = await paginate(findMany, { active: true }, { limit: 2 });
+
+  assert.deepStrictEqual(calls[0].criteria, { active: true });
+  assert.deepStrictEqual(calls[0].options, {
+    orderBy: [{ field: "id", direction: "asc" }],
+    limit: 3,
+  });
+  assert.deepStrictEqual(
+    page.items.map(r => r.id),
+    [1, 2]
+  );
+  assert.strictEqual(page.hasMore, true);
+  assert.ok(page.nextCursor);
+  assert.strictEqual(page.prevCursor, null);
+});
+
+test("last page has no next cursor", async () => {
+  const page = await paginate(async () => rows.slice(3), {}, { limit: 2 });
+
+  assert.strictEqual(page.hasMore, false);
+  assert.strictEqual(page.nextCursor, null);
+});
+
+test("paging after a cursor adds a keyset condition", async () => {
+  const calls = [];
+  const findMany = async (criteria, options) => {
+    calls.push({ criteria, options });
+    return [];
+  };
+  const after = encodeCursor(rows[1], order, "secret");
+
+  await paginate(
+    findMany,
+    { active: true },
+    { after, orderBy: "created_at desc", limit: 2, secret: "secret" }
+  );
+
+  assert.deepStrictEqual(calls[0].criteria, {
+    $and: [
+      { active: true },
+      {
+        $or: [
+          { created_at: { $lt: rows[1].created_at } },
+          { created_at: rows[1].created_at, id: { $gt: 2 } },
+        ],
+      },
+    ],
+  });
+});
+
+test("paging before a cursor flips the order and restores it", async () => {
+  const calls = [];
+  const findMany = async (criteria, options) => {
+    calls.push({ criteria, options });
+    return [rows[2], rows[1], rows[0]];
+  };
+  const before = encodeCursor(rows[3], [order[1]], "secret");
+
+  const page = await paginate(
+    findMany,
+    {},
+    { before, limit: 2, secret: "secret" }
+  );
+
+  assert.deepStrictEqual(calls[0].options.orderBy, [
+    { field: "id", direction: "desc" },
+  ]);
+  assert.deepStrictEqual(calls[0].criteria, { id: { $lt: 4 } });
+  assert.deepStrictEqual(
+    page.items.map(r => r.id),
+    [2, 3]
+  );
+  assert.strictEqual(page.hasMore, true);
+  assert.ok(page.prevCursor);
+  assert.ok(page.nextCursor);
+});
+
+test("keyset criteria compile to SQL", async () => {
+  const calls = [];
+  const driver = new PostgresDriver({});
+  driver.pool = {
+    async query(sql, params) {
+      calls.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return { rows: [] };
+    },
+  };
+  const after = encodeCursor(rows[1], order, "secret");
+
+  await paginate(
+    (criteria, options) => driver.findMany("posts", criteria, options),
+    {},
+    { after, orderBy: { created_at: "desc" }, limit: 10, secret: "secret" }
+  );
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "posts" WHERE ("created_at" < $1' +
+      ' OR ("created_at" = $2 AND "id" > $3))' +
+      ' ORDER BY "created_at" DESC, "id" ASC LIMIT 11'
+  );
+});
+
+test("invalid paging options are rejected", async () => {
+  const findMany = async () => [];
+  await assert.rejects(
+    () => paginate(findMany, {}, { after: "a", before: "b" }),
+    /not both/
+  );
+  await assert.rejects(() => paginate(findMany, {}, { limit: 0 }), /positive/);
+});
@@ -5,6 +5,7 @@ import fs from "fs";
 import assert from "node:assert";
 import test from "node:test";
 import parseIniFile from "../lib/parseIniFile.js";
+import * as exported from "../index.js";
 
 const driverNames = ["mariadb", "mongodb", "mysql", "postgres", "sqlite"];
 
@@ -25,3 +26,123 @@ driverNames.forEach(driverName => {
     );
   });
 });
+
+const multiFile = path.resolve("test/_inifiles/multi.ini");
+const env = { TURBO_TEST_DB_PASSWORD: "s3cret" };
+
+test("flat db_* keys become the database section", () => {
+  const config = parseIniFile(path.resolve("test/_inifiles/postgres.ini"), {
+    environment: null,
+  });
+
+  assert.deepStrictEqual(config, {
+    database: {
+      driver: "postgres",
+      db_host: "localhost",
+      db_port: 5432,
+      db_name: "test",
+      db_username: "postgres",
+      db_password: "",
+    },
+  });
+});
+
+test("named sections extend the shared [database] section", () => {
+  const config = parseIniFile(multiFile, { env, environment: null });
+
+  assert.deepStrictEqual(config.databases, {
+    primary: {
+      driver: "postgres",
+      db_host: "localhost",
+      db_username: "app",
+      db_password: "s3cret",
+      db_port: 5432,
+      db_name: "app",
+    },
+    analytics: {
+      driver: "mysql",
+      db_host: "analytics.internal",
+      db_username: "app",
+      db_password: "s3cret",
+      db_port: 3306,
+      db_name: "warehouse",
+    },
+  });
+  assert.strictEqual(config.database, config.databases.primary);
+  assert.strictEqual(config.debug, "false");
+  assert.strictEqual(config.views_path, "views");
+});
+
+test("only settings the driver declares as typed are coerced", () => {
+  const config = parseIniFile(path.resolve("test/_inifiles/types.ini"), {
+    environment: null,
+  });
+
+  assert.deepStrictEqual(config, {
+    secure_cookies: "true",
+    database: {
+      driver: "postgres",
+      db_host: "localhost",
+      db_port: 5432,
+      db_username: "true",
+      db_password: "false",
+      db_pool_max: 10,
+    },
+  });
+
+  assert.throws(
+    () =>
+      parseIniFile(path.resolve("test/_inifiles/types.ini"), {
+        environment: "invalid",
+      }),
+    /Config value 'db_pool_max' must be an integer/
+  );
+});
+
+test("environment variables are interpolated", () => {
+  const config = parseIniFile(multiFile, {
+    env: { ...env, TURBO_TEST_DB_HOST: "db.internal" },
+    environment: null,
+  });
+  assert.strictEqual(config.database.db_host, "db.internal");
+
+  assert.throws(
+    () => parseIniFile(multiFile, { env: {}, environment: null }),
+    /'TURBO_TEST_DB_PASSWORD' is not set \(referenced by database.db_password\)/
+  );
+});
+
+test("NODE_ENV overlay files are merged over the base file", () => {
+  const config = parseIniFile(multiFile, { env, environment: "staging" });
+
+  assert.strictEqual(config.debug, "true");
+  assert.strictEqual(config.databases.analytics.db_name, "warehouse_staging");
+  assert.strictEqual(config.databases.analytics.db_host, "analytics.internal");
+  assert.strictEqual(config.databases.primary.db_name, "app");
+});
+
+test("repeated sections are rejected", () => {
+  assert.throws(
+    () => parseIniFile(path.resolve("test/_inifiles/duplicate.ini")),
+    /declares \[database\] more than once/
+  );
+});
+
+test("the project config.ini loads every connection", () => {
+  const config = parseIniFile(path.resolve("config.ini"), {
+    environment: null,
+  });
+
+  assert.deepStrictEqual(Object.keys(config.databases), [
+    "mongodb",
+    "postgres",
+    "mysql",
+    "sqlite",
+  ]);
+  assert.strictEqual(config.database.driver, "mongodb");
+  assert.strictEqual(config.databases.sqlite.db_port, undefined);
+});
+
+test("parseIniFile is exported from the package entry point", () => {
+  assert.strictEqual(exported.parseIniFile, parseIniFile);
+});
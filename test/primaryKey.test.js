@@ -0,0 +1,78 @@
+// test/primaryKey.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import {
+  DEFAULT_PRIMARY_KEY,
+  generateKey,
+  parsePrimaryKey,
+} from "../lib/primaryKey.js";
+
+test("parsePrimaryKey normalizes single and composite keys", () => {
+  assert.deepStrictEqual(parsePrimaryKey("id"), DEFAULT_PRIMARY_KEY);
+  assert.deepStrictEqual(parsePrimaryKey("code", { generate: "ulid" }), {
+    fields: ["code"],
+    generate: "ulid",
+  });
+  assert.deepStrictEqual(parsePrimaryKey(["orderId", "line"]), {
+    fields: ["orderId", "line"],
+    generate: undefined,
+  });
+});
+
+test("parsePrimaryKey rejects malformed declarations", () => {
+  assert.throws(() => parsePrimaryKey([]), /field name or a non-empty array/);
+  assert.throws(() => parsePrimaryKey(["a", ""]), /field name/);
+  assert.throws(() => parsePrimaryKey(["a", "a"]), /lists a field twice/);
+  assert.throws(
+    () => parsePrimaryKey(["a", "b"], { generate: "uuidv4" }),
+    /Composite primary key \(a, b\) cannot be generated/
+  );
+  assert.throws(
+    () => parsePrimaryKey("id", { generate: "uuid" }),
+    /Invalid primary key strategy 'uuid'/
+  );
+  assert.throws(
+    () => parsePrimaryKey("id", { auto: true }),
+    /Unknown primary key option\(s\): auto/
+  );
+});
+
+test("generateKey produces each strategy's format", () => {
+  assert.strictEqual(generateKey("serial"), undefined);
+  assert.strictEqual(generateKey(undefined), undefined);
+
+  assert.match(
+    generateKey("uuidv4"),
+    /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+  );
+  assert.match(
+    generateKey("uuidv7"),
+    /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+  );
+  assert.match(generateKey("ulid"), /^[0-9A-HJKMNP-TV-Z]{26}$/);
+  assert.match(generateKey("nanoid"), /^[A-Za-z0-9_-]{21}$/);
+  assert.match(generateKey("objectId"), /^[0-9a-f]{24}$/);
+});
+
+test("time-ordered keys embed the current time", () => {
+  const before = Date.now();
+  const uuid = generateKey("uuidv7");
+  const id = generateKey("ulid");
+  const objectId = generateKey("objectId");
+  const after = Date.now();
+
+  const uuidTime = parseInt(uuid.replace(/-/g, "").slice(0, 12), 16);
+  assert.ok(uuidTime >= before && uuidTime <= after);
+
+  const ulidTime = [...id.slice(0, 10)].reduce(
+    (time, char) =>
+      time * 32 + "0123456789ABCDEFGHJKMNPQRSTVWXYZ".indexOf(char),
+    0
+  );
+  assert.ok(ulidTime >= before && ulidTime <= after);
+
+  const seconds = parseInt(objectId.slice(0, 8), 16);
+  assert.ok(seconds >= Math.floor(before / 1000));
+  assert.notStrictEqual(generateKey("objectId"), objectId);
+});
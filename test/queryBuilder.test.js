@@ -0,0 +1,121 @@
+// test/queryBuilder.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import Database from "../lib/database.js";
+import Model from "../lib/model.js";
+import ModelSchema from "../lib/modelSchema.js";
+import QueryBuilder from "../lib/queryBuilder.js";
+
+function createModel(rows = []) {
+  const calls = [];
+  const database = new Database({ database: { driver: "postgres" } });
+
+  database.driver.pool = {
+    async query(sql, params) {
+      calls.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return { rows };
+    },
+  };
+
+  const schema = new ModelSchema().addString("email").addBoolean("used");
+  return { model: new Model(database, "auth_tokens", schema), calls };
+}
+
+test("Model.query() without arguments returns a builder", () => {
+  const { model } = createModel();
+  assert.ok(model.query() instanceof QueryBuilder);
+  assert.ok(model.select("id") instanceof QueryBuilder);
+  assert.ok(model.where("used", false) instanceof QueryBuilder);
+});
+
+test("toSQL compiles through the driver dialect", () => {
+  const { model } = createModel();
+  const { sql, params } = model
+    .select("id", "email")
+    .where("used", false)
+    .whereIn("role", ["admin", "owner"])
+    .where("age", ">=", 18)
+    .orderBy("created_at", "desc")
+    .limit(20)
+    .offset(40)
+    .toSQL();
+
+  assert.strictEqual(
+    sql,
+    'SELECT "id", "email" FROM "auth_tokens"' +
+      ' WHERE "used" = $1 AND "role" IN ($2, $3) AND "age" >= $4' +
+      ' ORDER BY "created_at" DESC LIMIT 20 OFFSET 40'
+  );
+  assert.deepStrictEqual(params, [false, "admin", "owner", 18]);
+});
+
+test("builders are immutable and reusable", () => {
+  const { model } = createModel();
+  const base = model.where("used", false);
+  const admins = base.where("role", "admin");
+  const limited = base.limit(5);
+
+  assert.deepStrictEqual(base.toCriteria(), { used: { $eq: false } });
+  assert.deepStrictEqual(base.toOptions(), {});
+  assert.deepStrictEqual(admins.toCriteria(), {
+    $and: [{ used: { $eq: false } }, { role: { $eq: "admin" } }],
+  });
+  assert.deepStrictEqual(limited.toOptions(), { limit: 5 });
+  assert.notStrictEqual(base, admins);
+});
+
+test("orWhere, whereNot and null helpers build criteria", () => {
+  const { model } = createModel();
+  const criteria = model
+    .where("role", "admin")
+    .orWhere({ owner: true })
+    .whereNot("status", "archived")
+    .whereNull("deleted_at")
+    .whereBetween("age", 18, 65)
+    .toCriteria();
+
+  assert.deepStrictEqual(criteria, {
+    $and: [
+      { $or: [{ role: { $eq: "admin" } }, { owner: true }] },
+      { $not: { status: { $eq: "archived" } } },
+      { deleted_at: { $isNull: true } },
+      { age: { $between: [18, 65] } },
+    ],
+  });
+});
+
+test("all, first and count execute through the database", async () => {
+  const { model, calls } = createModel([{ id: 1 }]);
+  const query = model.where("used", false).orderBy("id");
+
+  assert.deepStrictEqual(await query.all(), [{ id: 1 }]);
+  assert.deepStrictEqual(await query.first(), { id: 1 });
+
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT * FROM "auth_tokens" WHERE "used" = $1 ORDER BY "id" ASC'
+  );
+  assert.strictEqual(
+    calls[1].sql,
+    'SELECT * FROM "auth_tokens" WHERE "used" = $1 ORDER BY "id" ASC LIMIT 1'
+  );
+});
+
+test("count ignores ordering and paging", async () => {
+  const { model, calls } = createModel([{ count: "4" }]);
+  const total = await model.where("used", false).orderBy("id").limit(1).count();
+
+  assert.strictEqual(total, 4);
+  assert.strictEqual(
+    calls[0].sql,
+    'SELECT COUNT(*) AS "count" FROM "auth_tokens" WHERE "used" = $1'
+  );
+});
+
+test("invalid builder input is rejected", () => {
+  const { model } = createModel();
+  assert.throws(() => model.where("age", "~", 1), /Unknown where\(\) operator/);
+  assert.throws(() => model.query().limit(-1), /non-negative/);
+  assert.throws(() => model.query().orderBy("id", "up"), /asc/);
+});
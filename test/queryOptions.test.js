@@ -0,0 +1,71 @@
+// test/queryOptions.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import { parseQueryOptions, projectRow } from "../lib/queryOptions.js";
+
+test("empty options normalize to defaults", () => {
+  assert.deepStrictEqual(parseQueryOptions(), {
+    orderBy: [],
+    limit: undefined,
+    offset: undefined,
+    select: undefined,
+    exclude: undefined,
+  });
+});
+
+test("orderBy accepts strings, arrays and objects", () => {
+  assert.deepStrictEqual(parseQueryOptions({ orderBy: "name" }).orderBy, [
+    { field: "name", direction: "asc" },
+  ]);
+
+  assert.deepStrictEqual(
+    parseQueryOptions({ orderBy: ["last_name", "created_at DESC"] }).orderBy,
+    [
+      { field: "last_name", direction: "asc" },
+      { field: "created_at", direction: "desc" },
+    ]
+  );
+
+  assert.deepStrictEqual(
+    parseQueryOptions({ orderBy: { created_at: "desc", id: 1 } }).orderBy,
+    [
+      { field: "created_at", direction: "desc" },
+      { field: "id", direction: "asc" },
+    ]
+  );
+});
+
+test("parsed options can be parsed again", () => {
+  const parsed = parseQueryOptions({
+    orderBy: "id desc",
+    limit: 5,
+    select: "id",
+  });
+  assert.deepStrictEqual(parseQueryOptions(parsed), parsed);
+});
+
+test("invalid options are rejected", () => {
+  assert.throws(() => parseQueryOptions({ limit: -1 }), /non-negative/);
+  assert.throws(() => parseQueryOptions({ offset: 1.5 }), /non-negative/);
+  assert.throws(() => parseQueryOptions({ orderBy: "id sideways" }), /asc/);
+  assert.throws(() => parseQueryOptions({ sort: "id" }), /Unknown query/);
+  assert.throws(
+    () => parseQueryOptions({ select: ["id"], exclude: ["password"] }),
+    /cannot combine/
+  );
+});
+
+test("projectRow applies select and exclude", () => {
+  const row = { id: 1, email: "a@b.c", password: "x" };
+
+  assert.deepStrictEqual(projectRow(row, { select: ["id", "email"] }), {
+    id: 1,
+    email: "a@b.c",
+  });
+  assert.deepStrictEqual(projectRow(row, { exclude: ["password"] }), {
+    id: 1,
+    email: "a@b.c",
+  });
+  assert.strictEqual(projectRow(row, {}), row);
+});
@@ -0,0 +1,156 @@
+// test/retry.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import Database from "../lib/database.js";
+import { backoffDelay, retryPolicy } from "../lib/retry.js";
+
+const connectionReset = () =>
+  Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" });
+
+/**
+ * Memory database whose driver fails the next `failures` calls of
+ * `method` with a connection reset, and counts reconnects.
+ */
+async function createFlakyDatabase(method, failures, settings = {}) {
+  const db = new Database({
+    database: { driver: "memory", db_retry_delay: 0, ...settings },
+  });
+  await db.connect();
+  await db.insertOne("users", { name: "ann" });
+
+  const driver = db.driver;
+  const original = driver[method].bind(driver);
+  const stats = { calls: 0, reconnects: 0, events: [] };
+
+  driver[method] = async (...args) => {
+    stats.calls++;
+    if (failures-- > 0) throw connectionReset();
+    return original(...args);
+  };
+
+  const reconnect = driver.reconnect.bind(driver);
+  driver.reconnect = async () => {
+    stats.reconnects++;
+    return reconnect();
+  };
+
+  db.on("reconnecting", event => stats.events.push(["reconnecting", event]));
+  db.on("reconnected", event => stats.events.push(["reconnected", event]));
+
+  return { db, stats };
+}
+
+test("retryPolicy reads and validates the retry settings", () => {
+  assert.deepStrictEqual(retryPolicy({}), {
+    maxAttempts: 3,
+    baseDelay: 100,
+    maxDelay: 5000,
+  });
+  assert.deepStrictEqual(
+    retryPolicy({ db_retry_attempts: "5", db_retry_delay: 50 }),
+    { maxAttempts: 5, baseDelay: 50, maxDelay: 5000 }
+  );
+  assert.throws(
+    () => retryPolicy({ db_retry_attempts: 0 }),
+    /db_retry_attempts must be >= 1/
+  );
+});
+
+test("backoffDelay grows exponentially with jitter up to the cap", () => {
+  const policy = { baseDelay: 100, maxDelay: 1000 };
+
+  assert.strictEqual(
+    backoffDelay(1, policy, () => 0),
+    50
+  );
+  assert.strictEqual(
+    backoffDelay(1, policy, () => 1),
+    100
+  );
+  assert.strictEqual(
+    backoffDelay(3, policy, () => 0),
+    200
+  );
+  assert.strictEqual(
+    backoffDelay(3, policy, () => 1),
+    400
+  );
+  assert.strictEqual(
+    backoffDelay(10, policy, () => 1),
+    1000
+  );
+});
+
+test("reads are retried after reconnecting", async () => {
+  const { db, stats } = await createFlakyDatabase("findMany", 2);
+
+  const rows = await db.findMany("users");
+
+  assert.deepStrictEqual(rows, [{ id: 1, name: "ann" }]);
+  assert.strictEqual(stats.calls, 3);
+  assert.strictEqual(stats.reconnects, 2);
+  assert.deepStrictEqual(
+    stats.events.map(([name, event]) => [name, event.attempt]),
+    [
+      ["reconnecting", 2],
+      ["reconnected", 2],
+      ["reconnecting", 3],
+      ["reconnected", 3],
+    ]
+  );
+  assert.strictEqual(stats.events[0][1].error.code, "ECONNRESET");
+});
+
+test("reads give up after db_retry_attempts", async () => {
+  const { db, stats } = await createFlakyDatabase("findOne", 5, {
+    db_retry_attempts: 2,
+  });
+
+  await assert.rejects(() => db.findOne("users", {}), /ECONNRESET/);
+  assert.strictEqual(stats.calls, 2);
+});
+
+test("writes are not retried but the next call reconnects", async () => {
+  const { db, stats } = await createFlakyDatabase("insertOne", 1);
+
+  await assert.rejects(() => db.insertOne("users", { name: "bob" }), {
+    code: "ECONNRESET",
+  });
+  assert.strictEqual(stats.calls, 1);
+  assert.strictEqual(stats.reconnects, 0);
+
+  await db.insertOne("users", { name: "bob" });
+  assert.strictEqual(stats.reconnects, 1);
+  assert.strictEqual(await db.count("users"), 2);
+});
+
+test("retry() applies the policy to caller-declared idempotent work", async () => {
+  const { db, stats } = await createFlakyDatabase("updateOne", 1);
+
+  const row = await db.retry(() =>
+    db.updateOne("users", { id: 1, name: "cy" })
+  );
+
+  assert.deepStrictEqual(row, { id: 1, name: "cy" });
+  assert.strictEqual(stats.calls, 2);
+  assert.strictEqual(stats.reconnects, 1);
+});
+
+test("other errors and errors inside transactions are not retried", async () => {
+  const { db, stats } = await createFlakyDatabase("findMany", 0);
+
+  db.driver.count = async () => {
+    throw new Error("syntax error");
+  };
+  await assert.rejects(() => db.count("users"), /syntax error/);
+
+  await db.startTransaction();
+  db.driver.findById = async () => {
+    throw connectionReset();
+  };
+  await assert.rejects(() => db.findById("users", 1), /ECONNRESET/);
+  await db.rollbackTransaction();
+
+  assert.strictEqual(stats.reconnects, 0);
+});
@@ -0,0 +1,97 @@
+// test/transactionOptions.test.js
+
+import assert from "node:assert";
+import test from "node:test";
+import {
+  isCompatible,
+  parseTransactionOptions,
+} from "../lib/transactionOptions.js";
+
+test("empty options normalize to server defaults", () => {
+  assert.deepStrictEqual(parseTransactionOptions(), {
+    isolation: undefined,
+    readOnly: undefined,
+    deferrable: undefined,
+    timeoutMs: undefined,
+    retry: undefined,
+  });
+});
+
+test("isolation levels accept any case and separator", () => {
+  for (const input of ["serializable", "SERIALIZABLE", " Serializable "]) {
+    assert.strictEqual(
+      parseTransactionOptions({ isolation: input }).isolation,
+      "serializable"
+    );
+  }
+  assert.strictEqual(
+    parseTransactionOptions({ isolation: "READ_COMMITTED" }).isolation,
+    "read committed"
+  );
+  assert.strictEqual(
+    parseTransactionOptions({ isolation: "repeatable-read" }).isolation,
+    "repeatable read"
+  );
+});
+
+test("malformed options are rejected", () => {
+  assert.throws(
+    () => parseTransactionOptions({ isolation: "snapshot" }),
+    /Expected one of: read uncommitted, read committed/
+  );
+  assert.throws(
+    () => parseTransactionOptions({ readOnly: "yes" }),
+    /'readOnly' must be a boolean/
+  );
+  assert.throws(
+    () => parseTransactionOptions({ timeoutMs: 0 }),
+    /'timeoutMs' must be a positive integer/
+  );
+  assert.throws(
+    () => parseTransactionOptions({ timeout: 100 }),
+    /Unknown transaction option\(s\): timeout/
+  );
+});
+
+test("retry accepts true or a partial policy", () => {
+  assert.deepStrictEqual(parseTransactionOptions({ retry: true }).retry, {
+    maxAttempts: 3,
+    baseDelay: 100,
+    maxDelay: 5000,
+  });
+  assert.deepStrictEqual(
+    parseTransactionOptions({ retry: { maxAttempts: 5, baseDelay: 20 } }).retry,
+    { maxAttempts: 5, baseDelay: 20, maxDelay: 5000 }
+  );
+  assert.strictEqual(
+    parseTransactionOptions({ retry: false }).retry,
+    undefined
+  );
+
+  assert.throws(
+    () => parseTransactionOptions({ retry: { attempts: 5 } }),
+    /Unknown retry option 'attempts'/
+  );
+  assert.throws(
+    () => parseTransactionOptions({ retry: { maxAttempts: 0 } }),
+    /'maxAttempts' must be an integer >= 1/
+  );
+  assert.throws(
+    () => parseTransactionOptions({ retry: 3 }),
+    /'retry' must be true or an object/
+  );
+});
+
+test("nested options may repeat but not change the outer ones", () => {
+  const outer = parseTransactionOptions({ isolation: "serializable" });
+
+  assert.ok(isCompatible(outer, parseTransactionOptions()));
+  assert.ok(isCompatible(outer, parseTransactionOptions({ timeoutMs: 50 })));
+  assert.ok(
+    isCompatible(outer, parseTransactionOptions({ isolation: "SERIALIZABLE" }))
+  );
+  assert.ok(!isCompatible(outer, parseTransactionOptions({ readOnly: true })));
+  assert.ok(
+    !isCompatible(undefined, parseTransactionOptions({ readOnly: true }))
+  );
+});